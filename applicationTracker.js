@@ -0,0 +1,99 @@
+/**
+ * Application tracker for MCP Job Matcher Server
+ * Keeps the application status, notes and history of matched jobs.
+ * Entries are persisted through a pluggable storage adapter so the same
+ * tracker works with a JSON file (Node.js) and KV (Cloudflare Workers).
+ */
+
+import { JsonStore } from './jsonStore.js';
+
+// Pipeline columns in display order
+export const APPLICATION_STATUSES = ['saved', 'applied', 'interviewing', 'offered', 'rejected'];
+
+// Stored object: jobId -> { jobId, title, company, location, url, status, notes, history, createdAt, updatedAt }
+class ApplicationTracker extends JsonStore {
+  /**
+   * Set the status of a job, creating the entry if needed
+   * @param {string} jobId - Job ID from generateJobId
+   * @param {Object} update - { status, note, job: { title, company, location, url } }
+   * @returns {Promise<Object>} - { entry, previousStatus }
+   */
+  async track(jobId, { status, note = null, job = null }) {
+    // Parallel calls would otherwise read the same entries and overwrite each other's change
+    return await this.exclusive(async () => {
+      const entries = await this.load();
+      const now = new Date().toISOString();
+      const existing = entries[jobId];
+      const previousStatus = existing ? existing.status : null;
+
+      const entry = existing || {
+        jobId,
+        title: job?.title || 'Job Title Not Available',
+        company: job?.company || 'Company Not Specified',
+        location: job?.location || 'Location Not Specified',
+        url: job?.url || '#',
+        status,
+        notes: [],
+        history: [],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      if (status !== previousStatus) {
+        entry.status = status;
+        entry.history.push({ status, at: now });
+      }
+
+      if (note) {
+        entry.notes.push({ text: note, at: now });
+      }
+
+      entry.updatedAt = now;
+      entries[jobId] = entry;
+
+      await this.persist(entries);
+
+      return { entry, previousStatus };
+    });
+  }
+
+  /**
+   * Get a tracked job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Entry or null if the job is not tracked
+   */
+  async get(jobId) {
+    const entries = await this.load();
+    return entries[jobId] || null;
+  }
+
+  /**
+   * Find a tracked job by its posting link
+   * @param {string} url - Job link
+   * @returns {Promise<Object|null>} - Entry or null if no tracked job has this link
+   */
+  async findByUrl(url) {
+    if (!url || url === '#') {
+      return null;
+    }
+
+    const entries = await this.load();
+    return Object.values(entries).find(entry => entry.url === url) || null;
+  }
+
+  /**
+   * List tracked jobs, most recently updated first
+   * @returns {Promise<Array>} - Entries
+   */
+  async list() {
+    const entries = await this.load();
+    return Object.values(entries).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+}
+
+// Export singleton instance - storage is attached by each entry point
+export const applicationTracker = new ApplicationTracker();
+
+// Also export the class for testing
+export { ApplicationTracker };
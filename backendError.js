@@ -0,0 +1,69 @@
+/**
+ * Error raised when the job matching backend answers with a non-2xx status
+ * Shared by the Node.js and Cloudflare Workers backend clients
+ */
+export class BackendError extends Error {
+  constructor(status, data, retryAfter = null) {
+    super(`Backend API error: ${status}`);
+    this.name = 'BackendError';
+    this.status = status;
+    this.data = data;
+    this.retryAfter = retryAfter; // Retry-After header of the response, if any
+  }
+}
+
+/**
+ * Error raised without calling the backend while the circuit breaker is open
+ * (see backendResilience.js)
+ */
+export class BackendUnavailableError extends Error {
+  constructor(retryAt) {
+    super('Backend unavailable: circuit breaker is open');
+    this.name = 'BackendUnavailableError';
+    this.status = 503;
+    this.retryAt = retryAt; // Date when the next call may reach the backend again
+  }
+}
+
+/**
+ * Error raised when fetch itself fails to reach the backend (DNS, refused or
+ * dropped connection). fetch in Workers reports these as a plain TypeError,
+ * which would be indistinguishable from a bug in our own code
+ */
+export class BackendNetworkError extends Error {
+  constructor(cause) {
+    super(`Backend connection failed: ${cause.message}`, { cause });
+    this.name = 'BackendNetworkError';
+  }
+}
+
+/**
+ * Error raised when a backend call runs out of time
+ * phase: 'connect' (no connection within the connect budget), 'response' (no
+ * complete answer within the per-call budget) or 'deadline' (the MCP request's
+ * time limit ran out)
+ */
+export class BackendTimeoutError extends Error {
+  constructor(phase, timeoutMs = null) {
+    super(phase === 'deadline'
+      ? 'Request deadline exceeded before the backend answered'
+      : `Backend ${phase === 'connect' ? 'connection' : 'response'} timed out after ${timeoutMs} ms`);
+    this.name = 'BackendTimeoutError';
+    this.status = 504;
+    this.phase = phase;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Error raised in replay mode when no recording matches a backend search
+ * (see backendRecorder.js)
+ */
+export class RecordingNotFoundError extends Error {
+  constructor(filters) {
+    super('No recorded backend response for this search');
+    this.name = 'RecordingNotFoundError';
+    this.status = 404;
+    this.filters = filters; // Normalized filters of the search that had no recording
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * Backend endpoint pool for MCP Job Matcher Server
+ * Keeps a prioritized list of job matching backends (BACKEND_URLS), probes
+ * their health endpoint periodically and sends each call to the healthiest
+ * one, failing over to the next backend when a call fails. Shared by the
+ * Node.js and Cloudflare Workers backend clients.
+ *
+ * Ranking: backends that answered their last probe or call come first, then
+ * lower priority numbers, then faster health probes. Backends whose last call
+ * or probe failed are only tried once every other backend has failed too.
+ * Failover happens on 429 and 5xx responses, network errors and timeouts; other
+ * errors (e.g. 400 for an unreadable resume) are returned as they are. Each
+ * backend gets its own time budget (callTimeoutMs), so a backend that does not
+ * answer in time fails over to the next one within the same attempt.
+ */
+
+import { BackendError, BackendTimeoutError } from './backendError.js';
+import { isRetryableError, anySignal } from './backendResilience.js';
+
+/**
+ * Parse a BACKEND_URLS list: comma-separated base URLs with an OPTIONAL
+ * "=priority" suffix (lower is preferred, default is the position in the list)
+ * @param {string} value - e.g. "https://primary.example.com=1,https://backup.example.com=2"
+ * @returns {Array} - [{ url, priority }]
+ * @throws {Error} - When an entry is not an http(s) URL
+ */
+export function parseBackendUrls(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const match = entry.match(/^(.*?)(?:=(\d+))?$/);
+      const url = match[1].trim().replace(/\/+$/, '');
+      if (!/^https?:\/\/[^/]+/.test(url)) {
+        throw new Error(`Invalid backend URL in BACKEND_URLS: ${entry}`);
+      }
+      return { url, priority: match[2] !== undefined ? parseInt(match[2], 10) : index + 1 };
+    });
+}
+
+class BackendPool {
+  constructor(endpoints = [], { healthPath = '/health', probeIntervalMs = 30000, probeTimeoutMs = 5000, callTimeoutMs = 0 } = {}) {
+    this.healthPath = healthPath;
+    this.probeIntervalMs = probeIntervalMs;
+    this.probeTimeoutMs = probeTimeoutMs;
+    this.callTimeoutMs = callTimeoutMs; // Time limit of one call to one backend, 0 for none
+    this.endpoints = [];
+    this.lastProbeAt = 0;
+    this.probeTimer = null;
+    this.setEndpoints(endpoints);
+  }
+
+  /**
+   * Change the backends and probe settings (from the server configuration)
+   * @param {Array} endpoints - [{ url, priority }] from parseBackendUrls()
+   * @param {Object} options - { healthPath, probeIntervalMs (0 disables probing), probeTimeoutMs, callTimeoutMs }
+   */
+  configure(endpoints, { healthPath, probeIntervalMs, probeTimeoutMs, callTimeoutMs } = {}) {
+    this.setEndpoints(endpoints);
+    if (healthPath) {
+      this.healthPath = healthPath.startsWith('/') ? healthPath : `/${healthPath}`;
+    }
+    if (probeIntervalMs !== undefined && probeIntervalMs >= 0) {
+      this.probeIntervalMs = probeIntervalMs;
+    }
+    if (probeTimeoutMs > 0) {
+      this.probeTimeoutMs = probeTimeoutMs;
+    }
+    if (callTimeoutMs !== undefined && callTimeoutMs >= 0) {
+      this.callTimeoutMs = callTimeoutMs;
+    }
+  }
+
+  setEndpoints(endpoints) {
+    this.endpoints = endpoints.map(({ url, priority }) => ({
+      url,
+      priority,
+      state: 'unknown', // 'unknown' until the first probe or call, then 'healthy' or 'unhealthy'
+      failures: 0, // Consecutive failed probes and calls
+      latencyMs: null, // Duration of the last successful probe
+      lastCheckedAt: null,
+      lastError: null
+    }));
+  }
+
+  /**
+   * Backends in the order calls try them
+   * @returns {Array} - Endpoint entries, healthiest first
+   */
+  rank() {
+    const unhealthy = endpoint => (endpoint.state === 'unhealthy' ? 1 : 0);
+
+    return [...this.endpoints].sort((a, b) =>
+      unhealthy(a) - unhealthy(b)
+      || unhealthy(a) * (a.failures - b.failures) // Among failed backends, the one that failed least often
+      || a.priority - b.priority
+      || (a.latencyMs ?? Number.MAX_SAFE_INTEGER) - (b.latencyMs ?? Number.MAX_SAFE_INTEGER)
+    );
+  }
+
+  /**
+   * Call the healthiest backend, failing over to the next one when it fails
+   * @param {Function} request - async (baseUrl, signal) => backend response, one call to one backend
+   * @param {AbortSignal} signal - OPTIONAL, aborted when the caller gives up or its time runs out
+   * @returns {Promise<Object>} - Backend response, with served_by set to the base URL of the backend
+   * @throws {BackendTimeoutError} - When the last backend tried ran out of callTimeoutMs
+   * @throws {Error} - Error of the last backend tried
+   */
+  async call(request, signal = null) {
+    if (this.endpoints.length === 0) {
+      throw new Error('No backend configured. Set BACKEND_URLS');
+    }
+
+    const ranked = this.rank();
+    let lastError = null;
+
+    for (const [index, endpoint] of ranked.entries()) {
+      const callTimeout = this.callTimeoutMs > 0 ? AbortSignal.timeout(this.callTimeoutMs) : null;
+
+      try {
+        const response = await request(endpoint.url, anySignal([signal, callTimeout]));
+        this.markHealthy(endpoint);
+        return { ...response, served_by: endpoint.url };
+      } catch (caughtError) {
+        // A timed out attempt counts against the backend, a cancelled one does not
+        if (signal?.aborted) {
+          if (signal.reason?.name === 'TimeoutError') {
+            this.markUnhealthy(endpoint, caughtError);
+          }
+          throw caughtError;
+        }
+
+        // Only this backend's budget ran out: try the next one
+        const error = callTimeout?.aborted ? new BackendTimeoutError('response', this.callTimeoutMs) : caughtError;
+        lastError = error;
+
+        if (!isFailoverError(error)) {
+          throw error;
+        }
+
+        this.markUnhealthy(endpoint, error);
+        if (index < ranked.length - 1) {
+          console.error(`Backend ${endpoint.url} failed (${error.message}), failing over to ${ranked[index + 1].url}`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Probe the health endpoint of every backend
+   * Any answer below 500 counts as healthy, so a backend without the health
+   * route is still checked for reachability
+   * @param {Function} fetchStatus - async (url, signal) => HTTP status of a GET request
+   * @returns {Promise<Array>} - Status of every backend (see getStatus())
+   */
+  async probeAll(fetchStatus) {
+    this.lastProbeAt = Date.now();
+
+    await Promise.all(this.endpoints.map(async endpoint => {
+      const startedAt = Date.now();
+      const probeSignal = AbortSignal.timeout(this.probeTimeoutMs);
+      try {
+        const status = await fetchStatus(`${endpoint.url}${this.healthPath}`, probeSignal);
+        if (status >= 500) {
+          throw new BackendError(status, { detail: 'Health check failed' });
+        }
+        this.markHealthy(endpoint, Date.now() - startedAt);
+      } catch (error) {
+        this.markUnhealthy(endpoint, probeSignal.aborted
+          ? new Error(`Health check timed out after ${this.probeTimeoutMs} ms`)
+          : error);
+      }
+      endpoint.lastCheckedAt = new Date();
+    }));
+
+    return this.getStatus();
+  }
+
+  /**
+   * Probe the backends unless they were probed within the probe interval
+   * (for runtimes without long-lived timers, such as Cloudflare Workers)
+   * @param {Function} fetchStatus - async (url, signal) => HTTP status of a GET request
+   * @returns {Promise|null} - Running probe, or null when no probe is due
+   */
+  probeIfDue(fetchStatus) {
+    if (this.probeIntervalMs === 0 || Date.now() - this.lastProbeAt < this.probeIntervalMs) {
+      return null;
+    }
+    return this.probeAll(fetchStatus);
+  }
+
+  /**
+   * Probe the backends now and then every probe interval, without keeping the process alive
+   * Does nothing when probing already runs or is disabled
+   * @param {Function} fetchStatus - async (url, signal) => HTTP status of a GET request
+   */
+  startProbing(fetchStatus) {
+    if (this.probeTimer || this.probeIntervalMs === 0) {
+      return;
+    }
+
+    const probe = () => this.probeAll(fetchStatus).catch(error => {
+      console.error('Backend health probe failed:', error.message);
+    });
+    this.probeTimer = setInterval(probe, this.probeIntervalMs);
+    this.probeTimer.unref?.();
+    probe();
+  }
+
+  /**
+   * Stop periodic probing
+   */
+  stopProbing() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
+  }
+
+  /**
+   * Get the status of every backend (for health checks), in ranking order
+   * @returns {Array} - [{ url, priority, state, failures, latencyMs, lastCheckedAt, lastError }]
+   */
+  getStatus() {
+    return this.rank().map(({ url, priority, state, failures, latencyMs, lastCheckedAt, lastError }) => ({
+      url,
+      priority,
+      state,
+      failures,
+      latencyMs,
+      lastCheckedAt,
+      lastError
+    }));
+  }
+
+  markHealthy(endpoint, latencyMs = null) {
+    endpoint.state = 'healthy';
+    endpoint.failures = 0;
+    endpoint.lastError = null;
+    if (latencyMs !== null) {
+      endpoint.latencyMs = latencyMs;
+    }
+  }
+
+  markUnhealthy(endpoint, error) {
+    endpoint.state = 'unhealthy';
+    endpoint.failures++;
+    endpoint.lastError = error.message;
+  }
+}
+
+/**
+ * Errors that make the next backend worth a try
+ */
+function isFailoverError(error) {
+  return isRetryableError(error) || (error instanceof BackendError && error.status >= 500);
+}
+
+// Export singleton instance with default values
+// The entry points apply BACKEND_URLS and the probe settings with configure()
+export const backendPool = new BackendPool(
+  [],
+  {
+    healthPath: '/health', // Health endpoint of every backend
+    probeIntervalMs: 30000, // Time between health probes
+    probeTimeoutMs: 5000 // Time limit of one health probe
+  }
+);
+
+// Also export the class for testing
+export { BackendPool };
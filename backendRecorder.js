@@ -0,0 +1,160 @@
+/**
+ * Backend traffic recorder for MCP Job Matcher Server
+ * In record mode every backend request and its response (or error) is saved
+ * as one recording; in replay mode searches are answered from those
+ * recordings without contacting the backend. Recordings make formatting bugs
+ * seen in production reproducible offline (see BACKEND_RECORD_DIR and
+ * BACKEND_REPLAY_DIR in the README).
+ *
+ * The resume never reaches a recording: the request keeps only its kind and
+ * size, and the file name the backend echoes back is replaced. The entry
+ * point brings the storage (a fixtures directory for Node.js) with the
+ * read(key) / write(key, recording) / list() interface.
+ *
+ * Replay looks up the recording of the exact search first (same key as the
+ * response cache), then falls back to the most recent recording with the same
+ * filters, since a redacted recording cannot be matched by resume.
+ */
+
+import { BackendError, RecordingNotFoundError } from './backendError.js';
+import { normalizeFilters } from './responseCache.js';
+
+// Format version of recordings, bumped when their structure changes
+export const RECORDING_VERSION = 1;
+
+class BackendRecorder {
+  constructor() {
+    this.mode = null; // null (off), 'record' or 'replay'
+    this.storage = null;
+  }
+
+  /**
+   * Switch recording or replay on or off
+   * @param {string|null} mode - 'record', 'replay' or null
+   * @param {Object|null} storage - { read(key): Promise<Object|null>, write(key, recording): Promise<void>, list(): Promise<Array> }
+   * @throws {Error} - For an unknown mode, or a mode without storage
+   */
+  configure(mode, storage = null) {
+    if (mode !== null && !['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown backend recorder mode: ${mode}`);
+    }
+    if (mode !== null && !storage) {
+      throw new Error(`Backend recorder mode "${mode}" needs a storage`);
+    }
+    this.mode = mode;
+    this.storage = storage;
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Send one request to one backend and, in record mode, save its response
+   * Successful responses and backend HTTP errors are recorded; network errors
+   * and timeouts are not, since they carry no response to replay
+   * @param {Function} request - async () => backend response
+   * @param {Object} search - { key (from buildCacheKey()), args, resumeFile, backend (base URL) }
+   * @returns {Promise<Object>} - Backend response, unchanged
+   */
+  async record(request, { key, args, resumeFile = null, backend }) {
+    if (!this.isRecording()) {
+      return await request();
+    }
+
+    try {
+      const body = await request();
+      await this.save(key, args, resumeFile, backend, { status: 200, retryAfter: null, body });
+      return body;
+    } catch (error) {
+      if (error instanceof BackendError) {
+        await this.save(key, args, resumeFile, backend, { status: error.status, retryAfter: error.retryAfter, body: error.data });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Answer a backend search from the recordings
+   * @param {string} key - Key from buildCacheKey()
+   * @param {Object} args - Tool arguments passed to callBackendAPI
+   * @returns {Promise<Object>} - Recorded response, served_by naming the recording
+   * @throws {BackendError} - When the recorded response was an error
+   * @throws {RecordingNotFoundError} - When no recording matches the search
+   */
+  async replay(key, args) {
+    const filters = normalizeFilters(args);
+    const recording = await this.storage.read(key) ?? await this.findByFilters(filters);
+
+    if (!recording) {
+      throw new RecordingNotFoundError(filters);
+    }
+
+    const { status, retryAfter, body } = recording.response;
+    if (status >= 400) {
+      throw new BackendError(status, body, retryAfter);
+    }
+
+    return { ...body, served_by: `replay://${recording.key.slice(0, 12)}.recording` };
+  }
+
+  /**
+   * Most recent recording with the given filters
+   */
+  async findByFilters(filters) {
+    const wanted = JSON.stringify(filters);
+    const matching = (await this.storage.list())
+      .filter(recording => JSON.stringify(recording.request?.filters) === wanted)
+      .sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)));
+
+    return matching[0] ?? null;
+  }
+
+  async save(key, args, resumeFile, backend, response) {
+    const recording = {
+      version: RECORDING_VERSION,
+      key,
+      recordedAt: new Date().toISOString(),
+      backend,
+      request: {
+        resume: resumeFile
+          ? { redacted: true, source: 'file', mimeType: resumeFile.mimeType, bytes: resumeFile.bytes.byteLength }
+          : { redacted: true, source: 'text', characters: (args.resume_text || '').length },
+        filters: normalizeFilters(args)
+      },
+      response: { ...response, body: redactResponseBody(response.body) }
+    };
+
+    // A failed write must not fail the search it records
+    try {
+      await this.storage.write(key, recording);
+    } catch (error) {
+      console.error(`Failed to record backend response ${key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Drop the resume file name the backend echoes back, keeping its extension
+ */
+function redactResponseBody(body) {
+  if (!body?.resume_processing?.filename) {
+    return body;
+  }
+
+  const extension = String(body.resume_processing.filename).match(/\.[A-Za-z0-9]+$/)?.[0] || '';
+  return {
+    ...body,
+    resume_processing: { ...body.resume_processing, filename: `resume${extension}` }
+  };
+}
+
+// Export singleton instance, off until the entry point configures a mode
+export const backendRecorder = new BackendRecorder();
+
+// Also export the class for testing
+export { BackendRecorder };
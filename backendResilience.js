@@ -0,0 +1,352 @@
+/**
+ * Backend resilience for MCP Job Matcher Server
+ * Retries transient backend failures with exponential backoff and jitter,
+ * enforces deadlines, and fails fast with a circuit breaker while the backend
+ * is down. Shared by every transport through toolRegistry.js.
+ *
+ * Retried: 429, 502, 503, 504, network errors and timed out attempts, honoring
+ * Retry-After, as long as the request deadline leaves time for another attempt.
+ * Counted by the circuit breaker: calls that still fail with a 5xx response, a
+ * network error or a timeout after their retries.
+ * Never retried: cancelled requests and other 4xx responses.
+ */
+
+import { BackendError, BackendUnavailableError, BackendTimeoutError, BackendNetworkError } from './backendError.js';
+
+// Statuses worth another attempt (rate limited, or the backend is starting up)
+export const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3, // Attempts after the first one
+  baseDelayMs: 1000, // Delay before the first retry, doubled for each further retry
+  maxDelayMs: 10000, // Cap of the backoff delay
+  maxRetryAfterMs: 30000 // Longer Retry-After values are not waited for
+};
+
+class CircuitBreaker {
+  constructor(failureThreshold = 5, resetTimeoutMs = 30000) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed'; // 'closed', 'open' or 'half-open'
+    this.failures = 0; // Consecutive failed calls
+    this.openedAt = null;
+    this.trialInFlight = false; // A half-open circuit lets one trial call through at a time
+  }
+
+  /**
+   * Change the thresholds (from the server configuration)
+   * @param {Object} options - { failureThreshold, resetTimeoutMs }
+   */
+  configure({ failureThreshold, resetTimeoutMs } = {}) {
+    if (failureThreshold > 0) {
+      this.failureThreshold = failureThreshold;
+    }
+    if (resetTimeoutMs > 0) {
+      this.resetTimeoutMs = resetTimeoutMs;
+    }
+  }
+
+  /**
+   * Let a call through, or fail fast while the circuit is open
+   * After resetTimeoutMs the circuit is half-open: one trial call goes through
+   * and its result closes or reopens the circuit; other calls keep failing fast
+   * until it settles
+   * @param {boolean} isTrial - True when the caller already holds the trial (its retries)
+   * @returns {boolean} - True when the caller holds the trial call
+   * @throws {BackendUnavailableError} - While the circuit is open or another call is the trial
+   */
+  assertClosed(isTrial = false) {
+    if (this.state === 'closed') {
+      return false;
+    }
+
+    if (this.state === 'open') {
+      const retryAt = this.openedAt + this.resetTimeoutMs;
+      if (Date.now() < retryAt) {
+        throw new BackendUnavailableError(new Date(retryAt));
+      }
+      this.state = 'half-open';
+    } else if (this.trialInFlight && !isTrial) {
+      throw new BackendUnavailableError(new Date());
+    }
+
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Give up the trial call without a verdict (cancelled, or failed for a reason
+   * that says nothing about the backend), so the next call becomes the trial
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a successful backend call
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a backend call that failed after its retries because the backend is down
+   * @returns {boolean} - True if this failure opened the circuit
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      const opened = this.state !== 'open';
+      this.state = 'open';
+      this.openedAt = Date.now();
+      return opened;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the circuit status (for health checks)
+   * @returns {Object} - { state, failures, failureThreshold, retryAt }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs) : null
+    };
+  }
+}
+
+/**
+ * Call the backend, retrying transient failures
+ * Each attempt gets its own signal, aborted when the client cancels, when the
+ * attempt takes longer than attemptTimeoutMs, or when the deadline passes
+ * @param {Function} call - async (attemptSignal) => backend response, one attempt
+ * @param {Object} options - { signal, deadline (epoch ms, OPTIONAL), attemptTimeoutMs (OPTIONAL),
+ *   retryPolicy, circuitBreaker, onRetry({ attempt, delayMs, error }), onCircuitOpen({ retryAt, error }) }
+ * @returns {Promise<Object>} - Backend response
+ * @throws {BackendUnavailableError} - While the circuit breaker is open
+ * @throws {BackendTimeoutError} - When an attempt or the whole request runs out of time
+ * @throws {Error} - Error of the last attempt
+ */
+export async function callWithRetry(call, {
+  signal = null,
+  deadline = null,
+  attemptTimeoutMs = null,
+  retryPolicy = DEFAULT_RETRY_POLICY,
+  circuitBreaker = backendCircuitBreaker,
+  onRetry = () => {},
+  onCircuitOpen = () => {}
+} = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retryPolicy };
+  let isTrial = false; // Whether this call is the trial call of a half-open circuit
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      isTrial = circuitBreaker.assertClosed(isTrial);
+
+      const attemptTimeout = createAttemptTimeout(deadline, attemptTimeoutMs);
+      if (attemptTimeout.expired) {
+        throw new BackendTimeoutError('deadline');
+      }
+
+      try {
+        const response = await call(anySignal([signal, attemptTimeout.signal]));
+        circuitBreaker.recordSuccess();
+        return response;
+      } catch (caughtError) {
+        // A cancelled request says nothing about the backend
+        if (signal?.aborted) {
+          throw caughtError;
+        }
+
+        const error = attemptTimeout.signal?.aborted ? attemptTimeout.error() : caughtError;
+
+        let delayMs = isRetryableError(error) && attempt < policy.maxRetries
+          ? retryDelayMs(error, attempt, policy)
+          : null;
+
+        // Do not wait for a retry that would start after the deadline
+        if (delayMs !== null && deadline !== null && Date.now() + delayMs >= deadline) {
+          delayMs = null;
+        }
+
+        if (delayMs === null) {
+          if (isBackendDownError(error) && circuitBreaker.recordFailure()) {
+            onCircuitOpen({ retryAt: circuitBreaker.getStatus().retryAt, error });
+          }
+          throw error;
+        }
+
+        onRetry({ attempt: attempt + 1, delayMs, error });
+        await sleep(delayMs, signal);
+      }
+    }
+  } finally {
+    // A trial that ended without recordSuccess() or recordFailure() lets the next call be the trial
+    if (isTrial) {
+      circuitBreaker.releaseTrial();
+    }
+  }
+}
+
+/**
+ * Time budget of one attempt: attemptTimeoutMs, cut short by the deadline
+ * @returns {Object} - { expired, signal (null without a budget), error() for a timed out attempt }
+ */
+function createAttemptTimeout(deadline, attemptTimeoutMs) {
+  const remainingMs = deadline !== null ? deadline - Date.now() : Infinity;
+  if (remainingMs <= 0) {
+    return { expired: true, signal: null };
+  }
+
+  const budgetMs = Math.min(remainingMs, attemptTimeoutMs || Infinity);
+  if (budgetMs === Infinity) {
+    return { expired: false, signal: null };
+  }
+
+  return {
+    expired: false,
+    signal: AbortSignal.timeout(budgetMs),
+    error: () => budgetMs < (attemptTimeoutMs || Infinity)
+      ? new BackendTimeoutError('deadline')
+      : new BackendTimeoutError('response', attemptTimeoutMs)
+  };
+}
+
+/**
+ * Combine abort signals, leaving out missing ones
+ * @param {Array} signals - AbortSignals, or null for a missing one
+ * @returns {AbortSignal|undefined} - Aborted when any of them is, undefined without signals
+ */
+export function anySignal(signals) {
+  const present = signals.filter(Boolean);
+  if (present.length <= 1) {
+    return present[0];
+  }
+  if (AbortSignal.any) {
+    return AbortSignal.any(present);
+  }
+
+  // Node 18 has no AbortSignal.any
+  const controller = new AbortController();
+  const abort = signal => {
+    controller.abort(signal.reason);
+    present.forEach(other => other.removeEventListener('abort', onAbort));
+  };
+  const onAbort = event => abort(event.target);
+  const aborted = present.find(signal => signal.aborted);
+  if (aborted) {
+    abort(aborted);
+  } else {
+    present.forEach(signal => signal.addEventListener('abort', onAbort, { once: true }));
+  }
+  return controller.signal;
+}
+
+/**
+ * Check whether a failed attempt is worth retrying
+ * @param {Error} error - Error of the attempt
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error instanceof BackendError) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  if (error instanceof BackendTimeoutError) {
+    return error.phase !== 'deadline';
+  }
+  return isNetworkError(error);
+}
+
+/**
+ * Delay before the next attempt: Retry-After if the backend sent one,
+ * otherwise exponential backoff with jitter
+ * @returns {number|null} - Delay in milliseconds, or null if Retry-After is too long to wait for
+ */
+export function retryDelayMs(error, attempt, policy = DEFAULT_RETRY_POLICY) {
+  const retryAfterMs = parseRetryAfter(error.retryAfter);
+  if (retryAfterMs !== null) {
+    return retryAfterMs <= policy.maxRetryAfterMs ? retryAfterMs : null;
+  }
+
+  // Equal jitter: half the backoff is fixed, the other half random
+  const backoffMs = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Milliseconds to wait, or null without a valid header
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const retryAt = Date.parse(value);
+  return Number.isNaN(retryAt) ? null : Math.max(0, retryAt - Date.now());
+}
+
+function isBackendDownError(error) {
+  if (error instanceof BackendError) {
+    return error.status >= 500;
+  }
+  if (error instanceof BackendTimeoutError) {
+    return error.phase !== 'deadline';
+  }
+  return isNetworkError(error);
+}
+
+/**
+ * Connection failures: node-fetch raises FetchError, the Worker wraps the
+ * TypeError of its fetch call in BackendNetworkError. Other errors, such as a
+ * TypeError from a bug, are neither retried nor counted by the circuit breaker
+ */
+function isNetworkError(error) {
+  return error?.name === 'FetchError' || error instanceof BackendNetworkError;
+}
+
+/**
+ * Wait, or stop early when the request is cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Export singleton instance with default values
+// The entry points apply their configuration with configure()
+export const backendCircuitBreaker = new CircuitBreaker(
+  5, // Consecutive failed calls that open the circuit
+  30000 // Time until the backend is tried again
+);
+
+// Also export the class for testing
+export { CircuitBreaker };
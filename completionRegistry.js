@@ -0,0 +1,244 @@
+/**
+ * MCP argument completion for MCP Job Matcher Server
+ * Answers completion/complete for prompt arguments, resource template
+ * variables and tool arguments, shared by the stdio server (index.js) and the
+ * HTTP transports (mcpProtocol.js):
+ *   - location: real city names, with states and regions expanded to their cities
+ *   - keywords / skills: skills seen in stored search results
+ *   - sort_by: the sort_by enum from tools.js
+ *   - result_id / job_id / format: stored result sets, their jobs and export formats
+ * Comma-separated arguments complete their last entry and keep the others
+ */
+
+import { tools } from './tools.js';
+import { resultStore } from './resultStore.js';
+import { promptRegistry } from './promptRegistry.js';
+import { RESOURCE_TEMPLATES } from './resourceRegistry.js';
+import { EXPORT_FORMATS } from './exporter.js';
+import { JsonRpcError, JSON_RPC_ERROR_CODES } from './jsonRpcError.js';
+import { extractRequiredSkills, generateJobId } from './markdownFormatter.js';
+
+// completion/complete returns at most 100 values
+export const MAX_COMPLETION_VALUES = 100;
+
+// Major cities and tech hubs offered for location
+export const CITIES = [
+  // United States
+  'New York', 'Brooklyn', 'Jersey City', 'San Francisco', 'San Jose', 'Oakland', 'Palo Alto',
+  'Mountain View', 'Sunnyvale', 'Santa Clara', 'Menlo Park', 'Redwood City', 'Cupertino',
+  'Los Angeles', 'Santa Monica', 'Irvine', 'San Diego', 'Sacramento', 'Seattle', 'Bellevue',
+  'Redmond', 'Portland', 'Austin', 'Dallas', 'Houston', 'San Antonio', 'Plano', 'Boston',
+  'Cambridge', 'Chicago', 'Denver', 'Boulder', 'Atlanta', 'Miami', 'Tampa', 'Orlando',
+  'Raleigh', 'Durham', 'Charlotte', 'Washington', 'Arlington', 'Reston', 'Baltimore',
+  'Philadelphia', 'Pittsburgh', 'Phoenix', 'Salt Lake City', 'Minneapolis', 'Detroit',
+  'Columbus', 'Nashville', 'Las Vegas',
+  // Canada
+  'Toronto', 'Vancouver', 'Montreal', 'Ottawa', 'Waterloo', 'Calgary',
+  // Europe
+  'London', 'Manchester', 'Edinburgh', 'Cambridge UK', 'Dublin', 'Berlin', 'Munich', 'Hamburg',
+  'Frankfurt', 'Amsterdam', 'Paris', 'Madrid', 'Barcelona', 'Lisbon', 'Zurich', 'Stockholm',
+  'Copenhagen', 'Oslo', 'Helsinki', 'Warsaw', 'Krakow', 'Prague', 'Vienna', 'Milan',
+  // Asia-Pacific
+  'Bangalore', 'Bengaluru', 'Hyderabad', 'Pune', 'Chennai', 'Mumbai', 'Gurgaon', 'Noida',
+  'Delhi', 'Singapore', 'Tokyo', 'Seoul', 'Hong Kong', 'Shanghai', 'Sydney', 'Melbourne',
+  // Middle East & Latin America
+  'Tel Aviv', 'Dubai', 'Sao Paulo', 'Mexico City', 'Buenos Aires', 'Bogota',
+  // Work arrangement
+  'Remote'
+];
+
+// States, countries and regions with their cities, as the location description requires
+export const REGION_CITIES = {
+  'California': ['San Francisco', 'San Jose', 'Oakland', 'Palo Alto', 'Mountain View', 'Sunnyvale', 'Santa Clara', 'Los Angeles', 'Santa Monica', 'Irvine', 'San Diego', 'Sacramento'],
+  'Bay Area': ['San Francisco', 'San Jose', 'Oakland', 'Palo Alto', 'Mountain View', 'Sunnyvale', 'Santa Clara', 'Menlo Park', 'Redwood City', 'Cupertino'],
+  'Southern California': ['Los Angeles', 'Santa Monica', 'Irvine', 'San Diego'],
+  'New York State': ['New York', 'Brooklyn'],
+  'Texas': ['Austin', 'Dallas', 'Houston', 'San Antonio', 'Plano'],
+  'Washington State': ['Seattle', 'Bellevue', 'Redmond'],
+  'Pacific Northwest': ['Seattle', 'Bellevue', 'Redmond', 'Portland', 'Vancouver'],
+  'Massachusetts': ['Boston', 'Cambridge'],
+  'Colorado': ['Denver', 'Boulder'],
+  'Florida': ['Miami', 'Tampa', 'Orlando'],
+  'North Carolina': ['Raleigh', 'Durham', 'Charlotte'],
+  'DC Metro': ['Washington', 'Arlington', 'Reston', 'Baltimore'],
+  'United States': ['New York', 'San Francisco', 'Seattle', 'Austin', 'Boston', 'Los Angeles', 'Chicago', 'Denver', 'Atlanta', 'Washington'],
+  'Canada': ['Toronto', 'Vancouver', 'Montreal', 'Ottawa', 'Waterloo', 'Calgary'],
+  'United Kingdom': ['London', 'Manchester', 'Edinburgh', 'Cambridge UK'],
+  'Germany': ['Berlin', 'Munich', 'Hamburg', 'Frankfurt'],
+  'India': ['Bangalore', 'Bengaluru', 'Hyderabad', 'Pune', 'Chennai', 'Mumbai', 'Gurgaon', 'Noida', 'Delhi'],
+  'Australia': ['Sydney', 'Melbourne']
+};
+
+/**
+ * Argument completers: argument name -> (prefix) => candidate values, best first
+ * Resource template variables use the same completers under their camelCase names
+ */
+const ARGUMENT_COMPLETERS = {
+  location: completeLocation,
+  keywords: prefix => matchPrefix(seenSkills(), prefix),
+  skills: prefix => matchPrefix(seenSkills(), prefix),
+  sort_by: prefix => matchPrefix(tools.match_resume.inputSchema.properties.sort_by.enum, prefix),
+  result_id: prefix => matchPrefix(resultStore.list().map(({ resultId }) => resultId), prefix),
+  job_id: prefix => matchPrefix(storedJobIds(), prefix),
+  format: prefix => matchPrefix(Object.keys(EXPORT_FORMATS), prefix)
+};
+ARGUMENT_COMPLETERS.resultId = ARGUMENT_COMPLETERS.result_id;
+ARGUMENT_COMPLETERS.jobId = ARGUMENT_COMPLETERS.job_id;
+
+// Arguments that hold comma-separated lists
+const LIST_ARGUMENTS = ['location', 'keywords', 'skills'];
+
+/**
+ * Complete an argument value
+ * @param {Object} ref - { type: 'ref/prompt', name }, { type: 'ref/resource', uri } (a URI template)
+ *   or { type: 'ref/tool', name }
+ * @param {Object} argument - { name, value } with the value typed so far
+ * @returns {Object} - { completion: { values, total, hasMore } }
+ * @throws {JsonRpcError} - Invalid params (-32602) for a malformed request or an unknown prompt, template or tool
+ */
+export function completeArgument(ref, argument) {
+  if (!argument || typeof argument.name !== 'string' || typeof argument.value !== 'string') {
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'completion/complete requires an argument name and value', {
+      param: 'argument'
+    });
+  }
+
+  const completer = refAcceptsArgument(ref, argument.name) ? ARGUMENT_COMPLETERS[argument.name] : null;
+  if (!completer) {
+    return completionResult([]);
+  }
+
+  // Complete the last entry of a list and keep the entries before it
+  const isList = LIST_ARGUMENTS.includes(argument.name);
+  const separatorIndex = isList ? argument.value.lastIndexOf(',') : -1;
+  const head = separatorIndex >= 0 ? `${argument.value.slice(0, separatorIndex + 1)} ` : '';
+  const prefix = argument.value.slice(separatorIndex + 1).trim();
+
+  const previousEntries = head.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  const candidates = completer(prefix).filter(value => !previousEntries.includes(value.toLowerCase()));
+
+  return completionResult(candidates.map(value => `${head}${value}`));
+}
+
+/**
+ * Check that the referenced prompt, resource template or tool has the argument
+ */
+function refAcceptsArgument(ref, argumentName) {
+  switch (ref?.type) {
+    case 'ref/prompt': {
+      const prompt = promptRegistry[ref.name];
+      if (!prompt) {
+        throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${ref.name}`, {
+          prompt: ref.name,
+          availablePrompts: Object.keys(promptRegistry)
+        });
+      }
+      return prompt.definition.arguments.some(argument => argument.name === argumentName);
+    }
+
+    case 'ref/resource': {
+      const template = RESOURCE_TEMPLATES.find(resourceTemplate => resourceTemplate.uriTemplate === ref.uri);
+      if (!template) {
+        throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Unknown resource template: ${ref.uri}`, {
+          uri: ref.uri,
+          availableTemplates: RESOURCE_TEMPLATES.map(resourceTemplate => resourceTemplate.uriTemplate)
+        });
+      }
+      return template.uriTemplate.includes(`{${argumentName}}`);
+    }
+
+    case 'ref/tool': {
+      const tool = tools[ref.name];
+      if (!tool) {
+        throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${ref.name}`, {
+          tool: ref.name,
+          availableTools: Object.keys(tools)
+        });
+      }
+      return Object.hasOwn(tool.inputSchema.properties || {}, argumentName);
+    }
+
+    default:
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'completion/complete requires a ref/prompt, ref/resource or ref/tool reference', {
+        param: 'ref'
+      });
+  }
+}
+
+/**
+ * Cities matching the prefix, then the cities of matching states and regions
+ */
+function completeLocation(prefix) {
+  const regionCities = Object.entries(REGION_CITIES)
+    .filter(([region]) => prefix !== '' && matchesPrefix(region, prefix))
+    .flatMap(([, cities]) => cities);
+
+  return unique([...matchPrefix(CITIES, prefix), ...regionCities]);
+}
+
+/**
+ * Skills from extracted_skills and the Required Skills sections of the stored results,
+ * most frequent first
+ */
+function seenSkills() {
+  const counts = new Map(); // lowercase skill -> { skill, count }
+
+  const addSkill = skill => {
+    const key = skill.trim().toLowerCase();
+    if (!key) {
+      return;
+    }
+    const entry = counts.get(key) || { skill: skill.trim(), count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  };
+
+  resultStore.list().forEach(({ data }) => {
+    (data.extracted_skills || []).forEach(addSkill);
+    (data.matches || []).forEach(match => extractRequiredSkills(match.chunk_text).forEach(addSkill));
+  });
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill))
+    .map(entry => entry.skill);
+}
+
+function storedJobIds() {
+  return unique(resultStore.list().flatMap(({ data }) =>
+    (data.matches || []).map(match => generateJobId(match))
+  ));
+}
+
+/**
+ * Values starting with the prefix first, then values with a word starting with it
+ */
+function matchPrefix(values, prefix) {
+  if (prefix === '') {
+    return [...values];
+  }
+
+  const lowerPrefix = prefix.toLowerCase();
+  const startMatches = values.filter(value => value.toLowerCase().startsWith(lowerPrefix));
+  const wordMatches = values.filter(value => !startMatches.includes(value) && matchesPrefix(value, prefix));
+  return [...startMatches, ...wordMatches];
+}
+
+function matchesPrefix(value, prefix) {
+  const lowerPrefix = prefix.toLowerCase();
+  return value.toLowerCase().split(/[\s\-_/]+/).some(word => word.startsWith(lowerPrefix))
+    || value.toLowerCase().startsWith(lowerPrefix);
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function completionResult(values) {
+  return {
+    completion: {
+      values: values.slice(0, MAX_COMPLETION_VALUES),
+      total: values.length,
+      hasMore: values.length > MAX_COMPLETION_VALUES
+    }
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Result set exporter for MCP Job Matcher Server
+ * Turns stored backend responses into CSV or JSON Lines files for spreadsheets and scripts
+ */
+
+import { transformJobData } from './markdownFormatter.js';
+
+// Supported export formats
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' }
+};
+
+// Exported columns: [header, JSON Lines key, value getter on a normalized job]
+const EXPORT_COLUMNS = [
+  ['Company', 'company', job => job.company],
+  ['Title', 'title', job => job.title],
+  ['Match', 'match', job => job.match],
+  ['Location', 'location', job => job.location],
+  ['Experience', 'experience', job => job.experience],
+  ['First Published', 'first_published', job => job.publishedDate ? job.publishedDate.slice(0, 10) : ''],
+  ['URL', 'url', job => job.url],
+  ['Salary', 'salary', job => job.salary]
+];
+
+/**
+ * Export all jobs of a backend response
+ * @param {Object} data - Backend response data
+ * @param {string} format - 'csv' or 'jsonl'
+ * @param {string} resultId - Result ID used to name the file
+ * @returns {Object} - { filename, mimeType, content, rowCount, columns }
+ */
+export function exportResults(data, format = 'csv', resultId = 'results') {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const { jobs } = transformJobData(data, null);
+
+  const content = format === 'jsonl' ? toJsonLines(jobs) : toCsv(jobs);
+
+  return {
+    filename: `jobs-${resultId}.${extension}`,
+    mimeType,
+    content,
+    rowCount: jobs.length,
+    columns: EXPORT_COLUMNS.map(([header]) => header)
+  };
+}
+
+/**
+ * Build an Excel-compatible CSV (UTF-8 BOM, CRLF line endings, RFC 4180 quoting)
+ */
+function toCsv(jobs) {
+  const lines = [EXPORT_COLUMNS.map(([header]) => header).join(',')];
+
+  jobs.forEach(job => {
+    lines.push(EXPORT_COLUMNS.map(([, , getValue]) => escapeCsvValue(getValue(job))).join(','));
+  });
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Build one JSON object per line
+ */
+function toJsonLines(jobs) {
+  return jobs.map(job => {
+    const row = {};
+    EXPORT_COLUMNS.forEach(([, key, getValue]) => {
+      row[key] = getValue(job);
+    });
+    return JSON.stringify(row);
+  }).join('\n') + (jobs.length > 0 ? '\n' : '');
+}
+
+/**
+ * Quote a CSV value when needed and neutralize spreadsheet formulas
+ */
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  // Spreadsheets would evaluate cells starting with these characters as formulas
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
@@ -1,12 +1,41 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  SetLevelRequestSchema,
+  CompleteRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import { pathToFileURL } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import { readFile, readdir, writeFile, rename, mkdir, unlink } from 'fs/promises';
+import { homedir } from 'os';
+import { randomUUID } from 'crypto';
+import http from 'http';
+import https from 'https';
+import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 import { tools } from './tools.js';
 import { rateLimiter } from './rateLimiter.js';
-import { validateInputs } from './validator.js';
-import { formatMarkdownResponse, formatTableOnlyMarkdownResponse } from './markdownFormatter.js';
+import { applicationTracker } from './applicationTracker.js';
+import { savedSearchStore } from './savedSearchStore.js';
+import { dispatchToolCall } from './toolRegistry.js';
+import { listResources, listResourceTemplates, readResource } from './resourceRegistry.js';
+import { listPrompts, getPrompt } from './promptRegistry.js';
+import { completeArgument } from './completionRegistry.js';
+import { mcpLogger } from './mcpLogger.js';
+import { BackendError, BackendTimeoutError } from './backendError.js';
+import { backendCircuitBreaker } from './backendResilience.js';
+import { responseCache, buildCacheKey } from './responseCache.js';
+import { backendRequests } from './singleFlight.js';
+import { backendPool, parseBackendUrls } from './backendPool.js';
+import { startMockBackend } from './start-mock-backend.js';
+import { backendRecorder } from './backendRecorder.js';
 import FormData from 'form-data';
 import fetch from 'node-fetch';
 
@@ -15,19 +44,227 @@ dotenv.config();
 
 // Configuration
 const CONFIG = {
-  BACKEND_URL: process.env.BACKEND_URL || 'https://job-board-aggregator.onrender.com',
+  // Backend base URLs with priorities (lower is preferred); BACKEND_URL sets a single backend
+  BACKEND_URLS: parseBackendUrls(process.env.BACKEND_URLS || process.env.BACKEND_URL
+    || 'https://job-board-aggregator.onrender.com=1,https://jobboardaggregator-production.up.railway.app=2'),
   BACKEND_ENDPOINT: process.env.BACKEND_ENDPOINT || '/server/match-resume-upload',
-  API_TOKEN: process.env.API_AUTH_TOKEN || (() => {
-    throw new Error('API_AUTH_TOKEN environment variable is required. Please set it in your .env file or environment.');
-  })(),
+  BACKEND_HEALTH_PATH: process.env.BACKEND_HEALTH_PATH || '/health', // Probed on every backend
+  BACKEND_PROBE_INTERVAL_MS: parseInt(process.env.BACKEND_PROBE_INTERVAL_MS ?? 30000), // Time between health probes, 0 disables
+  // Serve searches from the built-in mock backend (mockBackend.js) instead of BACKEND_URLS
+  MOCK_BACKEND: process.env.MOCK_BACKEND === 'true',
+  MOCK_BACKEND_SCENARIO: process.env.MOCK_BACKEND_SCENARIO || 'matches', // matches, empty, error=<status> or slow=<ms>
+  // Record backend traffic to, or replay it from, a fixtures directory (see backendRecorder.js)
+  BACKEND_RECORD_DIR: process.env.BACKEND_RECORD_DIR || null,
+  BACKEND_REPLAY_DIR: process.env.BACKEND_REPLAY_DIR || null,
+  // Neither the mock backend nor replay needs a token
+  API_TOKEN: process.env.API_AUTH_TOKEN || (process.env.MOCK_BACKEND === 'true' || process.env.BACKEND_REPLAY_DIR ? '' : (() => {
+    throw new Error('API_AUTH_TOKEN environment variable is required. Please set it in your .env file or environment, or set MOCK_BACKEND=true for offline development.');
+  })()),
   RATE_LIMIT_PER_MINUTE: parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 10,
   PORT: parseInt(process.env.PORT) || 3000,
   TRANSPORT: process.env.TRANSPORT || 'stdio', // 'stdio' or 'http'
   MAX_FILE_SIZE: 50000, // 50K characters to match validator.js
   MIN_FILE_SIZE: 50, // 50 chars to match validator.js
-  TIMEOUT: 30000 // 30 seconds
+  TIMEOUT: parseInt(process.env.TIMEOUT) || 30000, // Budget of one backend call (30 seconds)
+  CONNECT_TIMEOUT: parseInt(process.env.CONNECT_TIMEOUT) || 10000, // Budget to connect to the backend (10 seconds)
+  REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT) || 55000, // Budget of a whole tool call, retries included - below the 60 s default of MCP clients
+  CACHE_TTL: parseInt(process.env.CACHE_TTL ?? 300), // Seconds backend responses are cached, 0 disables
+  BACKEND_MAX_RETRIES: parseInt(process.env.BACKEND_MAX_RETRIES ?? 3), // Retries of 429/502/503/504 and network errors
+  CIRCUIT_BREAKER_THRESHOLD: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5, // Consecutive failed calls that pause backend calls
+  CIRCUIT_BREAKER_RESET_MS: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS) || 30000, // Pause before the backend is tried again
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info', // Default level of MCP log messages sent to clients
+  APPLICATIONS_FILE: process.env.APPLICATIONS_FILE || join(homedir(), '.job-matcher', 'applications.json'),
+  SAVED_SEARCHES_FILE: process.env.SAVED_SEARCHES_FILE || join(homedir(), '.job-matcher', 'saved-searches.json'),
+  EXPORT_DIR: process.env.EXPORT_DIR || null // Without it, exports are returned as embedded resources
 };
 
+/**
+ * Replace a file through a temporary file, so a crash never leaves it truncated
+ * Every write gets its own temporary file: parallel writes must not rename each other's
+ */
+async function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${randomUUID()}.tmp`;
+  await mkdir(dirname(file), { recursive: true });
+  try {
+    await writeFile(tempFile, content, 'utf8');
+    await rename(tempFile, file);
+  } catch (error) {
+    await unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Persist a store (tracked applications, saved searches) in a local JSON file
+ */
+function createJsonFileStorage(file) {
+  return {
+    async read() {
+      try {
+        return JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async write(entries) {
+      await writeFileAtomic(file, JSON.stringify(entries, null, 2));
+    }
+  };
+}
+
+/**
+ * Keep backend recordings as one JSON file per search in a fixtures directory
+ */
+function createRecordingDirectoryStorage(directory) {
+  return {
+    async read(key) {
+      try {
+        return JSON.parse(await readFile(join(directory, `${key}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async write(key, recording) {
+      await writeFileAtomic(join(directory, `${key}.json`), JSON.stringify(recording, null, 2));
+    },
+
+    async list() {
+      let files;
+      try {
+        files = (await readdir(directory)).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+      return await Promise.all(files.map(async file => JSON.parse(await readFile(join(directory, file), 'utf8'))));
+    }
+  };
+}
+
+applicationTracker.setStorage(createJsonFileStorage(CONFIG.APPLICATIONS_FILE));
+savedSearchStore.setStorage(createJsonFileStorage(CONFIG.SAVED_SEARCHES_FILE));
+mcpLogger.setDefaultLevel(CONFIG.LOG_LEVEL);
+backendCircuitBreaker.configure({
+  failureThreshold: CONFIG.CIRCUIT_BREAKER_THRESHOLD,
+  resetTimeoutMs: CONFIG.CIRCUIT_BREAKER_RESET_MS
+});
+responseCache.setTtl(CONFIG.CACHE_TTL * 1000);
+
+if (CONFIG.MOCK_BACKEND) {
+  const mockBackend = await startMockBackend({ endpoint: CONFIG.BACKEND_ENDPOINT, scenario: CONFIG.MOCK_BACKEND_SCENARIO });
+  CONFIG.BACKEND_URLS = [{ url: mockBackend.url, priority: 1 }];
+  console.error(`🧪 MOCK_BACKEND: searches are answered by the mock backend at ${mockBackend.url} (scenario: ${CONFIG.MOCK_BACKEND_SCENARIO})`);
+}
+
+if (CONFIG.BACKEND_RECORD_DIR && CONFIG.BACKEND_REPLAY_DIR) {
+  throw new Error('Set either BACKEND_RECORD_DIR or BACKEND_REPLAY_DIR, not both');
+}
+if (CONFIG.BACKEND_RECORD_DIR) {
+  backendRecorder.configure('record', createRecordingDirectoryStorage(CONFIG.BACKEND_RECORD_DIR));
+  console.error(`⏺️ BACKEND_RECORD_DIR: backend responses are recorded to ${CONFIG.BACKEND_RECORD_DIR}`);
+} else if (CONFIG.BACKEND_REPLAY_DIR) {
+  backendRecorder.configure('replay', createRecordingDirectoryStorage(CONFIG.BACKEND_REPLAY_DIR));
+  console.error(`▶️ BACKEND_REPLAY_DIR: searches are answered from the recordings in ${CONFIG.BACKEND_REPLAY_DIR}, the backend is not contacted`);
+}
+
+backendPool.configure(CONFIG.BACKEND_URLS, {
+  healthPath: CONFIG.BACKEND_HEALTH_PATH,
+  // Replay never contacts the backends, so there is nothing to probe
+  probeIntervalMs: backendRecorder.isReplaying() ? 0 : CONFIG.BACKEND_PROBE_INTERVAL_MS,
+  callTimeoutMs: CONFIG.TIMEOUT
+});
+
+/**
+ * Make an HTTP(S) agent give up on connections that are not established
+ * within CONNECT_TIMEOUT (node-fetch has no connect timeout of its own)
+ */
+function withConnectTimeout(agent, connectedEvent) {
+  const createConnection = agent.createConnection.bind(agent);
+
+  agent.createConnection = (options, callback) => {
+    const socket = createConnection(options, callback);
+    const timer = setTimeout(() => {
+      const error = new Error(`Connection timed out after ${CONFIG.CONNECT_TIMEOUT} ms`);
+      error.code = 'ECONNECT_TIMEOUT';
+      socket.destroy(error);
+    }, CONFIG.CONNECT_TIMEOUT);
+
+    socket.once(connectedEvent, () => clearTimeout(timer));
+    socket.once('close', () => clearTimeout(timer));
+    return socket;
+  };
+
+  return agent;
+}
+
+const backendAgents = {
+  'http:': withConnectTimeout(new http.Agent({ keepAlive: true }), 'connect'),
+  'https:': withConnectTimeout(new https.Agent({ keepAlive: true }), 'secureConnect')
+};
+
+/**
+ * GET a backend health endpoint for the backend pool's probes
+ * @returns {Promise<number>} - HTTP status of the response
+ */
+async function fetchBackendStatus(url, signal) {
+  const response = await fetch(url, {
+    agent: parsedUrl => backendAgents[parsedUrl.protocol],
+    signal
+  });
+  await response.text(); // Free the keep-alive connection
+  return response.status;
+}
+
+/**
+ * Write an exported result set to EXPORT_DIR
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function saveExportFile(filename, content) {
+  const filePath = join(CONFIG.EXPORT_DIR, filename);
+  await mkdir(CONFIG.EXPORT_DIR, { recursive: true });
+  await writeFile(filePath, content, 'utf8');
+  return filePath;
+}
+
+// Request being handled on the stdio transport, see keepErrorData()
+const stdioRequestContext = new AsyncLocalStorage();
+
+/**
+ * Let the SDK's stdio error responses carry the data of a JsonRpcError
+ * SDK 0.5.0 only copies code and message of a thrown error into the response.
+ * Every incoming message is handled in its own async context, where onRequest()
+ * records the thrown error, so send() can add its data back.
+ */
+function keepErrorData(transport) {
+  let onmessage;
+  Object.defineProperty(transport, 'onmessage', {
+    get: () => onmessage,
+    set: handler => {
+      onmessage = handler && (message => stdioRequestContext.run({ error: null }, () => handler(message)));
+    }
+  });
+
+  const send = transport.send.bind(transport);
+  transport.send = message => {
+    const data = stdioRequestContext.getStore()?.error?.data;
+    return send(message.error && message.error.data === undefined && data !== undefined
+      ? { ...message, error: { ...message.error, data } }
+      : message);
+  };
+
+  return transport;
+}
+
 /**
  * MCP Server for Job Matching Backend
  * Acts as a proxy between Claude Desktop and the job matching backend
@@ -43,166 +280,186 @@ class JobMatcherMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
+          logging: {},
+          completions: {},
         },
       }
     );
 
+    // Level set by the client with logging/setLevel (null until then)
+    this.logLevel = null;
+
+    // Probe the backends in the background (once per process)
+    backendPool.startProbing(fetchBackendStatus);
+
     this.setupHandlers();
   }
 
+  /**
+   * Register a request handler whose errors keep their JSON-RPC data on stdio (see keepErrorData())
+   */
+  onRequest(schema, handler) {
+    this.server.setRequestHandler(schema, async (request, extra) => {
+      try {
+        return await handler(request, extra);
+      } catch (error) {
+        const context = stdioRequestContext.getStore();
+        if (context) {
+          context.error = error;
+        }
+        throw error;
+      }
+    });
+  }
+
   /**
    * Setup MCP server handlers
    */
   setupHandlers() {
     // Handle tool listing
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    this.onRequest(ListToolsRequestSchema, async () => {
       return {
         tools: Object.values(tools)
       };
     });
 
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    // Handle tool calls - dispatched through the shared tool registry
+    // The SDK aborts signal on notifications/cancelled and drops the response
+    this.onRequest(CallToolRequestSchema, async (request, { signal }) => {
+      const { name, arguments: args, _meta } = request.params;
+      const progressToken = _meta?.progressToken;
+
+      return await this.callTool(name, args, {
+        signal,
+        reportProgress: progressToken !== undefined
+          ? (progress, total, message) => this.sendNotification({
+            method: 'notifications/progress',
+            params: { progressToken, progress, total, message }
+          })
+          : null,
+        log: mcpLogger.forClient(notification => this.sendNotification(notification), () => this.logLevel)
+      });
+    });
+
+    // Handle logging level changes - applies to notifications/message
+    this.onRequest(SetLevelRequestSchema, async (request) => {
+      this.logLevel = request.params.level;
+      return {};
+    });
+
+    // Handle resources - stored result sets and their jobs
+    this.onRequest(ListResourcesRequestSchema, async (request) => {
+      return listResources(request.params?.cursor);
+    });
+
+    this.onRequest(ListResourceTemplatesRequestSchema, async () => {
+      return listResourceTemplates();
+    });
+
+    this.onRequest(ReadResourceRequestSchema, async (request) => {
+      return readResource(request.params.uri);
+    });
+
+    // Handle prompts - reusable job-search workflows
+    this.onRequest(ListPromptsRequestSchema, async () => {
+      return listPrompts();
+    });
+
+    this.onRequest(GetPromptRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
+      return getPrompt(name, args);
+    });
 
-      if (name === 'match_resume') {
-        try {
-          return await this.handleMatchResumeCall(args);
-        } catch (error) {
-          console.error('Tool call error:', error);
-          throw error;
-        }
-      } else if (name === 'match_jobs_to_apply') {
-        try {
-          return await this.handleMatchJobsToApplyCall(args);
-        } catch (error) {
-          console.error('Tool call error:', error);
-          throw error;
-        }
-      } else {
-        throw new Error(`Unknown tool: ${name}`);
-      }
+    // Handle argument completion - prompt arguments and resource template variables
+    // (the SDK only accepts ref/prompt and ref/resource references)
+    this.onRequest(CompleteRequestSchema, async (request) => {
+      const { ref, argument } = request.params;
+      return completeArgument(ref, argument);
     });
   }
 
   /**
-   * Handle match_resume tool call
+   * Run a tool through the shared tool registry
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} overrides - Context overrides (e.g. sessionId, rateLimit from the HTTP server,
+   *   signal, reportProgress and log from the MCP request)
+   * @returns {Promise<Object>} - MCP tool result
    */
-  async handleMatchResumeCall(args) {
-    const sessionId = this.getSessionId();
-    
-    try {
-      // Apply rate limiting
-      const rateLimitResult = rateLimiter.checkLimit(sessionId);
-      if (!rateLimitResult.allowed) {
-        return {
-          content: [{
-            type: 'text',
-            text: this.formatRateLimitError(rateLimitResult)
-          }]
-        };
-      }
-
-      // Validate inputs
-      const validation = validateInputs(args);
-      if (!validation.valid) {
-        return {
-          content: [{
-            type: 'text',
-            text: this.formatValidationError(validation.errors)
-          }]
-        };
-      }
-
-      // Call backend API
-      const backendResponse = await this.callBackendAPI(args);
-      
-      // Format response as Markdown artifact - return all jobs from backend directly
-      const markdownResponse = formatMarkdownResponse(backendResponse, rateLimitResult.remaining);
-
-      return {
-        content: [{
-          type: 'text',
-          text: markdownResponse
-        }]
-      };
+  async callTool(name, args = {}, overrides = {}) {
+    return await dispatchToolCall(name, args || {}, {
+      sessionId: this.getSessionId(),
+      rateLimiter,
+      callBackendAPI: (toolArgs, resumeFile, callOptions) => this.callBackendAPI(toolArgs, resumeFile, callOptions),
+      retryPolicy: { maxRetries: CONFIG.BACKEND_MAX_RETRIES },
+      requestTimeout: CONFIG.REQUEST_TIMEOUT,
+      responseCache: CONFIG.CACHE_TTL > 0 ? responseCache : null,
+      saveExportFile: CONFIG.EXPORT_DIR ? saveExportFile : null,
+      ...overrides
+    });
+  }
 
+  /**
+   * Send a notification (progress, log message) for a running tool call
+   */
+  async sendNotification(notification) {
+    try {
+      await this.server.notification(notification);
     } catch (error) {
-      console.error('Match resume error:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: this.formatError(error)
-        }]
-      };
+      console.error(`Failed to send ${notification.method} notification:`, error.message);
     }
   }
 
   /**
-   * Handle match_jobs_to_apply tool call - returns only the job index table
+   * Call backend API with resume text or an uploaded resume file
+   * Identical calls in flight at the same time share one backend request (see singleFlight.js),
+   * sent to the healthiest backend with failover to the others (see backendPool.js).
+   * With BACKEND_RECORD_DIR every backend response is recorded, with BACKEND_REPLAY_DIR
+   * the recordings answer instead of the backend (see backendRecorder.js)
+   * @param {Object} options - { signal } aborts the request when the client cancels it or
+   *   its time runs out (see callWithRetry in backendResilience.js)
+   * @throws {BackendTimeoutError} - When the connection is not established within CONNECT_TIMEOUT
+   * @throws {RecordingNotFoundError} - When replaying a search that was never recorded
    */
-  async handleMatchJobsToApplyCall(args) {
-    const sessionId = this.getSessionId();
-    
-    try {
-      // Apply rate limiting
-      const rateLimitResult = rateLimiter.checkLimit(sessionId);
-      if (!rateLimitResult.allowed) {
-        return {
-          content: [{
-            type: 'text',
-            text: this.formatRateLimitError(rateLimitResult)
-          }]
-        };
-      }
-
-      // Validate inputs
-      const validation = validateInputs(args);
-      if (!validation.valid) {
-        return {
-          content: [{
-            type: 'text',
-            text: this.formatValidationError(validation.errors)
-          }]
-        };
-      }
-
-      // Call backend API (same backend call as match_resume)
-      const backendResponse = await this.callBackendAPI(args);
-      
-      // Format response as table-only Markdown artifact
-      const markdownResponse = formatTableOnlyMarkdownResponse(backendResponse, rateLimitResult.remaining);
-
-      return {
-        content: [{
-          type: 'text',
-          text: markdownResponse
-        }]
-      };
-
-    } catch (error) {
-      console.error('Match jobs to apply error:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: this.formatError(error)
-        }]
-      };
+  async callBackendAPI(args, resumeFile = null, { signal } = {}) {
+    const key = await buildCacheKey(args, resumeFile);
+    if (backendRecorder.isReplaying()) {
+      return await backendRecorder.replay(key, args);
     }
+
+    return await backendRequests.run(key, flightSignal => backendPool.call(
+      (baseUrl, backendSignal) => backendRecorder.record(
+        () => this.fetchBackendAPI(baseUrl, args, resumeFile, backendSignal),
+        { key, args, resumeFile, backend: baseUrl }
+      ),
+      flightSignal
+    ), signal);
   }
 
   /**
-   * Call backend API with resume text
+   * Send one request to one backend
+   * @param {string} baseUrl - Base URL of the backend from BACKEND_URLS
+   * @param {AbortSignal} signal - Aborted once no caller waits for the response anymore
    */
-  async callBackendAPI(args) {
+  async fetchBackendAPI(baseUrl, args, resumeFile, signal) {
     const formData = new FormData();
     
-    // Handle resume text by creating a text file
-    const resumeBuffer = Buffer.from(args.resume_text, 'utf8');
-    formData.append('file', resumeBuffer, {
-      filename: 'resume.txt',
-      contentType: 'text/plain'
-    });
+    if (resumeFile) {
+      // Upload the real document so the backend can parse it
+      formData.append('file', Buffer.from(resumeFile.bytes), {
+        filename: resumeFile.filename,
+        contentType: resumeFile.mimeType
+      });
+    } else {
+      // Handle resume text by creating a text file
+      const resumeBuffer = Buffer.from(args.resume_text, 'utf8');
+      formData.append('file', resumeBuffer, {
+        filename: 'resume.txt',
+        contentType: 'text/plain'
+      });
+    }
 
     // Add optional parameters - pass directly to backend
     formData.append('user_experience', args.user_experience || '');
@@ -213,18 +470,27 @@ class JobMatcherMCPServer {
     formData.append('page', (args.page || 1).toString());
     formData.append('sort_by', args.sort_by || 'similarity');
 
-    const url = `${CONFIG.BACKEND_URL}${CONFIG.BACKEND_ENDPOINT}`;
+    const url = `${baseUrl}${CONFIG.BACKEND_ENDPOINT}`;
     
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': CONFIG.API_TOKEN,
-        'Accept': 'application/json',
-        ...formData.getHeaders()
-      },
-      body: formData,
-      timeout: CONFIG.TIMEOUT
-    });
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': CONFIG.API_TOKEN,
+          'Accept': 'application/json',
+          ...formData.getHeaders()
+        },
+        body: formData,
+        agent: parsedUrl => backendAgents[parsedUrl.protocol],
+        signal
+      });
+    } catch (error) {
+      if (error.code === 'ECONNECT_TIMEOUT') {
+        throw new BackendTimeoutError('connect', CONFIG.CONNECT_TIMEOUT);
+      }
+      throw error;
+    }
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -236,7 +502,7 @@ class JobMatcherMCPServer {
         errorData = { detail: errorText };
       }
 
-      throw new BackendError(response.status, errorData);
+      throw new BackendError(response.status, errorData, response.headers.get('retry-after'));
     }
 
     return await response.json();
@@ -251,232 +517,17 @@ class JobMatcherMCPServer {
     return 'claude-desktop-session';
   }
 
-  /**
-   * Format rate limit error as Markdown artifact
-   */
-  formatRateLimitError(rateLimitResult) {
-    const errorData = {
-      type: 'rate_limit',
-      quota: CONFIG.RATE_LIMIT_PER_MINUTE,
-      resetTime: new Date(rateLimitResult.resetTime).toLocaleTimeString(),
-      remaining: rateLimitResult.remaining
-    };
-
-    const markdownContent = `# ⏱️ Rate Limit Exceeded
-
-You've reached the maximum number of requests allowed per minute. Please wait a moment before trying again.
-
-## Rate Limit Information
-
-**Quota:** ${errorData.quota} requests per minute
-**Reset Time:** ${errorData.resetTime}
-**Remaining:** ${errorData.remaining}
-
-Please try again after the reset time.
-
----
-
-*Job Matcher v1.0 - Powered by MCP Server*`;
-
-    return JSON.stringify({
-      // Explicit artifact creation flags
-      please_render_as_artifact: true,
-      artifact_required: true,
-      artifact_command: "create",
-      response_type: "artifact_only",
-      instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
-      
-      // Artifact specification
-      artifact_type: "text/markdown",
-      artifact_id: `rate-limit-error-${Date.now()}`,
-      artifact_title: "Rate Limit Exceeded",
-      content: markdownContent,
-      
-      // Validation and performance indicators
-      validation: {
-        artifact_creation_required: true,
-        content_type_validation: "markdown"
-      },
-      performance: {
-        size_optimized: true,
-        readable_format: true
-      }
-    }, null, 2);
-  }
-
-  /**
-   * Format validation error as Markdown artifact
-   */
-  formatValidationError(errors) {
-    const errorData = {
-      type: 'validation',
-      errors: errors
-    };
-
-    const markdownContent = `# ❌ Input Validation Failed
-
-Please fix the following issues and try again:
-
-## Validation Errors
-
-${errorData.errors.map(error => `- ${error}`).join('\n')}
-
-Please correct these issues and retry your request.
-
----
-
-*Job Matcher v1.0 - Powered by MCP Server*`;
-
-    return JSON.stringify({
-      // Explicit artifact creation flags
-      please_render_as_artifact: true,
-      artifact_required: true,
-      artifact_command: "create",
-      response_type: "artifact_only",
-      instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
-      
-      // Artifact specification
-      artifact_type: "text/markdown",
-      artifact_id: `validation-error-${Date.now()}`,
-      artifact_title: "Input Validation Failed",
-      content: markdownContent,
-      
-      // Validation and performance indicators
-      validation: {
-        artifact_creation_required: true,
-        content_type_validation: "markdown"
-      },
-      performance: {
-        size_optimized: true,
-        readable_format: true
-      }
-    }, null, 2);
-  }
-
-  /**
-   * Format general error as Markdown artifact
-   */
-  formatError(error) {
-    let title = 'Request Failed';
-    let message = 'An unexpected error occurred while processing your request.';
-    let suggestions = [];
-    let technicalDetails = '';
-
-    if (error instanceof BackendError) {
-      switch (error.status) {
-        case 401:
-          title = 'Authentication Error';
-          message = 'Invalid API authentication. Please check your configuration.';
-          suggestions.push('Contact support if this issue persists');
-          break;
-        case 400:
-          title = 'File Processing Error';
-          message = error.data.detail || 'Unable to process the uploaded file.';
-          suggestions.push('Try uploading a different file format (PDF, DOCX, DOC, TXT)');
-          suggestions.push('Ensure your file is not corrupted');
-          break;
-        case 413:
-          title = 'File Too Large';
-          message = 'The uploaded file exceeds the maximum size limit of 10MB.';
-          suggestions.push('Try compressing your resume');
-          suggestions.push('Use a different file format');
-          break;
-        case 422:
-          title = 'Invalid Parameters';
-          message = 'Some parameters are invalid.';
-          if (error.data.detail) {
-            technicalDetails = JSON.stringify(error.data.detail, null, 2);
-          }
-          break;
-        case 500:
-          title = 'Server Error';
-          message = 'The backend server encountered an error.';
-          suggestions.push('Please try again in a few moments');
-          suggestions.push('Contact support if the issue persists');
-          break;
-      }
-    }
-
-    const errorData = {
-      title,
-      message,
-      suggestions,
-      technicalDetails,
-      status: error instanceof BackendError ? error.status : 'unknown'
-    };
-
-    let markdownContent = `# ⚠️ ${errorData.title}\n\n`;
-    markdownContent += `${errorData.message}\n\n`;
-    
-    if (errorData.suggestions.length > 0) {
-      markdownContent += `## 💡 Troubleshooting Tips\n\n`;
-      errorData.suggestions.forEach(suggestion => {
-        markdownContent += `- ✓ ${suggestion}\n`;
-      });
-      markdownContent += `\n`;
-    }
-    
-    if (errorData.technicalDetails) {
-      markdownContent += `## 🔧 Technical Details\n\n`;
-      markdownContent += `\`\`\`\n${errorData.technicalDetails}\n\`\`\`\n\n`;
-    }
-    
-    markdownContent += `**Status Code:** ${errorData.status}\n\n`;
-    markdownContent += `---\n\n`;
-    markdownContent += `*Job Matcher v1.0 - Powered by MCP Server*`;
-
-    return JSON.stringify({
-      // Explicit artifact creation flags
-      please_render_as_artifact: true,
-      artifact_required: true,
-      artifact_command: "create",
-      response_type: "artifact_only",
-      instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
-      fallback_behavior: "error_if_no_artifact",
-      
-      // Artifact specification
-      artifact_type: "text/markdown",
-      artifact_id: `error-${Date.now()}`,
-      artifact_title: title,
-      content: markdownContent,
-      
-      // Validation and performance indicators
-      validation: {
-        artifact_creation_required: true,
-        content_type_validation: "markdown",
-        error_handling_mode: "readable"
-      },
-      performance: {
-        size_optimized: true,
-        readable_format: true,
-        error_type: errorData.status
-      }
-    }, null, 2);
-  }
-
   /**
    * Start the MCP server
    */
   async start() {
     // Only stdio transport for now - HTTP handled by separate Express server
-    const transport = new StdioServerTransport();
+    const transport = keepErrorData(new StdioServerTransport());
     await this.server.connect(transport);
     console.error('✅ Job Matcher MCP Server running (stdio transport)');
   }
 }
 
-/**
- * Custom error class for backend API errors
- */
-class BackendError extends Error {
-  constructor(status, data) {
-    super(`Backend API error: ${status}`);
-    this.name = 'BackendError';
-    this.status = status;
-    this.data = data;
-  }
-}
-
 // Start the server if this file is run directly
 // Use pathToFileURL for proper Windows path handling
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
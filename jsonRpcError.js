@@ -0,0 +1,28 @@
+/**
+ * JSON-RPC 2.0 error codes and error class
+ * Thrown while handling an MCP message; transports turn it into the JSON-RPC
+ * error response (on stdio, index.js adds the data the SDK server leaves out)
+ */
+
+export const JSON_RPC_ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002 // MCP: resources/read for an unknown or expired URI
+};
+
+export class JsonRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Short description of the error
+   * @param {Object} data - Structured details for the client
+   */
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * JSON store for MCP Job Matcher Server
+ * Base of the stores that keep one JSON object (tracked applications, saved
+ * searches) through a pluggable storage adapter: a JSON file in Node.js, KV in
+ * Cloudflare Workers. Changes run one at a time so parallel tool calls never
+ * overwrite each other's.
+ */
+
+class JsonStore {
+  /**
+   * @param {Object|null} storage - { read(): Promise<Object|null>, write(data): Promise<void> }
+   *   Without storage, data only lives in memory
+   */
+  constructor(storage = null) {
+    this.storage = storage;
+    this.data = {}; // Last loaded or written object
+    this.queue = Promise.resolve(); // Tail of the read-modify-write operations, see exclusive()
+  }
+
+  /**
+   * Set the storage adapter used to persist data
+   * @param {Object|null} storage - Storage adapter
+   */
+  setStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Read data from storage (falls back to the in-memory copy)
+   * @returns {Promise<Object>} - Stored object
+   */
+  async load() {
+    if (this.storage) {
+      this.data = (await this.storage.read()) || {};
+    }
+    return this.data;
+  }
+
+  /**
+   * Write data to storage
+   * @param {Object} data - Object to store
+   */
+  async persist(data) {
+    this.data = data;
+    if (this.storage) {
+      await this.storage.write(data);
+    }
+  }
+
+  /**
+   * Run a read-modify-write operation once the previous ones have finished
+   * @param {Function} operation - async () => result
+   * @returns {Promise<*>} - Result of the operation
+   */
+  exclusive(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+export { JsonStore };
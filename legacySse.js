@@ -0,0 +1,97 @@
+/**
+ * Legacy MCP HTTP+SSE transport (protocol version 2024-11-05) for MCP Job Matcher Server
+ * Shared by the Express server and the Cloudflare Worker:
+ *   - GET /sse opens a session whose first event ("endpoint") tells the
+ *     client where to post its messages
+ *   - POST /messages?sessionId=... accepts a JSON-RPC message or batch with
+ *     202 and sends the response on that session's event stream
+ * A session lives as long as its event stream is connected
+ */
+
+import { handleJsonRpcPayload } from './mcpProtocol.js';
+import { JSON_RPC_ERROR_CODES } from './jsonRpcError.js';
+import { mcpSessionStore } from './mcpSessionStore.js';
+import { SSE_HEADERS } from './streamableHttp.js';
+
+export const LEGACY_SSE_PATH = '/sse';
+export const LEGACY_MESSAGES_PATH = '/messages';
+
+/**
+ * Open a legacy SSE session
+ * @param {string} sessionId - ID for the session (OPTIONAL, generated without it)
+ * @returns {Object} - { status, headers, session, sse: { stream, afterSeq } } - the caller
+ *   connects the client with mcpSessionStore.attach() and deletes the session when it disconnects
+ */
+export function openLegacySseSession(sessionId) {
+  const session = mcpSessionStore.create('2024-11-05', null, 'sse', sessionId);
+  const stream = mcpSessionStore.openStream(session, { standalone: true });
+
+  // Tell the client where to post messages for this session
+  mcpSessionStore.send(stream, `${LEGACY_MESSAGES_PATH}?sessionId=${session.id}`, 'endpoint');
+  console.log(`[MCP] Legacy SSE session ${session.id} opened`);
+
+  return {
+    status: 200,
+    headers: SSE_HEADERS,
+    session,
+    sse: { stream, afterSeq: 0 }
+  };
+}
+
+/**
+ * Handle a message posted to a legacy SSE session
+ * @param {Object} request - { sessionId (query parameter), body parsed from JSON }
+ * @param {Object} options - { callTool(name, args, { signal, reportProgress, log }), waitUntil(promise) to keep
+ *   background work alive (Workers) }
+ * @returns {Promise<Object>} - { status, headers, body } where body is a JSON value or null
+ */
+export async function handleLegacySseMessage(request, { callTool, waitUntil }) {
+  if (!request.sessionId) {
+    return errorResponse(400, -32000, 'Bad Request: sessionId query parameter is required');
+  }
+
+  const session = mcpSessionStore.get(request.sessionId);
+  const stream = session && session.transport === 'sse' ? mcpSessionStore.getStandaloneStream(session) : null;
+  if (!stream) {
+    return errorResponse(404, -32001, 'Session not found. Open a new event stream at /sse');
+  }
+
+  const payload = request.body;
+  if (!payload || typeof payload !== 'object') {
+    return errorResponse(400, JSON_RPC_ERROR_CODES.INVALID_REQUEST, 'Invalid Request: expected a JSON-RPC message or batch', {
+      reason: 'The request body must be a JSON object or array'
+    });
+  }
+
+  // Responses and notifications go back on the event stream, so the request is accepted right away
+  const notify = notification => mcpSessionStore.send(stream, notification);
+  const work = handleJsonRpcPayload(payload, { session, callTool, notify }).then(response => {
+    if (response) {
+      mcpSessionStore.send(stream, response);
+    }
+  }).catch(error => {
+    console.error(`[MCP] Error sending responses of SSE session ${session.id}:`, error);
+  });
+
+  if (waitUntil) {
+    waitUntil(work);
+  }
+
+  return { status: 202, headers: {}, body: null };
+}
+
+function errorResponse(status, code, message, data = undefined) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code,
+        message,
+        ...(data !== undefined && { data })
+      }
+    }
+  };
+}
@@ -3,24 +3,40 @@
  * Converts backend JSON responses into Markdown artifacts for Claude
  */
 
+import { getJobKey } from './savedSearchStore.js';
+import { APPLICATION_STATUSES } from './applicationTracker.js';
+import { BackendError, BackendUnavailableError, BackendTimeoutError, RecordingNotFoundError } from './backendError.js';
+
+/**
+ * Number of jobs rendered per page of a stored result set
+ */
+export const JOBS_PER_PAGE = 15;
+
+/**
+ * Pipeline column labels for application statuses
+ */
+const STATUS_LABELS = {
+  saved: '🔖 Saved',
+  applied: '📨 Applied',
+  interviewing: '🗣️ Interviewing',
+  offered: '🎉 Offered',
+  rejected: '❌ Rejected'
+};
+
 /**
  * Format the complete response as Markdown artifact
  * @param {Object} data - Backend response data
  * @param {number} remainingQuota - Remaining rate limit quota
+ * @param {Object} pagination - { resultId, page } of the stored result set
  * @returns {string} - JSON formatted response with Markdown artifact instructions
  * 
- * CRITICAL PAGINA    jobs.forEach((job, index) => {
-      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
-      markdown += `| ${index + 1} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | ${job.experience} | ${job.firstPublishedAt} | [🚀 **Apply**](${job.url}) |\n`;
-    }); REQUIREMENT:
- * Claude MUST implement client-side pagination - show ONLY first 15 jobs initially
- * Display total pages and add navigation instructions for user
- * Show more jobs ONLY when user explicitly requests next page
+ * Only one page of JOBS_PER_PAGE jobs is rendered. Further pages are served
+ * by the get_more_jobs tool from the stored result set.
  */
-export function formatMarkdownResponse(data, remainingQuota = null) {
+export function formatMarkdownResponse(data, remainingQuota = null, pagination = {}) {
   const { matches = [], total_matches = 0 } = data;
   
-  const transformedData = transformJobData(data, remainingQuota);
+  const transformedData = paginateJobData(transformJobData(data, remainingQuota), pagination);
   const markdownContent = matches.length === 0 
     ? generateNoMatchesMarkdown(transformedData)
     : generateJobMatcherMarkdown(transformedData);
@@ -55,20 +71,6 @@ export function formatMarkdownResponse(data, remainingQuota = null) {
     suppress_text_response: true,
     commentary_forbidden: true,
     
-    // Claude Usage Guidance - IMPORTANT for future tool calls
-    claude_guidance: {
-      primary_rule: "ALWAYS prefer using ONLY resume_text parameter unless user explicitly mentions other filters",
-      reasoning: "Backend AI automatically extracts skills, experience, and preferences from resume text",
-      artifact_behavior: "ALWAYS create markdown artifact immediately without text commentary",
-      when_to_use_filters: {
-        location: "Only when user mentions specific cities/areas (e.g., 'jobs in NYC')",
-        keywords: "Only when user mentions specific skills (e.g., 'Python jobs')", 
-        dates: "Only when user mentions time periods (e.g., 'recent jobs')",
-        experience: "Only when user mentions experience level (e.g., 'senior roles')"
-      },
-      default_behavior: "For general requests like 'find me jobs', use only resume_text parameter and create artifact immediately"
-    },
-    
     // Validation requirements - ENFORCE ARTIFACT CREATION
     validation: {
       artifact_creation_required: true,
@@ -84,6 +86,16 @@ export function formatMarkdownResponse(data, remainingQuota = null) {
       page: transformedData.meta.page,
       total_pages: transformedData.meta.totalPages,
       has_more: transformedData.meta.hasMore,
+      pagination: {
+        result_id: transformedData.pagination.resultId,
+        page: transformedData.pagination.page,
+        total_pages: transformedData.pagination.totalPages,
+        jobs_per_page: transformedData.pagination.pageSize,
+        total_jobs: transformedData.pagination.totalJobs,
+        has_next_page: transformedData.pagination.hasNextPage,
+        next_cursor: transformedData.pagination.nextCursor
+      },
+      backend: transformedData.meta.backend,
       timestamp: timestamp,
       source: "MCP Job Matcher Server v1.0.0 - Artifact-Only Edition",
       response_format: "mandatory_artifact_creation",
@@ -100,7 +112,8 @@ export function formatMarkdownResponse(data, remainingQuota = null) {
       artifact_creation_mode: "immediate",
       text_suppression: "enabled",
       pagination_enabled: true,
-      jobs_per_page: 15,
+      pagination_mode: "server_side",
+      jobs_per_page: JOBS_PER_PAGE,
       show_page_navigation: true
     }
   };
@@ -112,17 +125,16 @@ export function formatMarkdownResponse(data, remainingQuota = null) {
  * Format the table-only response as Markdown artifact for match_jobs_to_apply tool
  * @param {Object} data - Backend response data
  * @param {number} remainingQuota - Remaining rate limit quota
+ * @param {Object} pagination - { resultId, page } of the stored result set
  * @returns {string} - JSON formatted response with Markdown artifact instructions
  * 
- * CRITICAL PAGINATION REQUIREMENT:
- * Claude MUST implement client-side pagination - show ONLY first 15 jobs in table initially
- * Display total pages and add navigation instructions for user
- * Show more jobs ONLY when user explicitly requests next page
+ * Only one page of JOBS_PER_PAGE jobs is rendered in the table. Further pages
+ * are served by the get_more_jobs tool from the stored result set.
  */
-export function formatTableOnlyMarkdownResponse(data, remainingQuota = null) {
+export function formatTableOnlyMarkdownResponse(data, remainingQuota = null, pagination = {}) {
   const { matches = [], total_matches = 0 } = data;
   
-  const transformedData = transformJobData(data, remainingQuota);
+  const transformedData = paginateJobData(transformJobData(data, remainingQuota), pagination);
   const markdownContent = matches.length === 0 
     ? generateNoMatchesMarkdown(transformedData)
     : generateJobIndexTableMarkdown(transformedData);
@@ -157,21 +169,6 @@ export function formatTableOnlyMarkdownResponse(data, remainingQuota = null) {
     suppress_text_response: true,
     commentary_forbidden: true,
     
-    // Claude Usage Guidance - IMPORTANT for future tool calls
-    claude_guidance: {
-      primary_rule: "ALWAYS prefer using ONLY resume_text parameter unless user explicitly mentions other filters",
-      reasoning: "Backend AI automatically extracts skills, experience, and preferences from resume text",
-      artifact_behavior: "ALWAYS create markdown artifact immediately without text commentary",
-      pagination_behavior: "CRITICAL: Show only FIRST 15 jobs initially from the full response in the index table. Display total pages available. Only show additional jobs when user explicitly asks for 'more jobs', 'next page', 'page 2', etc.",
-      when_to_use_filters: {
-        location: "Only when user mentions specific cities/areas (e.g., 'jobs in NYC')",
-        keywords: "Only when user mentions specific skills (e.g., 'Python jobs')", 
-        dates: "Only when user mentions time periods (e.g., 'recent jobs')",
-        experience: "Only when user mentions experience level (e.g., 'senior roles')"
-      },
-      default_behavior: "For general requests like 'find me jobs', use only resume_text parameter and create artifact immediately with first 15 jobs only in table format"
-    },
-    
     // Validation requirements - ENFORCE ARTIFACT CREATION
     validation: {
       artifact_creation_required: true,
@@ -187,6 +184,16 @@ export function formatTableOnlyMarkdownResponse(data, remainingQuota = null) {
       page: transformedData.meta.page,
       total_pages: transformedData.meta.totalPages,
       has_more: transformedData.meta.hasMore,
+      pagination: {
+        result_id: transformedData.pagination.resultId,
+        page: transformedData.pagination.page,
+        total_pages: transformedData.pagination.totalPages,
+        jobs_per_page: transformedData.pagination.pageSize,
+        total_jobs: transformedData.pagination.totalJobs,
+        has_next_page: transformedData.pagination.hasNextPage,
+        next_cursor: transformedData.pagination.nextCursor
+      },
+      backend: transformedData.meta.backend,
       timestamp: timestamp,
       source: "MCP Job Matcher Server v1.0.0 - Table-Only Edition",
       response_format: "mandatory_artifact_creation",
@@ -203,7 +210,8 @@ export function formatTableOnlyMarkdownResponse(data, remainingQuota = null) {
       artifact_creation_mode: "immediate",
       text_suppression: "enabled",
       pagination_enabled: true,
-      jobs_per_page: 15,
+      pagination_mode: "server_side",
+      jobs_per_page: JOBS_PER_PAGE,
       show_page_navigation: true
     }
   };
@@ -212,318 +220,1427 @@ export function formatTableOnlyMarkdownResponse(data, remainingQuota = null) {
 }
 
 /**
- * Transform backend data into Markdown-optimized structure
+ * Build the normalized job data of one page for MCP structuredContent
+ * @param {Object} data - Backend response data
+ * @param {number} remainingQuota - Remaining rate limit quota
+ * @param {Object} pagination - { resultId, page } of the stored result set
+ * @returns {Object} - { jobs, meta, processing, pagination } matching the outputSchema in tools.js
  */
-function transformJobData(backendData, remainingQuota) {
-  const { 
-    matches = [], 
-    total_matches = 0, 
-    page = 1, 
-    total_pages = 0, 
-    has_more = false,
-    extracted_skills = [],
-    user_experience,
-    resume_processing,
-    keywords
-  } = backendData;
-  
-  return {
-    jobs: matches.map((job, index) => ({
-      id: generateJobId(job, index),
-      title: job.job_title || 'Job Title Not Available',
-      company: job.company_name || 'Company Not Specified',
-      location: job.location || 'Location Not Specified',
-      // Enhanced location information - capture all possible location fields
-      locations: job.locations || null, // Array of multiple locations if provided
-      workLocation: job.work_location || null, // Work arrangement details
-      officeLocations: job.office_locations || null, // Office location details
-      remoteFriendly: job.remote_friendly !== undefined ? job.remote_friendly : null, // Remote work indicator
-      locationType: job.location_type || null, // Location type (Remote, Hybrid, On-site)
-      geographicRegion: job.geographic_region || null, // Geographic region
-      match: Math.round((job.similarity_score || 0) * 100),
-      url: job.job_link || '#',
-      posted: formatDate(job.first_published),
-      firstPublishedAt: formatDate(job.first_published), // New field for first published date
-      experience: job.min_experience_years ? `${job.min_experience_years} years` : 'Not specified', // Updated to use min_experience_years
-      experienceDetails: job.experience_details || 'No experience details available', // Keep original experience details
-      salary: job.salary || 'Salary not specified',
-      jobType: job.job_type || 'Job type not specified',
-      // Keep full job description without truncation
-      description: job.chunk_text || 'No description available'
-    })),
-    meta: {
-      total: total_matches,
-      page: page,
-      totalPages: total_pages,
-      hasMore: has_more,
-      skills: extracted_skills || [],
-      experience: user_experience,
-      quota: remainingQuota,
-      keywords: keywords
-    },
-    processing: resume_processing ? {
-      filename: resume_processing.filename,
-      method: resume_processing.parsing_method,
-      enhanced: resume_processing.enhancement_used,
-      originalLength: resume_processing.original_length,
-      enhancedLength: resume_processing.enhanced_length
-    } : null
-  };
+export function formatStructuredJobData(data, remainingQuota = null, pagination = {}) {
+  return paginateJobData(transformJobData(data, remainingQuota), pagination);
 }
 
-function generateJobMatcherMarkdown(data) {
-  const { jobs, meta, processing } = data;
-  
-  let markdown = `# 🎯 Job Search Results Dashboard\n\n`;
-  
-  // Search Summary Table
-  markdown += `## 📊 Search Summary\n\n`;
-  markdown += `| **Metric** | **Value** |\n`;
-  markdown += `|------------|-----------|\n`;
-  markdown += `| 🎯 **Total Matches** | **${meta.total.toLocaleString()} Job Opportunities** |\n`;
-  
-  if (meta.experience) {
-    markdown += `| 👨‍💼 **Experience Level** | ${meta.experience} years |\n`;
-  }
-  
-  if (meta.skills && meta.skills.length > 0) {
-    const skillBadges = meta.skills.map(skill => `\`${skill}\``).join(' ');
-    markdown += `| 🛠️ **Detected Skills** | ${skillBadges} |\n`;
-  }
-  
-  markdown += `\n`;
-  
-  // Job Opportunities Index Table
-  if (jobs.length > 0) {
-    markdown += `## 📑 Job Opportunities Index\n\n`;
-    markdown += `| **#** | **Company** | **Position** | **Score** | **Location** | **Experience** | **First Published At** | **Apply** |\n`;
-    markdown += `|-------|-------------|--------------|-----------|--------------|----------------|---------------------|-----------|\n`;
-    
-    jobs.forEach((job, index) => {
-      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '�' : '🟠';
-      markdown += `| ${index + 1} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | ${job.experience} | [� **Apply**](${job.url}) |\n`;
-    });
-    
-    markdown += `\n---\n\n`;
-  }
-  
-  // Detailed Job Listings
-  jobs.forEach((job, index) => {
-    const matchColor = job.match >= 70 ? '�' : job.match >= 40 ? '🟡' : '🟠';
-    
-    markdown += `## ${index + 1}. 🏢 ${job.company} - ${job.title}\n\n`;
-    
-    // Job details table
-    markdown += `| **Detail** | **Information** |\n`;
-    markdown += `|------------|------------------|\n`;
-    markdown += `| 🎯 **Match Score** | ${matchColor} **${job.match}%** |\n`;
-    markdown += `| 💼 **Experience Required** | ${job.experience} |\n`;
-    markdown += `| 📍 **Location** | ${job.location} |\n`;
-    markdown += `| 📅 **First Published At** | ${job.firstPublishedAt} |\n`;
-    markdown += `| 🔗 **Apply** | [**Apply Now**](${job.url}) |\n\n`;
+/**
+ * Format a match explanation for one job of a stored result set as Markdown artifact
+ * @param {Object} data - Backend response data of the stored result set
+ * @param {number} jobNumber - 1-based job number as shown in the index table
+ * @param {Object} context - { resumeText, userExperience, preferredLocations } from the original search
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatExplainMatchResponse(data, jobNumber, context = {}) {
+  const transformedData = transformJobData(data, null);
+  const job = transformedData.jobs[jobNumber - 1];
+  const explanation = explainJobMatch(job, transformedData.meta, context);
+  const markdownContent = generateExplainMatchMarkdown(job, jobNumber, explanation);
 
-    // Extract and display required skills from chunk_text
-    const skillsFromDescription = extractRequiredSkills(job.description);
-    if (skillsFromDescription.length > 0) {
-      const skillBadges = skillsFromDescription.map(skill => `\`${skill.trim()}\``).join(' ');
-      markdown += `### 🛠️ Required Skills\n${skillBadges}\n\n`;
-    }
-    
-    // Extract and format job summary from chunk_text
-    const jobSummary = extractJobSummary(job.description);
-    if (jobSummary.length > 0) {
-      markdown += `### 📋 Job Highlights\n`;
-      jobSummary.forEach(point => {
-        markdown += `- ✅ ${point}\n`;
-      });
-      markdown += `\n`;
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `job-match-explanation-${timestamp}`,
+    title: `Why It Matched - ${job.company} ${job.title}`,
+    content: markdownContent,
+    metadata: {
+      job_number: jobNumber,
+      job_id: job.id,
+      match_score: job.match,
+      matched_skills: explanation.matchedSkills,
+      missing_skills: explanation.missingSkills,
+      experience_fit: explanation.experience.status,
+      location_fit: explanation.location.status,
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Match Explanation"
     }
-    
-    markdown += `---\n\n`;
   });
-  
-  // Processing details
-  if (processing) {
-    markdown += `## 📊 Resume Processing Summary\n\n`;
-    markdown += `| Processing Info | Details |\n`;
-    markdown += `|----------------|----------|\n`;
-    markdown += `| **📄 File** | ${processing.filename} |\n`;
-    markdown += `| **⚙️ Method** | ${processing.method} |\n`;
-    markdown += `| **✨ Enhancement** | ${processing.enhanced ? '✅ Enhanced' : '⚠️ Standard'} |\n`;
-    
-    if (processing.originalLength && processing.enhancedLength) {
-      markdown += `| **📏 Original Length** | ${processing.originalLength.toLocaleString()} characters |\n`;
-      markdown += `| **📏 Enhanced Length** | ${processing.enhancedLength.toLocaleString()} characters |\n`;
+}
+
+/**
+ * Format a skill gap report across every job of a stored result set as Markdown artifact
+ * @param {Object} data - Backend response data of the stored result set
+ * @param {Object} context - { resumeText } from the original search
+ * @param {number} limit - Maximum skills listed per table
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatSkillGapReportResponse(data, context = {}, limit = 15) {
+  const transformedData = transformJobData(data, null);
+  const report = buildSkillGapReport(transformedData, context);
+  const markdownContent = generateSkillGapReportMarkdown(report, limit);
+
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `skill-gap-report-${timestamp}`,
+    title: `Skill Gap Report - ${report.jobsAnalyzed} jobs analyzed`,
+    content: markdownContent,
+    metadata: {
+      jobs_analyzed: report.jobsAnalyzed,
+      jobs_with_skills: report.jobsWithSkills,
+      unique_skills: report.skills.length,
+      top_missing_skills: report.missing.slice(0, limit).map(skill => ({
+        skill: skill.name,
+        jobs: skill.jobCount,
+        only_gap_in: skill.onlyGapCount
+      })),
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Skill Gap Report"
     }
-    markdown += `\n`;
-  }
-  
-  // Backend metadata table
-  markdown += `## 🚀 Backend Response Metadata\n\n`;
-  markdown += `> ### 📡 **API Response Details**\n`;
-  markdown += `> \n`;
-  markdown += `> | Metadata | Value |\n`;
-  markdown += `> |----------|-------|\n`;
-  markdown += `> | **📊 Total Matches** | ${meta.total.toLocaleString()} opportunities |\n`;
-  markdown += `> | ** Has More Results** | ${meta.hasMore ? 'Yes' : 'No'} |\n`;
-  
-  if (meta.experience) {
-    markdown += `> | **👨‍💼 Experience Level** | ${meta.experience} years |\n`;
-  }
-  
-  if (meta.skills && meta.skills.length > 0) {
-    markdown += `> | **🎯 Skills Detected** | ${meta.skills.length} skills identified |\n`;
-  }
-  
-  markdown += `> \n`;
-  markdown += `> *🔧 Powered by Backend API - Real-time job matching*\n\n`;
-  
-  // Footer
-  markdown += `---\n\n`;
-  markdown += `*Job Matcher v1.0 - Enhanced Backend Integration*`;
-  
-  return markdown;
+  });
 }
 
-function generateJobIndexTableMarkdown(data) {
-  const { jobs, meta, processing } = data;
-  
-  let markdown = `# 🎯 Job Opportunities to Apply\n\n`;
-  
-  // Search Summary Table
-  markdown += `## 📊 Search Summary\n\n`;
-  markdown += `| **Metric** | **Value** |\n`;
-  markdown += `|------------|-----------|\n`;
-  markdown += `| 🎯 **Total Matches** | **${meta.total.toLocaleString()} Job Opportunities** |\n`;
-  
-  if (meta.experience) {
-    markdown += `| 👨‍💼 **Experience Level** | ${meta.experience} years |\n`;
-  }
-  
-  if (meta.skills && meta.skills.length > 0) {
-    const skillBadges = meta.skills.map(skill => `\`${skill}\``).join(' ');
-    markdown += `| 🛠️ **Detected Skills** | ${skillBadges} |\n`;
-  }
-  
-  markdown += `\n`;
-  
-  // Job Opportunities Index Table - MAIN FEATURE
-  if (jobs.length > 0) {
-    markdown += `## 📋 Jobs Ready to Apply\n\n`;
-    markdown += `| **#** | **Company** | **Position** | **Score** | **Location** | **Experience** | **First Published At** | **Apply** |\n`;
-    markdown += `|-------|-------------|--------------|-----------|--------------|----------------|---------------------|-----------|\n`;
-    
-    jobs.forEach((job, index) => {
-      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
-      markdown += `| ${index + 1} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | ${job.experience} | ${job.firstPublishedAt} | [🚀 **Apply Now**](${job.url}) |\n`;
-    });
-    
-    markdown += `\n`;
-  }
-  
-  // Processing details
-  if (processing) {
-    markdown += `## 📊 Resume Processing Summary\n\n`;
-    markdown += `| Processing Info | Details |\n`;
-    markdown += `|----------------|----------|\n`;
-    markdown += `| **📄 File** | ${processing.filename} |\n`;
-    markdown += `| **⚙️ Method** | ${processing.method} |\n`;
-    markdown += `| **✨ Enhancement** | ${processing.enhanced ? '✅ Enhanced' : '⚠️ Standard'} |\n`;
-    
-    if (processing.originalLength && processing.enhancedLength) {
-      markdown += `| **📏 Original Length** | ${processing.originalLength.toLocaleString()} characters |\n`;
-      markdown += `| **📏 Enhanced Length** | ${processing.enhancedLength.toLocaleString()} characters |\n`;
+/**
+ * Format the confirmation of a saved search as Markdown artifact
+ * @param {Object} savedSearch - Entry returned by savedSearchStore.save()
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatSaveSearchResponse(savedSearch) {
+  const markdownContent = generateSaveSearchMarkdown(savedSearch);
+
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `saved-search-${timestamp}`,
+    title: `Search Saved - ${savedSearch.name}`,
+    content: markdownContent,
+    metadata: {
+      search_name: savedSearch.name,
+      has_snapshot: Boolean(savedSearch.snapshot),
+      snapshot_jobs: savedSearch.snapshot ? Object.keys(savedSearch.snapshot.jobs).length : 0,
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Saved Search"
     }
-    markdown += `\n`;
-  }
-  
-  // Backend metadata table
-  markdown += `## 🚀 Backend Response Metadata\n\n`;
-  markdown += `> ### 📡 **API Response Details**\n`;
-  markdown += `> \n`;
-  markdown += `> | Metadata | Value |\n`;
+  });
+}
+
+/**
+ * Format the changes of a saved search since its last run as Markdown artifact
+ * @param {Object} data - Backend response data of this run
+ * @param {Object} savedSearch - { name, previousSnapshot } of the saved search
+ * @param {number} remainingQuota - Remaining rate limit quota
+ * @param {Object} pagination - { resultId } of the stored result set
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatSavedSearchDiffResponse(data, savedSearch, remainingQuota = null, pagination = {}) {
+  const transformedData = transformJobData(data, remainingQuota);
+  const diff = diffAgainstSnapshot(data.matches || [], transformedData.jobs, savedSearch.previousSnapshot);
+  const markdownContent = generateSavedSearchDiffMarkdown(savedSearch, diff, pagination.resultId);
+
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `saved-search-run-${timestamp}`,
+    title: `${savedSearch.name} - ${diff.added.length} new, ${diff.removed.length} dropped out`,
+    content: markdownContent,
+    metadata: {
+      search_name: savedSearch.name,
+      result_id: pagination.resultId || null,
+      first_run: diff.firstRun,
+      total_jobs: transformedData.jobs.length,
+      new_jobs: diff.added.length,
+      dropped_jobs: diff.removed.length,
+      unchanged_jobs: diff.unchangedCount,
+      previous_run_at: savedSearch.previousSnapshot ? new Date(savedSearch.previousSnapshot.takenAt).toISOString() : null,
+      remaining_quota: remainingQuota,
+      backend: transformedData.meta.backend,
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Saved Search"
+    }
+  });
+}
+
+/**
+ * Format a status change of a tracked application as Markdown artifact
+ * @param {Object} entry - Application tracker entry
+ * @param {string|null} previousStatus - Status before this update (null for new entries)
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatTrackApplicationResponse(entry, previousStatus = null) {
+  const markdownContent = generateTrackApplicationMarkdown(entry, previousStatus);
+
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `application-update-${timestamp}`,
+    title: `${entry.company} - ${STATUS_LABELS[entry.status]}`,
+    content: markdownContent,
+    metadata: {
+      job_id: entry.jobId,
+      status: entry.status,
+      previous_status: previousStatus,
+      notes_count: entry.notes.length,
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Application Tracker"
+    }
+  });
+}
+
+/**
+ * Format the application pipeline as a kanban-style Markdown artifact
+ * @param {Array} entries - Application tracker entries, most recently updated first
+ * @param {string|null} statusFilter - Only show this status
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatPipelineResponse(entries, statusFilter = null) {
+  const markdownContent = generatePipelineMarkdown(entries, statusFilter);
+
+  const counts = {};
+  APPLICATION_STATUSES.forEach(status => {
+    counts[status] = entries.filter(entry => entry.status === status).length;
+  });
+
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `application-pipeline-${timestamp}`,
+    title: `Application Pipeline - ${entries.length} jobs tracked`,
+    content: markdownContent,
+    metadata: {
+      total_tracked: entries.length,
+      status_counts: counts,
+      status_filter: statusFilter,
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Application Tracker"
+    }
+  });
+}
+
+/**
+ * Format the comparison of two resume variants run against the same search as Markdown artifact
+ * @param {Object} dataA - Backend response data for variant A
+ * @param {Object} dataB - Backend response data for variant B
+ * @param {Object} labels - { labelA, labelB } display names of the variants
+ * @param {number} remainingQuota - Remaining rate limit quota
+ * @param {Object} resultIds - { resultIdA, resultIdB } of the stored result sets
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatCompareResumesResponse(dataA, dataB, labels = {}, remainingQuota = null, resultIds = {}) {
+  const { labelA = 'Resume A', labelB = 'Resume B' } = labels;
+  const comparison = compareResults(dataA, dataB);
+  const markdownContent = generateCompareResumesMarkdown(comparison, { labelA, labelB }, resultIds);
+
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `resume-comparison-${timestamp}`,
+    title: `Resume Comparison - ${labelA} vs ${labelB}`,
+    content: markdownContent,
+    metadata: {
+      label_a: labelA,
+      label_b: labelB,
+      result_id_a: resultIds.resultIdA || null,
+      result_id_b: resultIds.resultIdB || null,
+      jobs_a: comparison.totalA,
+      jobs_b: comparison.totalB,
+      overlapping_jobs: comparison.overlap.length,
+      only_in_a: comparison.onlyA.length,
+      only_in_b: comparison.onlyB.length,
+      average_score_change: comparison.averageChange,
+      remaining_quota: remainingQuota,
+      backend_a: dataA.served_by ? new URL(dataA.served_by).host : null,
+      backend_b: dataB.served_by ? new URL(dataB.served_by).host : null,
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Resume Comparison"
+    }
+  });
+}
+
+/**
+ * Format the summary of an exported result set as Markdown artifact
+ * @param {Object} exported - { filename, mimeType, rowCount, columns } from exportResults()
+ * @param {Object} details - { resultId, format, filePath, resourceUri } of the export
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatExportResponse(exported, details = {}) {
+  const markdownContent = generateExportMarkdown(exported, details);
+
+  const timestamp = Date.now();
+
+  return buildArtifactResponse({
+    artifactId: `results-export-${timestamp}`,
+    title: `Export Ready - ${exported.filename}`,
+    content: markdownContent,
+    metadata: {
+      result_id: details.resultId,
+      format: details.format,
+      filename: exported.filename,
+      mime_type: exported.mimeType,
+      rows: exported.rowCount,
+      file_path: details.filePath || null,
+      resource_uri: details.resourceUri || null,
+      timestamp: timestamp,
+      source: "MCP Job Matcher Server v1.0.0 - Results Export"
+    }
+  });
+}
+
+/**
+ * Format a stored result set as a Markdown resource (jobs://results/{resultId})
+ * Resources are read by the client directly, so they carry plain Markdown
+ * instead of artifact instructions
+ * @param {Object} data - Backend response data of the stored result set
+ * @param {Object} details - { resultId, args, createdAt } of the stored entry
+ * @returns {string} - Markdown document
+ */
+export function formatResultSetResource(data, details = {}) {
+  return generateResultSetResourceMarkdown(transformJobData(data, null), details);
+}
+
+/**
+ * Format one job of a stored result set as a Markdown resource (jobs://job/{jobId})
+ * @param {Object} data - Backend response data of the stored result set
+ * @param {number} jobNumber - Position of the job in the result set (1-based)
+ * @param {string} resultId - Result ID of the stored result set
+ * @returns {string} - Markdown document with the full formatted job description
+ */
+export function formatJobResource(data, jobNumber, resultId) {
+  const job = transformJobData(data, null).jobs[jobNumber - 1];
+  return generateJobResourceMarkdown(job, jobNumber, resultId);
+}
+
+/**
+ * Format rate limit error as Markdown artifact
+ * @param {Object} rateLimitResult - Result of rateLimiter.checkLimit() with allowed === false
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatRateLimitError(rateLimitResult) {
+  const errorData = {
+    type: 'rate_limit',
+    quota: rateLimitResult.limit,
+    resetTime: new Date(rateLimitResult.resetTime).toLocaleTimeString(),
+    remaining: rateLimitResult.remaining
+  };
+
+  const markdownContent = `# ⏱️ Rate Limit Exceeded
+
+You've reached the maximum number of requests allowed per minute. Please wait a moment before trying again.
+
+## Rate Limit Information
+
+**Quota:** ${errorData.quota} requests per minute
+**Reset Time:** ${errorData.resetTime}
+**Remaining:** ${errorData.remaining}
+
+Please try again after the reset time.
+
+---
+
+*Job Matcher v1.0 - Powered by MCP Server*`;
+
+  return JSON.stringify({
+    // Explicit artifact creation flags
+    please_render_as_artifact: true,
+    artifact_required: true,
+    artifact_command: "create",
+    response_type: "artifact_only",
+    instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
+    
+    // Artifact specification
+    artifact_type: "text/markdown",
+    artifact_id: `rate-limit-error-${Date.now()}`,
+    artifact_title: "Rate Limit Exceeded",
+    content: markdownContent,
+    
+    // Validation and performance indicators
+    validation: {
+      artifact_creation_required: true,
+      content_type_validation: "markdown"
+    },
+    performance: {
+      size_optimized: true,
+      readable_format: true
+    }
+  }, null, 2);
+}
+
+/**
+ * Format validation error as Markdown artifact
+ * @param {Array<string>} errors - Validation error messages
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatValidationError(errors) {
+  const errorData = {
+    type: 'validation',
+    errors: errors
+  };
+
+  const markdownContent = `# ❌ Input Validation Failed
+
+Please fix the following issues and try again:
+
+## Validation Errors
+
+${errorData.errors.map(error => `- ${error}`).join('\n')}
+
+Please correct these issues and retry your request.
+
+---
+
+*Job Matcher v1.0 - Powered by MCP Server*`;
+
+  return JSON.stringify({
+    // Explicit artifact creation flags
+    please_render_as_artifact: true,
+    artifact_required: true,
+    artifact_command: "create",
+    response_type: "artifact_only",
+    instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
+    
+    // Artifact specification
+    artifact_type: "text/markdown",
+    artifact_id: `validation-error-${Date.now()}`,
+    artifact_title: "Input Validation Failed",
+    content: markdownContent,
+    
+    // Validation and performance indicators
+    validation: {
+      artifact_creation_required: true,
+      content_type_validation: "markdown"
+    },
+    performance: {
+      size_optimized: true,
+      readable_format: true
+    }
+  }, null, 2);
+}
+
+/**
+ * Format general error as Markdown artifact
+ * @param {Error} error - Thrown error, BackendError for backend HTTP failures,
+ *   BackendUnavailableError while the circuit breaker is open, BackendTimeoutError when time ran out,
+ *   RecordingNotFoundError when replaying a search that was never recorded
+ * @returns {string} - JSON formatted response with Markdown artifact instructions
+ */
+export function formatError(error) {
+  let title = 'Request Failed';
+  let message = 'An unexpected error occurred while processing your request.';
+  let suggestions = [];
+  let technicalDetails = '';
+
+  if (error instanceof BackendError) {
+    switch (error.status) {
+      case 401:
+        title = 'Authentication Error';
+        message = 'Invalid API authentication. Please check your configuration.';
+        suggestions.push('Contact support if this issue persists');
+        break;
+      case 400:
+        title = 'File Processing Error';
+        message = error.data.detail || 'Unable to process the uploaded file.';
+        suggestions.push('Try uploading a different file format (PDF, DOCX, DOC, TXT)');
+        suggestions.push('Ensure your file is not corrupted');
+        break;
+      case 413:
+        title = 'File Too Large';
+        message = 'The uploaded file exceeds the maximum size limit of 10MB.';
+        suggestions.push('Try compressing your resume');
+        suggestions.push('Use a different file format');
+        break;
+      case 422:
+        title = 'Invalid Parameters';
+        message = 'Some parameters are invalid.';
+        if (error.data.detail) {
+          technicalDetails = JSON.stringify(error.data.detail, null, 2);
+        }
+        break;
+      case 429:
+        title = 'Backend Busy';
+        message = 'The job matching backend is receiving too many requests and kept rejecting this search after several retries.';
+        suggestions.push('Please try again in a minute');
+        break;
+      case 500:
+        title = 'Server Error';
+        message = 'The backend server encountered an error.';
+        suggestions.push('Please try again in a few moments');
+        suggestions.push('Contact support if the issue persists');
+        break;
+      case 502:
+      case 503:
+      case 504:
+        title = 'Backend Unavailable';
+        message = 'The job matching backend did not respond after several retries. It may still be starting up after a period of inactivity.';
+        suggestions.push('Please try again in about a minute');
+        suggestions.push('Contact support if the issue persists');
+        break;
+    }
+  } else if (error instanceof BackendUnavailableError) {
+    const waitSeconds = Math.max(1, Math.ceil((error.retryAt.getTime() - Date.now()) / 1000));
+    title = 'Backend Temporarily Unavailable';
+    message = 'The job matching backend failed several times in a row, so searches are paused instead of waiting for it to time out. No request was sent to the backend.';
+    suggestions.push(`Try again in about ${waitSeconds} seconds`);
+    suggestions.push('get_more_jobs, explain_match, skill_gap_report and export_results still work on earlier results');
+  } else if (error instanceof BackendTimeoutError) {
+    title = 'Backend Timeout';
+    switch (error.phase) {
+      case 'connect':
+        message = `Could not connect to the job matching backend within ${error.timeoutMs / 1000} seconds.`;
+        suggestions.push('Check your network connection and BACKEND_URLS');
+        break;
+      case 'response':
+        message = `The job matching backend did not answer within ${error.timeoutMs / 1000} seconds. It may be starting up after a period of inactivity.`;
+        break;
+      default:
+        message = 'The search did not finish within the time limit of this request, including retries. The backend may be starting up after a period of inactivity.';
+    }
+    suggestions.push('Please try again in about a minute');
+    suggestions.push('Contact support if the issue persists');
+  } else if (error instanceof RecordingNotFoundError) {
+    title = 'No Recorded Response';
+    message = 'The server is replaying recorded backend traffic (BACKEND_REPLAY_DIR) and no recording matches this search. No request was sent to the backend.';
+    suggestions.push('Repeat the search with the same filters as the recording');
+    suggestions.push('Record the search first with BACKEND_RECORD_DIR');
+    technicalDetails = JSON.stringify(error.filters, null, 2);
+  }
+
+  const errorData = {
+    title,
+    message,
+    suggestions,
+    technicalDetails,
+    status: error instanceof BackendError || error instanceof BackendUnavailableError
+      || error instanceof BackendTimeoutError || error instanceof RecordingNotFoundError
+      ? error.status
+      : 'unknown'
+  };
+
+  let markdownContent = `# ⚠️ ${errorData.title}\n\n`;
+  markdownContent += `${errorData.message}\n\n`;
+  
+  if (errorData.suggestions.length > 0) {
+    markdownContent += `## 💡 Troubleshooting Tips\n\n`;
+    errorData.suggestions.forEach(suggestion => {
+      markdownContent += `- ✓ ${suggestion}\n`;
+    });
+    markdownContent += `\n`;
+  }
+  
+  if (errorData.technicalDetails) {
+    markdownContent += `## 🔧 Technical Details\n\n`;
+    markdownContent += `\`\`\`\n${errorData.technicalDetails}\n\`\`\`\n\n`;
+  }
+  
+  markdownContent += `**Status Code:** ${errorData.status}\n\n`;
+  markdownContent += `---\n\n`;
+  markdownContent += `*Job Matcher v1.0 - Powered by MCP Server*`;
+
+  return JSON.stringify({
+    // Explicit artifact creation flags
+    please_render_as_artifact: true,
+    artifact_required: true,
+    artifact_command: "create",
+    response_type: "artifact_only",
+    instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
+    fallback_behavior: "error_if_no_artifact",
+    
+    // Artifact specification
+    artifact_type: "text/markdown",
+    artifact_id: `error-${Date.now()}`,
+    artifact_title: title,
+    content: markdownContent,
+    
+    // Validation and performance indicators
+    validation: {
+      artifact_creation_required: true,
+      content_type_validation: "markdown",
+      error_handling_mode: "readable"
+    },
+    performance: {
+      size_optimized: true,
+      readable_format: true,
+      error_type: errorData.status
+    }
+  }, null, 2);
+}
+
+/**
+ * Wrap Markdown content in the artifact-only response envelope
+ */
+function buildArtifactResponse({ artifactId, title, content, metadata }) {
+  const response = {
+    // MANDATORY ARTIFACT CREATION FLAGS - Claude must honor these
+    please_render_as_artifact: true,
+    artifact_required: true,
+    artifact_command: "create",
+    response_type: "artifact_only",
+    MANDATORY_ARTIFACT_CREATION: true,
+    SUPPRESS_ALL_TEXT_COMMENTARY: true,
+    
+    // Artifact specification
+    artifact_type: "text/markdown",
+    artifact_id: artifactId,
+    artifact_title: title,
+    content: content,
+    
+    // CRITICAL: Explicit instructions for Claude - NO TEXT RESPONSES
+    instruction: "IMMEDIATE_ARTIFACT_CREATION_REQUIRED",
+    claude_directive: "CREATE MARKDOWN ARTIFACT IMMEDIATELY. DO NOT ADD ANY TEXT COMMENTARY OR EXPLANATION.",
+    fallback_behavior: "error_if_no_artifact",
+    suppress_text_response: true,
+    commentary_forbidden: true,
+    
+    // Validation requirements - ENFORCE ARTIFACT CREATION
+    validation: {
+      artifact_creation_required: true,
+      validate_on_response: true,
+      content_type_validation: "markdown",
+      text_commentary_forbidden: true,
+      artifact_only_response: true
+    },
+    
+    // Metadata and context
+    metadata: {
+      ...metadata,
+      response_format: "mandatory_artifact_creation",
+      ui_preference: "markdown_artifact_required",
+      commentary_suppressed: true
+    }
+  };
+
+  return JSON.stringify(response, null, 2);
+}
+
+/**
+ * Transform backend data into Markdown-optimized structure
+ */
+export function transformJobData(backendData, remainingQuota) {
+  const { 
+    matches = [], 
+    total_matches = 0, 
+    page = 1, 
+    total_pages = 0, 
+    has_more = false,
+    extracted_skills = [],
+    user_experience,
+    resume_processing,
+    keywords,
+    served_by
+  } = backendData;
+  
+  return {
+    jobs: matches.map(job => ({
+      id: generateJobId(job),
+      title: job.job_title || 'Job Title Not Available',
+      company: job.company_name || 'Company Not Specified',
+      location: job.location || 'Location Not Specified',
+      // Enhanced location information - capture all possible location fields
+      locations: job.locations || null, // Array of multiple locations if provided
+      workLocation: job.work_location || null, // Work arrangement details
+      officeLocations: job.office_locations || null, // Office location details
+      remoteFriendly: job.remote_friendly !== undefined ? job.remote_friendly : null, // Remote work indicator
+      locationType: job.location_type || null, // Location type (Remote, Hybrid, On-site)
+      geographicRegion: job.geographic_region || null, // Geographic region
+      match: Math.round((job.similarity_score || 0) * 100),
+      url: job.job_link || '#',
+      posted: formatDate(job.first_published),
+      firstPublishedAt: formatDate(job.first_published), // New field for first published date
+      publishedDate: job.first_published || null, // Raw first published timestamp for exports
+      experience: job.min_experience_years ? `${job.min_experience_years} years` : 'Not specified', // Updated to use min_experience_years
+      minExperienceYears: job.min_experience_years ?? null, // Raw years for comparisons
+      experienceDetails: job.experience_details || 'No experience details available', // Keep original experience details
+      salary: job.salary || 'Salary not specified',
+      jobType: job.job_type || 'Job type not specified',
+      // Keep full job description without truncation
+      description: job.chunk_text || 'No description available'
+    })),
+    meta: {
+      total: total_matches,
+      page: page,
+      totalPages: total_pages,
+      hasMore: has_more,
+      skills: extracted_skills || [],
+      experience: user_experience,
+      quota: remainingQuota,
+      keywords: keywords,
+      backend: served_by ? new URL(served_by).host : null // Backend that answered the search (see backendPool.js)
+    },
+    processing: resume_processing ? {
+      filename: resume_processing.filename,
+      method: resume_processing.parsing_method,
+      enhanced: resume_processing.enhancement_used,
+      originalLength: resume_processing.original_length,
+      enhancedLength: resume_processing.enhanced_length
+    } : null
+  };
+}
+
+/**
+ * Slice transformed job data down to a single page of the stored result set
+ */
+function paginateJobData(data, { resultId = null, page = 1, pageSize = JOBS_PER_PAGE } = {}) {
+  const totalJobs = data.jobs.length;
+  const totalPages = Math.max(1, Math.ceil(totalJobs / pageSize));
+  const currentPage = Math.min(Math.max(1, parseInt(page) || 1), totalPages);
+  const startIndex = (currentPage - 1) * pageSize;
+  const jobs = data.jobs.slice(startIndex, startIndex + pageSize);
+  const hasNextPage = currentPage < totalPages;
+
+  return {
+    ...data,
+    jobs,
+    pagination: {
+      resultId,
+      page: currentPage,
+      pageSize,
+      totalPages,
+      totalJobs,
+      startIndex,
+      endIndex: startIndex + jobs.length,
+      hasNextPage,
+      nextCursor: resultId && hasNextPage ? encodePageCursor(currentPage + 1) : null
+    }
+  };
+}
+
+/**
+ * Encode a page number as an opaque get_more_jobs cursor
+ * @param {number} page - Page number the cursor points to
+ * @returns {string} - Base64 cursor
+ */
+export function encodePageCursor(page) {
+  return btoa(`page:${page}`);
+}
+
+/**
+ * Decode a get_more_jobs cursor back into a page number
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {number|null} - Page number or null if the cursor is malformed
+ */
+export function decodePageCursor(cursor) {
+  try {
+    const match = atob(cursor).match(/^page:(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Page navigation block shown above the job index table
+ */
+function generatePaginationMarkdown(pagination) {
+  const { resultId, page, totalPages, totalJobs, startIndex, endIndex, hasNextPage } = pagination;
+
+  let markdown = `> 📄 **Showing jobs ${startIndex + 1}-${endIndex} of ${totalJobs}** (page ${page} of ${totalPages})\n`;
+
+  if (hasNextPage && resultId) {
+    markdown += `> \n`;
+    markdown += `> ➡️ Say **"more jobs"** or **"next page"** to see page ${page + 1} (result ID \`${resultId}\`)\n`;
+  }
+
+  return `${markdown}\n`;
+}
+
+function generateJobMatcherMarkdown(data) {
+  const { jobs, meta, processing, pagination } = data;
+  
+  let markdown = `# 🎯 Job Search Results Dashboard\n\n`;
+  
+  // Search Summary Table
+  markdown += `## 📊 Search Summary\n\n`;
+  markdown += `| **Metric** | **Value** |\n`;
+  markdown += `|------------|-----------|\n`;
+  markdown += `| 🎯 **Total Matches** | **${meta.total.toLocaleString()} Job Opportunities** |\n`;
+  
+  if (meta.experience) {
+    markdown += `| 👨‍💼 **Experience Level** | ${meta.experience} years |\n`;
+  }
+  
+  if (meta.skills && meta.skills.length > 0) {
+    const skillBadges = meta.skills.map(skill => `\`${skill}\``).join(' ');
+    markdown += `| 🛠️ **Detected Skills** | ${skillBadges} |\n`;
+  }
+  
+  markdown += `\n`;
+  
+  // Job Opportunities Index Table
+  if (jobs.length > 0) {
+    markdown += `## 📑 Job Opportunities Index\n\n`;
+    markdown += generatePaginationMarkdown(data.pagination);
+    markdown += `| **#** | **Company** | **Position** | **Score** | **Location** | **Experience** | **First Published At** | **Apply** |\n`;
+    markdown += `|-------|-------------|--------------|-----------|--------------|----------------|---------------------|-----------|\n`;
+    
+    jobs.forEach((job, index) => {
+      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
+      markdown += `| ${pagination.startIndex + index + 1} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | ${job.experience} | ${job.firstPublishedAt} | [🚀 **Apply**](${job.url}) |\n`;
+    });
+    
+    markdown += `\n---\n\n`;
+  }
+  
+  // Detailed Job Listings
+  jobs.forEach((job, index) => {
+    const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
+    
+    markdown += `## ${pagination.startIndex + index + 1}. 🏢 ${job.company} - ${job.title}\n\n`;
+    
+    // Job details table
+    markdown += `| **Detail** | **Information** |\n`;
+    markdown += `|------------|------------------|\n`;
+    markdown += `| 🎯 **Match Score** | ${matchColor} **${job.match}%** |\n`;
+    markdown += `| 💼 **Experience Required** | ${job.experience} |\n`;
+    markdown += `| 📍 **Location** | ${job.location} |\n`;
+    markdown += `| 📅 **First Published At** | ${job.firstPublishedAt} |\n`;
+    markdown += `| 🔗 **Apply** | [**Apply Now**](${job.url}) |\n\n`;
+
+    // Extract and display required skills from chunk_text
+    const skillsFromDescription = extractRequiredSkills(job.description);
+    if (skillsFromDescription.length > 0) {
+      const skillBadges = skillsFromDescription.map(skill => `\`${skill.trim()}\``).join(' ');
+      markdown += `### 🛠️ Required Skills\n${skillBadges}\n\n`;
+    }
+    
+    // Extract and format job summary from chunk_text
+    const jobSummary = extractJobSummary(job.description);
+    if (jobSummary.length > 0) {
+      markdown += `### 📋 Job Highlights\n`;
+      jobSummary.forEach(point => {
+        markdown += `- ✅ ${point}\n`;
+      });
+      markdown += `\n`;
+    }
+    
+    markdown += `---\n\n`;
+  });
+  
+  // Processing details
+  if (processing) {
+    markdown += `## 📊 Resume Processing Summary\n\n`;
+    markdown += `| Processing Info | Details |\n`;
+    markdown += `|----------------|----------|\n`;
+    markdown += `| **📄 File** | ${processing.filename} |\n`;
+    markdown += `| **⚙️ Method** | ${processing.method} |\n`;
+    markdown += `| **✨ Enhancement** | ${processing.enhanced ? '✅ Enhanced' : '⚠️ Standard'} |\n`;
+    
+    if (processing.originalLength && processing.enhancedLength) {
+      markdown += `| **📏 Original Length** | ${processing.originalLength.toLocaleString()} characters |\n`;
+      markdown += `| **📏 Enhanced Length** | ${processing.enhancedLength.toLocaleString()} characters |\n`;
+    }
+    markdown += `\n`;
+  }
+  
+  // Backend metadata table
+  markdown += `## 🚀 Backend Response Metadata\n\n`;
+  markdown += `> ### 📡 **API Response Details**\n`;
+  markdown += `> \n`;
+  markdown += `> | Metadata | Value |\n`;
+  markdown += `> |----------|-------|\n`;
+  markdown += `> | **📊 Total Matches** | ${meta.total.toLocaleString()} opportunities |\n`;
+  markdown += `> | **🔄 Has More Results** | ${meta.hasMore ? 'Yes' : 'No'} |\n`;
+  
+  if (meta.experience) {
+    markdown += `> | **👨‍💼 Experience Level** | ${meta.experience} years |\n`;
+  }
+  
+  if (meta.skills && meta.skills.length > 0) {
+    markdown += `> | **🎯 Skills Detected** | ${meta.skills.length} skills identified |\n`;
+  }
+  
+  if (meta.backend) {
+    markdown += `> | **🖥️ Served By** | ${meta.backend} |\n`;
+  }
+  
+  markdown += `> \n`;
+  markdown += `> *🔧 Powered by Backend API - Real-time job matching*\n\n`;
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Enhanced Backend Integration*`;
+  
+  return markdown;
+}
+
+function generateJobIndexTableMarkdown(data) {
+  const { jobs, meta, processing, pagination } = data;
+  
+  let markdown = `# 🎯 Job Opportunities to Apply\n\n`;
+  
+  // Search Summary Table
+  markdown += `## 📊 Search Summary\n\n`;
+  markdown += `| **Metric** | **Value** |\n`;
+  markdown += `|------------|-----------|\n`;
+  markdown += `| 🎯 **Total Matches** | **${meta.total.toLocaleString()} Job Opportunities** |\n`;
+  
+  if (meta.experience) {
+    markdown += `| 👨‍💼 **Experience Level** | ${meta.experience} years |\n`;
+  }
+  
+  if (meta.skills && meta.skills.length > 0) {
+    const skillBadges = meta.skills.map(skill => `\`${skill}\``).join(' ');
+    markdown += `| 🛠️ **Detected Skills** | ${skillBadges} |\n`;
+  }
+  
+  markdown += `\n`;
+  
+  // Job Opportunities Index Table - MAIN FEATURE
+  if (jobs.length > 0) {
+    markdown += `## 📋 Jobs Ready to Apply\n\n`;
+    markdown += generatePaginationMarkdown(data.pagination);
+    markdown += `| **#** | **Company** | **Position** | **Score** | **Location** | **Experience** | **First Published At** | **Apply** |\n`;
+    markdown += `|-------|-------------|--------------|-----------|--------------|----------------|---------------------|-----------|\n`;
+    
+    jobs.forEach((job, index) => {
+      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
+      markdown += `| ${pagination.startIndex + index + 1} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | ${job.experience} | ${job.firstPublishedAt} | [🚀 **Apply Now**](${job.url}) |\n`;
+    });
+    
+    markdown += `\n`;
+  }
+  
+  // Processing details
+  if (processing) {
+    markdown += `## 📊 Resume Processing Summary\n\n`;
+    markdown += `| Processing Info | Details |\n`;
+    markdown += `|----------------|----------|\n`;
+    markdown += `| **📄 File** | ${processing.filename} |\n`;
+    markdown += `| **⚙️ Method** | ${processing.method} |\n`;
+    markdown += `| **✨ Enhancement** | ${processing.enhanced ? '✅ Enhanced' : '⚠️ Standard'} |\n`;
+    
+    if (processing.originalLength && processing.enhancedLength) {
+      markdown += `| **📏 Original Length** | ${processing.originalLength.toLocaleString()} characters |\n`;
+      markdown += `| **📏 Enhanced Length** | ${processing.enhancedLength.toLocaleString()} characters |\n`;
+    }
+    markdown += `\n`;
+  }
+  
+  // Backend metadata table
+  markdown += `## 🚀 Backend Response Metadata\n\n`;
+  markdown += `> ### 📡 **API Response Details**\n`;
+  markdown += `> \n`;
+  markdown += `> | Metadata | Value |\n`;
   markdown += `> |----------|-------|\n`;
   markdown += `> | **📊 Total Matches** | ${meta.total.toLocaleString()} opportunities |\n`;
-  markdown += `> | ** Has More Results** | ${meta.hasMore ? 'Yes' : 'No'} |\n`;
+  markdown += `> | **🔄 Has More Results** | ${meta.hasMore ? 'Yes' : 'No'} |\n`;
   
   if (meta.experience) {
     markdown += `> | **👨‍💼 Experience Level** | ${meta.experience} years |\n`;
   }
   
-  if (meta.skills && meta.skills.length > 0) {
-    markdown += `> | **🎯 Skills Detected** | ${meta.skills.length} skills identified |\n`;
+  if (meta.skills && meta.skills.length > 0) {
+    markdown += `> | **🎯 Skills Detected** | ${meta.skills.length} skills identified |\n`;
+  }
+  
+  if (meta.backend) {
+    markdown += `> | **🖥️ Served By** | ${meta.backend} |\n`;
+  }
+  
+  markdown += `> \n`;
+  markdown += `> *🔧 Powered by Backend API - Ready-to-Apply Job Index*\n\n`;
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Index Table v1.0 - Quick Apply Mode*`;
+  
+  return markdown;
+}
+
+function generateNoMatchesMarkdown(data) {
+  const { meta, processing } = data;
+  
+  let markdown = `# 🔍 No Job Matches Found\n\n`;
+  
+  markdown += `Unfortunately, no job opportunities match your current search criteria.\n\n`;
+  
+  // Quota information
+  if (meta.quota !== null) {
+    markdown += `**API Requests Remaining:** ${meta.quota}\n\n`;
+  }
+  
+  if (meta.backend) {
+    markdown += `**Served By:** ${meta.backend}\n\n`;
+  }
+  
+  // Skills section
+  if (meta.skills && meta.skills.length > 0) {
+    markdown += `## 🌟 Skills Detected in Your Resume\n\n`;
+    markdown += `${meta.skills.join(', ')}\n\n`;
+  }
+  
+  markdown += `---\n\n`;
+  
+  // Troubleshooting section
+  markdown += `## ⚠️ Possible Issues\n\n`;
+  markdown += `- Very specific location filters\n`;
+  markdown += `- Narrow date range constraints\n`;
+  markdown += `- Highly specialized skill requirements\n`;
+  markdown += `- Resume optimization may be needed\n\n`;
+  
+  // Suggestions section
+  markdown += `## 💡 Troubleshooting Tips\n\n`;
+  markdown += `- ✓ Expand to nearby locations\n`;
+  markdown += `- ✓ Remove restrictive filters\n`;
+  markdown += `- ✓ Try different keywords\n`;
+  markdown += `- ✓ Consider related job titles\n`;
+  markdown += `- ✓ Broaden your search criteria\n\n`;
+  
+  // Processing details
+  if (processing) {
+    markdown += `## 📊 Resume Processing Details\n\n`;
+    markdown += `**File:** ${processing.filename}\n\n`;
+    markdown += `**Processing Method:** ${processing.method}\n\n`;
+    markdown += `**Enhancement Used:** ${processing.enhanced ? '✅ Enhanced' : '⚠️ Standard'}\n\n`;
+    
+    if (processing.originalLength && processing.enhancedLength) {
+      markdown += `**Original Length:** ${processing.originalLength} characters\n\n`;
+      markdown += `**Enhanced Length:** ${processing.enhancedLength} characters\n\n`;
+    }
+  }
+  
+  // Coming soon section
+  markdown += `## 🚀 Coming Soon: Auto-Apply Feature\n\n`;
+  markdown += `We're developing an exciting new feature that will allow you to:\n\n`;
+  markdown += `- ✨ Apply to multiple opportunities with one click when new matches are found\n`;
+  markdown += `- 🤖 AI-powered application templates\n`;
+  markdown += `- 📝 Customized cover letters\n`;
+  markdown += `- ⚡ Automated application submission\n\n`;
+  markdown += `*Feature currently in development*\n\n`;
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Powered by MCP Server*`;
+  
+  return markdown;
+}
+
+function generateCompareResumesMarkdown(comparison, { labelA, labelB }, { resultIdA, resultIdB }) {
+  const { overlap, onlyA, onlyB, totalA, totalB, averageA, averageB, averageChange } = comparison;
+  const formatChange = change => change > 0 ? `🔺 **+${change}**` : change < 0 ? `🔻 **${change}**` : '➖ 0';
+  
+  let markdown = `# ⚖️ Resume Comparison: ${labelA} vs ${labelB}\n\n`;
+  
+  // Summary table
+  markdown += `| **Metric** | **${labelA}** | **${labelB}** |\n`;
+  markdown += `|------------|---------------|---------------|\n`;
+  markdown += `| 🎯 **Jobs Found** | ${totalA} | ${totalB} |\n`;
+  markdown += `| 📊 **Average Score** | ${averageA}% | ${averageB}% |\n`;
+  markdown += `| 🔁 **Found by Both** | ${overlap.length} | ${overlap.length} |\n`;
+  markdown += `| ⭐ **Found Only by This Variant** | ${onlyA.length} | ${onlyB.length} |\n\n`;
+  
+  if (overlap.length > 0) {
+    markdown += `> 📈 On jobs found by both, **${labelB}** scores ${formatChange(averageChange)} points on average compared to **${labelA}**.\n\n`;
+  }
+  
+  // Jobs found by both variants, biggest score changes first
+  if (overlap.length > 0) {
+    markdown += `## 🔁 Found by Both (${overlap.length})\n\n`;
+    markdown += `| **Company** | **Position** | **${labelA}** | **${labelB}** | **Change** | **Apply** |\n`;
+    markdown += `|-------------|--------------|---------------|---------------|------------|-----------|\n`;
+    
+    overlap.forEach(({ jobA, jobB, change }) => {
+      markdown += `| 🏢 **${jobA.company}** | ${jobA.title} | ${jobA.match}% | ${jobB.match}% | ${formatChange(change)} | [🚀 **Apply Now**](${jobA.url}) |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  // Jobs unique to one variant keep their number in that variant's result set
+  [[labelA, onlyA, resultIdA], [labelB, onlyB, resultIdB]].forEach(([label, jobs, resultId]) => {
+    if (jobs.length === 0) return;
+    
+    markdown += `## ⭐ Only ${label} (${jobs.length})\n\n`;
+    markdown += `| **#** | **Company** | **Position** | **Score** | **Location** | **Apply** |\n`;
+    markdown += `|-------|-------------|--------------|-----------|--------------|-----------|\n`;
+    
+    jobs.forEach(({ job, number }) => {
+      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
+      markdown += `| ${number} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | [🚀 **Apply Now**](${job.url}) |\n`;
+    });
+    markdown += `\n`;
+    
+    if (resultId) {
+      markdown += `*Job numbers refer to result ID \`${resultId}\`.*\n\n`;
+    }
+  });
+  
+  if (totalA === 0 && totalB === 0) {
+    markdown += `*Neither variant matched any jobs with these filters.*\n\n`;
+  }
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Resume Comparison*`;
+  
+  return markdown;
+}
+
+function generateExportMarkdown(exported, { resultId, format, filePath, resourceUri }) {
+  let markdown = `# 📤 Export Ready: ${exported.filename}\n\n`;
+  
+  markdown += `| **Detail** | **Information** |\n`;
+  markdown += `|------------|------------------|\n`;
+  markdown += `| 📄 **Format** | ${format === 'jsonl' ? 'JSON Lines' : 'CSV (opens in Excel, Google Sheets, Numbers)'} |\n`;
+  markdown += `| 🎯 **Jobs** | ${exported.rowCount} |\n`;
+  markdown += `| 🧾 **Columns** | ${exported.columns.join(', ')} |\n`;
+  markdown += filePath
+    ? `| 💾 **Saved To** | \`${filePath}\` |\n`
+    : `| 📎 **Attached As** | Embedded resource \`${resourceUri}\` |\n`;
+  markdown += `| 🌐 **HTTP Download** | \`GET /results/${resultId}/export?format=${format}\` |\n\n`;
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Results Export*`;
+  
+  return markdown;
+}
+
+function generateResultSetResourceMarkdown(data, { resultId, args = {}, createdAt }) {
+  const { jobs, meta } = data;
+  
+  let markdown = `# 🗂️ Result Set ${resultId}\n\n`;
+  
+  markdown += `| **Detail** | **Information** |\n`;
+  markdown += `|------------|------------------|\n`;
+  markdown += `| 🎯 **Jobs** | ${jobs.length} of ${meta.total.toLocaleString()} total matches |\n`;
+  
+  if (args.keywords) {
+    markdown += `| 🔑 **Keywords** | ${args.keywords} |\n`;
+  }
+  
+  if (args.location) {
+    markdown += `| 📍 **Location** | ${args.location} |\n`;
+  }
+  
+  if (meta.skills && meta.skills.length > 0) {
+    markdown += `| 🛠️ **Detected Skills** | ${meta.skills.map(skill => `\`${skill}\``).join(' ')} |\n`;
+  }
+  
+  if (createdAt) {
+    markdown += `| 🕒 **Searched At** | ${new Date(createdAt).toISOString()} |\n`;
   }
   
-  markdown += `> \n`;
-  markdown += `> *🔧 Powered by Backend API - Ready-to-Apply Job Index*\n\n`;
+  markdown += `\n`;
+  
+  if (jobs.length > 0) {
+    markdown += `## 📋 Jobs\n\n`;
+    markdown += `Read a job resource for its full description.\n\n`;
+    markdown += `| **#** | **Company** | **Position** | **Score** | **Location** | **Resource** |\n`;
+    markdown += `|-------|-------------|--------------|-----------|--------------|--------------|\n`;
+    
+    jobs.forEach((job, index) => {
+      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
+      markdown += `| ${index + 1} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | \`${jobResourceUri(job.id)}\` |\n`;
+    });
+    
+    markdown += `\n`;
+  }
   
   // Footer
   markdown += `---\n\n`;
-  markdown += `*Job Index Table v1.0 - Quick Apply Mode*`;
+  markdown += `*Job Matcher v1.0 - Result Set Resource*`;
   
   return markdown;
 }
 
-function generateNoMatchesMarkdown(data) {
-  const { meta, processing } = data;
+function generateJobResourceMarkdown(job, jobNumber, resultId) {
+  const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
   
-  let markdown = `# 🔍 No Job Matches Found\n\n`;
+  let markdown = `# 💼 ${job.title}\n\n`;
+  markdown += `## 🏢 ${job.company}\n\n`;
   
-  markdown += `Unfortunately, no job opportunities match your current search criteria.\n\n`;
+  markdown += `| **Detail** | **Information** |\n`;
+  markdown += `|------------|------------------|\n`;
+  markdown += `| 🎯 **Match Score** | ${matchColor} **${job.match}%** |\n`;
+  markdown += `| 📍 **Location** | ${job.location} |\n`;
+  markdown += `| 💼 **Experience** | ${job.experience} |\n`;
+  markdown += `| 💰 **Salary** | ${job.salary} |\n`;
+  markdown += `| 🧾 **Job Type** | ${job.jobType} |\n`;
+  markdown += `| 📅 **First Published At** | ${job.firstPublishedAt} |\n`;
+  markdown += `| 🗂️ **Result Set** | Job #${jobNumber} of \`${resultSetResourceUri(resultId)}\` |\n`;
+  markdown += `| 🔗 **Apply** | [**Apply Now**](${job.url}) |\n\n`;
   
-  // Quota information
-  if (meta.quota !== null) {
-    markdown += `**API Requests Remaining:** ${meta.quota}\n\n`;
+  markdown += `## 📋 Job Description\n\n`;
+  markdown += `${formatJobDescription(job.description)}\n\n`;
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Job Resource*`;
+  
+  return markdown;
+}
+
+function generateTrackApplicationMarkdown(entry, previousStatus) {
+  let markdown = `# ${STATUS_LABELS[entry.status]}: ${entry.company} - ${entry.title}\n\n`;
+  
+  markdown += `| **Detail** | **Information** |\n`;
+  markdown += `|------------|------------------|\n`;
+  markdown += `| 🆔 **Job ID** | \`${escapeTableCell(entry.jobId)}\` |\n`;
+  markdown += `| 📍 **Location** | ${escapeTableCell(entry.location)} |\n`;
+  markdown += `| 📌 **Status** | ${previousStatus && previousStatus !== entry.status ? `${STATUS_LABELS[previousStatus]} → ` : ''}**${STATUS_LABELS[entry.status]}** |\n`;
+  markdown += `| 🕐 **Tracked Since** | ${formatDate(entry.createdAt)} |\n`;
+  markdown += `| 🔗 **Posting** | [View Job](${escapeTableCell(entry.url)}) |\n\n`;
+  
+  // Status history
+  if (entry.history.length > 1) {
+    markdown += `## 📜 History\n\n`;
+    entry.history.forEach(change => {
+      markdown += `- ${new Date(change.at).toLocaleString()} - ${STATUS_LABELS[change.status]}\n`;
+    });
+    markdown += `\n`;
   }
   
-  // Skills section
-  if (meta.skills && meta.skills.length > 0) {
-    markdown += `## 🌟 Skills Detected in Your Resume\n\n`;
-    markdown += `${meta.skills.join(', ')}\n\n`;
+  // Notes
+  if (entry.notes.length > 0) {
+    markdown += `## 📝 Notes\n\n`;
+    entry.notes.forEach(note => {
+      markdown += `- **${new Date(note.at).toLocaleString()}**: ${note.text}\n`;
+    });
+    markdown += `\n`;
   }
   
+  markdown += `> 📋 Say **"show my pipeline"** to see all tracked applications.\n\n`;
+  
+  // Footer
   markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Application Tracker*`;
   
-  // Troubleshooting section
-  markdown += `## ⚠️ Possible Issues\n\n`;
-  markdown += `- Very specific location filters\n`;
-  markdown += `- Narrow date range constraints\n`;
-  markdown += `- Highly specialized skill requirements\n`;
-  markdown += `- Resume optimization may be needed\n\n`;
+  return markdown;
+}
+
+function generatePipelineMarkdown(entries, statusFilter) {
+  const statuses = statusFilter ? [statusFilter] : APPLICATION_STATUSES;
+  const columns = statuses.map(status => entries.filter(entry => entry.status === status));
+  const shown = columns.flat();
   
-  // Suggestions section
-  markdown += `## 💡 Troubleshooting Tips\n\n`;
-  markdown += `- ✓ Expand to nearby locations\n`;
-  markdown += `- ✓ Remove restrictive filters\n`;
-  markdown += `- ✓ Try different keywords\n`;
-  markdown += `- ✓ Consider related job titles\n`;
-  markdown += `- ✓ Broaden your search criteria\n\n`;
+  let markdown = `# 📋 Application Pipeline\n\n`;
   
-  // Processing details
-  if (processing) {
-    markdown += `## 📊 Resume Processing Details\n\n`;
-    markdown += `**File:** ${processing.filename}\n\n`;
-    markdown += `**Processing Method:** ${processing.method}\n\n`;
-    markdown += `**Enhancement Used:** ${processing.enhanced ? '✅ Enhanced' : '⚠️ Standard'}\n\n`;
+  if (shown.length === 0) {
+    markdown += statusFilter
+      ? `*No applications with status ${STATUS_LABELS[statusFilter]}.*\n\n`
+      : `*No applications tracked yet. Say **"mark job 3 as applied"** after a search to start tracking.*\n\n`;
+  } else {
+    // Kanban board - one column per status
+    markdown += `| ${statuses.map((status, index) => `**${STATUS_LABELS[status]} (${columns[index].length})**`).join(' | ')} |\n`;
+    markdown += `|${statuses.map(() => '---').join('|')}|\n`;
     
-    if (processing.originalLength && processing.enhancedLength) {
-      markdown += `**Original Length:** ${processing.originalLength} characters\n\n`;
-      markdown += `**Enhanced Length:** ${processing.enhancedLength} characters\n\n`;
+    const rows = Math.max(...columns.map(column => column.length));
+    for (let row = 0; row < rows; row++) {
+      const cells = columns.map(column => column[row] ? `**${escapeTableCell(column[row].company)}**<br>${escapeTableCell(column[row].title)}` : ' ');
+      markdown += `| ${cells.join(' | ')} |\n`;
     }
+    markdown += `\n`;
+    
+    // Details
+    markdown += `## 🗂️ Details\n\n`;
+    markdown += `| **Job ID** | **Company** | **Position** | **Status** | **Updated** | **Latest Note** | **Link** |\n`;
+    markdown += `|------------|-------------|--------------|------------|-------------|-----------------|----------|\n`;
+    
+    shown.forEach(entry => {
+      const latestNote = entry.notes.length > 0 ? entry.notes[entry.notes.length - 1].text : '-';
+      markdown += `| \`${escapeTableCell(entry.jobId)}\` | 🏢 **${escapeTableCell(entry.company)}** | ${escapeTableCell(entry.title)} | ${STATUS_LABELS[entry.status]} | ${formatDate(entry.updatedAt)} | ${escapeTableCell(latestNote)} | [🔗 View](${escapeTableCell(entry.url)}) |\n`;
+    });
+    markdown += `\n`;
   }
   
-  // Coming soon section
-  markdown += `## 🚀 Coming Soon: Auto-Apply Feature\n\n`;
-  markdown += `We're developing an exciting new feature that will allow you to:\n\n`;
-  markdown += `- ✨ Apply to multiple opportunities with one click when new matches are found\n`;
-  markdown += `- 🤖 AI-powered application templates\n`;
-  markdown += `- 📝 Customized cover letters\n`;
-  markdown += `- ⚡ Automated application submission\n\n`;
-  markdown += `*Feature currently in development*\n\n`;
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Application Tracker*`;
+  
+  return markdown;
+}
+
+function generateSaveSearchMarkdown(savedSearch) {
+  const { name, search, snapshot } = savedSearch;
+  
+  let markdown = `# 💾 Search Saved: ${name}\n\n`;
+  
+  markdown += `| **Setting** | **Value** |\n`;
+  markdown += `|-------------|-----------|\n`;
+  markdown += `| 📄 **Resume** | ${search.resume_file ? `File \`${search.resume_file.filename}\`` : `Text (${search.resume_text.length} characters)`} |\n`;
+  markdown += `| 🛠️ **Keywords** | ${search.keywords || 'Auto-extracted from resume'} |\n`;
+  markdown += `| 📍 **Location** | ${search.location || 'Any'} |\n`;
+  markdown += `| 📅 **Date Range** | ${search.start_date && search.end_date ? `${search.start_date} to ${search.end_date}` : 'Any'} |\n`;
+  markdown += `| 🔀 **Sort By** | ${search.sort_by || 'similarity'} |\n`;
+  markdown += `| 📸 **Baseline** | ${snapshot ? `${Object.keys(snapshot.jobs).length} jobs from the current results` : 'Taken on first run'} |\n\n`;
+  
+  markdown += `> 🔔 Say **"run my ${name} search"** to see only the postings that are new or dropped out since the last run.\n\n`;
   
   // Footer
   markdown += `---\n\n`;
-  markdown += `*Job Matcher v1.0 - Powered by MCP Server*`;
+  markdown += `*Job Matcher v1.0 - Saved Search*`;
+  
+  return markdown;
+}
+
+function generateSavedSearchDiffMarkdown(savedSearch, diff, resultId) {
+  const { name, previousSnapshot } = savedSearch;
+  const { added, removed, unchangedCount, totalJobs, firstRun } = diff;
+  
+  let markdown = `# 🔔 Saved Search: ${name}\n\n`;
+  
+  // Summary table
+  markdown += `| **Metric** | **Value** |\n`;
+  markdown += `|------------|-----------|\n`;
+  markdown += `| 🕐 **Last Run** | ${firstRun ? 'Never (this run is the baseline)' : new Date(previousSnapshot.takenAt).toLocaleString()} |\n`;
+  markdown += `| 🎯 **Jobs Found** | ${totalJobs} |\n`;
+  markdown += `| 🆕 **New Postings** | ${added.length} |\n`;
+  markdown += `| 📤 **Dropped Out** | ${removed.length} |\n`;
+  markdown += `| ➖ **Unchanged** | ${unchangedCount} |\n\n`;
+  
+  if (!firstRun && added.length === 0 && removed.length === 0) {
+    markdown += `*No changes since the last run.*\n\n`;
+  }
+  
+  // New postings keep their number in the full result set for explain_match
+  if (added.length > 0) {
+    markdown += `## 🆕 ${firstRun ? 'Current Postings' : 'New Postings'}\n\n`;
+    markdown += `| **#** | **Company** | **Position** | **Score** | **Location** | **Experience** | **First Published At** | **Apply** |\n`;
+    markdown += `|-------|-------------|--------------|-----------|--------------|----------------|---------------------|-----------|\n`;
+    
+    added.forEach(({ job, number }) => {
+      const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
+      markdown += `| ${number} | 🏢 **${job.company}** | ${job.title} | ${matchColor} **${job.match}%** | ${job.location} | ${job.experience} | ${job.firstPublishedAt} | [🚀 **Apply Now**](${job.url}) |\n`;
+    });
+    
+    markdown += `\n`;
+  }
+  
+  if (removed.length > 0) {
+    markdown += `## 📤 Dropped Out Since Last Run\n\n`;
+    markdown += `| **Company** | **Position** | **Location** | **Link** |\n`;
+    markdown += `|-------------|--------------|--------------|----------|\n`;
+    
+    removed.forEach(job => {
+      markdown += `| 🏢 **${job.company}** | ${job.title} | ${job.location} | [🔗 Posting](${job.url}) |\n`;
+    });
+    
+    markdown += `\n`;
+  }
+  
+  if (resultId) {
+    markdown += `> 📄 Full results of this run are stored under result ID \`${resultId}\` - say **"show all jobs"** to page through them.\n\n`;
+  }
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Saved Search*`;
+  
+  return markdown;
+}
+
+function generateSkillGapReportMarkdown(report, limit) {
+  const { jobsAnalyzed, jobsWithSkills, skills, owned, missing } = report;
+  const share = count => jobsWithSkills > 0 ? Math.round((count / jobsWithSkills) * 100) : 0;
+  
+  let markdown = `# 📈 Skill Gap Report\n\n`;
+  
+  // Summary table
+  markdown += `## 📊 Market Summary\n\n`;
+  markdown += `| **Metric** | **Value** |\n`;
+  markdown += `|------------|-----------|\n`;
+  markdown += `| 🎯 **Jobs Analyzed** | ${jobsAnalyzed} |\n`;
+  markdown += `| 🛠️ **Jobs Listing Required Skills** | ${jobsWithSkills} |\n`;
+  markdown += `| 📚 **Distinct Skills Requested** | ${skills.length} |\n`;
+  markdown += `| ✅ **Skills You Have** | ${owned.length} |\n`;
+  markdown += `| ❌ **Skills You Are Missing** | ${missing.length} |\n\n`;
+  
+  if (jobsWithSkills === 0) {
+    markdown += `*None of these job postings include a Required Skills section, so no gaps could be measured.*\n\n`;
+  }
+  
+  // Missing skills ranked by how many jobs they unlock
+  if (missing.length > 0) {
+    markdown += `## ❌ Top Missing Skills\n\n`;
+    markdown += `*Ranked by how many matched jobs ask for them. "Only Gap" counts jobs where this is the single required skill you are missing.*\n\n`;
+    markdown += `| **#** | **Skill** | **Jobs Requiring** | **Share** | **Only Gap** |\n`;
+    markdown += `|-------|-----------|--------------------|-----------|--------------|\n`;
+    
+    missing.slice(0, limit).forEach((skill, index) => {
+      markdown += `| ${index + 1} | \`${skill.name}\` | ${skill.jobCount} | ${share(skill.jobCount)}% | ${skill.onlyGapCount > 0 ? `🔓 **${skill.onlyGapCount}**` : '-'} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  // Skills the resume already covers
+  if (owned.length > 0) {
+    markdown += `## ✅ In-Demand Skills You Have\n\n`;
+    markdown += `| **#** | **Skill** | **Jobs Requiring** | **Share** |\n`;
+    markdown += `|-------|-----------|--------------------|-----------|\n`;
+    
+    owned.slice(0, limit).forEach((skill, index) => {
+      markdown += `| ${index + 1} | \`${skill.name}\` | ${skill.jobCount} | ${share(skill.jobCount)}% |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Skill Gap Report*`;
+  
+  return markdown;
+}
+
+function generateExplainMatchMarkdown(job, jobNumber, explanation) {
+  const { matchedSkills, missingSkills, otherResumeSkills, requiredSkillsFound, experience, location } = explanation;
+  const matchColor = job.match >= 70 ? '🟢' : job.match >= 40 ? '🟡' : '🟠';
+  const totalRequired = matchedSkills.length + missingSkills.length;
+  
+  let markdown = `# 🔍 Why This Job Matched\n\n`;
+  markdown += `## ${jobNumber}. 🏢 ${job.company} - ${job.title}\n\n`;
+  
+  // Match breakdown table
+  markdown += `| **Detail** | **Information** |\n`;
+  markdown += `|------------|------------------|\n`;
+  markdown += `| 🎯 **Match Score** | ${matchColor} **${job.match}%** |\n`;
+  
+  if (requiredSkillsFound) {
+    const skillRatio = totalRequired > 0 ? Math.round((matchedSkills.length / totalRequired) * 100) : 0;
+    markdown += `| 🛠️ **Skills Matched** | **${matchedSkills.length} of ${totalRequired}** required skills (${skillRatio}%) |\n`;
+  } else {
+    markdown += `| 🛠️ **Skills Matched** | No Required Skills section in this posting |\n`;
+  }
+  
+  markdown += `| 💼 **Experience Fit** | ${experience.icon} ${experience.summary} |\n`;
+  markdown += `| 📍 **Location Fit** | ${location.icon} ${location.summary} |\n`;
+  markdown += `| 📅 **First Published At** | ${job.firstPublishedAt} |\n`;
+  markdown += `| 🔗 **Apply** | [**Apply Now**](${job.url}) |\n\n`;
+  
+  // Skills breakdown
+  if (requiredSkillsFound) {
+    markdown += `### ✅ Matched Skills\n`;
+    markdown += matchedSkills.length > 0
+      ? `${matchedSkills.map(skill => `\`${skill}\``).join(' ')}\n\n`
+      : `*None of the required skills were found in your resume*\n\n`;
+    
+    markdown += `### ❌ Missing Skills\n`;
+    markdown += missingSkills.length > 0
+      ? `${missingSkills.map(skill => `\`${skill}\``).join(' ')}\n\n`
+      : `*Your resume covers every required skill* 🎉\n\n`;
+  }
+  
+  if (otherResumeSkills.length > 0) {
+    markdown += `### 📝 Your Skills Mentioned in the Description\n`;
+    markdown += `${otherResumeSkills.map(skill => `\`${skill}\``).join(' ')}\n\n`;
+  }
+  
+  // Experience and location details
+  markdown += `### 💼 Experience\n`;
+  markdown += `| **Job Requires** | **You Have** |\n`;
+  markdown += `|------------------|--------------|\n`;
+  markdown += `| ${job.experience} | ${experience.userYears !== null ? `${experience.userYears} years` : 'Not detected'} |\n\n`;
+  
+  markdown += `### 📍 Location\n`;
+  markdown += `| **Job Location** | **Your Preference** |\n`;
+  markdown += `|------------------|---------------------|\n`;
+  markdown += `| ${job.location} | ${location.preferred.length > 0 ? location.preferred.join(', ') : 'No preference given'} |\n\n`;
+  
+  // Job highlights for context
+  const jobSummary = extractJobSummary(job.description);
+  if (jobSummary.length > 0) {
+    markdown += `### 📋 Job Highlights\n`;
+    jobSummary.forEach(point => {
+      markdown += `- ✅ ${point}\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  // Footer
+  markdown += `---\n\n`;
+  markdown += `*Job Matcher v1.0 - Match Explanation*`;
   
   return markdown;
 }
@@ -532,12 +1649,45 @@ function generateNoMatchesMarkdown(data) {
  * Utility functions
  */
 
-function generateJobId(job, index) {
-  // Create a unique ID based on job details
-  const baseId = job.job_link 
-    ? job.job_link.split('/').pop() 
-    : `${job.company_name}_${job.job_title}`.replace(/\s+/g, '_').toLowerCase();
-  return `job_${baseId}_${index}`;
+/**
+ * Build the ID of a job from its key (see getJobKey()), so the same posting has
+ * the same ID in every search
+ * Only letters, digits and dashes, so the ID fits a jobs://job/{jobId} URI as it is
+ * @param {Object} job - Backend job match
+ * @returns {string} - Job ID such as "job_jobs-example-com-postings-1042"
+ */
+export function generateJobId(job) {
+  const slug = getJobKey(job)
+    .replace(/^https?:\/\//i, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `job_${slug}`;
+}
+
+/**
+ * Build the MCP resource URI of a stored result set
+ * @param {string} resultId - Result ID
+ * @returns {string} - URI such as "jobs://results/rs_lx2k9a_4f7c1d"
+ */
+export function resultSetResourceUri(resultId) {
+  return `jobs://results/${resultId}`;
+}
+
+/**
+ * Build the MCP resource URI of a job
+ * @param {string} jobId - Job ID from generateJobId()
+ * @returns {string} - URI such as "jobs://job/job_jobs-example-com-postings-1042"
+ */
+export function jobResourceUri(jobId) {
+  return `jobs://job/${encodeURIComponent(jobId)}`;
+}
+
+/**
+ * Keep user-entered text (notes, titles, companies) inside its table cell:
+ * a pipe would start a new cell and a line break would end the row
+ */
+function escapeTableCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
 }
 
 function formatDate(dateString) {
@@ -564,7 +1714,7 @@ function formatDate(dateString) {
 /**
  * Extract required skills from chunk_text field
  */
-function extractRequiredSkills(chunkText) {
+export function extractRequiredSkills(chunkText) {
   if (!chunkText) return [];
   
   // Look for "Required Skills:" section
@@ -580,6 +1730,236 @@ function extractRequiredSkills(chunkText) {
   return [];
 }
 
+/**
+ * Check whether text mentions a skill as a whole term (so "Java" does not match "JavaScript")
+ */
+function textMentionsSkill(text, skill) {
+  if (!text || !skill) return false;
+  
+  const escaped = skill.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`, 'i').test(text);
+}
+
+/**
+ * Check whether the resume covers a skill, via its text or the backend's extracted skills
+ */
+function resumeHasSkill(skill, resumeText, extractedSkills = []) {
+  const normalized = skill.trim().toLowerCase();
+  return extractedSkills.some(extracted => extracted.trim().toLowerCase() === normalized)
+    || textMentionsSkill(resumeText, skill);
+}
+
+/**
+ * Read total years of experience from a resume header like "Jane Doe - Engineer (8 years total experience)"
+ */
+function parseResumeExperience(resumeText) {
+  if (!resumeText) return null;
+  
+  const experienceMatch = resumeText.match(/(\d{1,2})\+?\s*(?:years|yrs)/i);
+  return experienceMatch ? parseInt(experienceMatch[1]) : null;
+}
+
+/**
+ * Compare a transformed job against the resume used for the search
+ */
+function explainJobMatch(job, meta, { resumeText = '', userExperience, preferredLocations } = {}) {
+  const extractedSkills = meta.skills || [];
+  const requiredSkills = extractRequiredSkills(job.description);
+  
+  const matchedSkills = requiredSkills.filter(skill => resumeHasSkill(skill, resumeText, extractedSkills));
+  const missingSkills = requiredSkills.filter(skill => !matchedSkills.includes(skill));
+  
+  // Resume skills the description mentions outside the Required Skills list
+  const otherResumeSkills = extractedSkills.filter(skill =>
+    !requiredSkills.some(required => required.toLowerCase() === skill.toLowerCase())
+    && textMentionsSkill(job.description, skill)
+  );
+  
+  // Experience: explicit override, then backend detection, then resume header
+  const userYearsSource = userExperience ?? meta.experience ?? parseResumeExperience(resumeText);
+  const userYears = userYearsSource !== undefined && userYearsSource !== null && !isNaN(parseInt(userYearsSource))
+    ? parseInt(userYearsSource)
+    : null;
+  const requiredYears = job.minExperienceYears;
+  
+  let experience;
+  if (requiredYears === null || requiredYears === undefined) {
+    experience = { status: 'not_specified', icon: '➖', summary: 'Job does not state an experience requirement' };
+  } else if (userYears === null) {
+    experience = { status: 'unknown', icon: '❓', summary: `Job requires ${requiredYears} years - your experience was not detected` };
+  } else if (userYears >= requiredYears) {
+    experience = { status: 'meets', icon: '✅', summary: `${userYears} years meets the ${requiredYears} year requirement` };
+  } else {
+    const gap = requiredYears - userYears;
+    experience = { status: 'below', icon: '⚠️', summary: `${gap} year${gap === 1 ? '' : 's'} short of the ${requiredYears} year requirement` };
+  }
+  experience.userYears = userYears;
+  
+  // Location: compare against the search's location filter
+  const preferred = (preferredLocations || '')
+    .split(',')
+    .map(loc => loc.trim())
+    .filter(loc => loc.length > 0);
+  const jobLocations = [job.location, ...(Array.isArray(job.locations) ? job.locations : [])].join(' | ');
+  const isRemote = job.remoteFriendly === true || /remote/i.test(`${jobLocations} ${job.locationType || ''}`);
+  const matchedLocation = preferred.find(loc => textMentionsSkill(jobLocations, loc));
+  
+  let location;
+  if (matchedLocation) {
+    location = { status: 'match', icon: '✅', summary: `${job.location} matches your preference "${matchedLocation}"` };
+  } else if (preferred.length === 0) {
+    location = isRemote
+      ? { status: 'remote', icon: '🌍', summary: `Remote-friendly (${job.location})` }
+      : { status: 'no_preference', icon: '➖', summary: `${job.location} - no location preference given` };
+  } else if (isRemote) {
+    location = { status: 'remote', icon: '🌍', summary: `Remote-friendly, outside your preferred locations (${job.location})` };
+  } else {
+    location = { status: 'mismatch', icon: '⚠️', summary: `${job.location} is outside your preferred locations` };
+  }
+  location.preferred = preferred;
+  
+  return {
+    requiredSkillsFound: requiredSkills.length > 0,
+    matchedSkills,
+    missingSkills,
+    otherResumeSkills,
+    experience,
+    location
+  };
+}
+
+/**
+ * Count required skills across all jobs and split them into owned and missing skills
+ */
+function buildSkillGapReport(data, { resumeText = '' } = {}) {
+  const extractedSkills = data.meta.skills || [];
+  const skillCounts = new Map(); // lowercase skill -> { name, jobCount, onlyGapCount, owned }
+  let jobsWithSkills = 0;
+  
+  data.jobs.forEach(job => {
+    // De-duplicate within a job so each job counts once per skill
+    const requiredSkills = [...new Map(
+      extractRequiredSkills(job.description).map(skill => [skill.toLowerCase(), skill])
+    ).values()];
+    
+    if (requiredSkills.length === 0) return;
+    jobsWithSkills++;
+    
+    const missingInJob = [];
+    requiredSkills.forEach(skill => {
+      const key = skill.toLowerCase();
+      if (!skillCounts.has(key)) {
+        skillCounts.set(key, {
+          name: skill,
+          jobCount: 0,
+          onlyGapCount: 0,
+          owned: resumeHasSkill(skill, resumeText, extractedSkills)
+        });
+      }
+      
+      const entry = skillCounts.get(key);
+      entry.jobCount++;
+      if (!entry.owned) {
+        missingInJob.push(entry);
+      }
+    });
+    
+    // Learning this skill alone would cover every requirement of the job
+    if (missingInJob.length === 1) {
+      missingInJob[0].onlyGapCount++;
+    }
+  });
+  
+  const skills = [...skillCounts.values()].sort((a, b) =>
+    b.jobCount - a.jobCount || b.onlyGapCount - a.onlyGapCount || a.name.localeCompare(b.name)
+  );
+  
+  return {
+    jobsAnalyzed: data.jobs.length,
+    jobsWithSkills,
+    skills,
+    owned: skills.filter(skill => skill.owned),
+    missing: skills.filter(skill => !skill.owned)
+  };
+}
+
+/**
+ * Match the jobs of two result sets by job link and compute score changes
+ */
+function compareResults(dataA, dataB) {
+  const matchesA = dataA.matches || [];
+  const matchesB = dataB.matches || [];
+  const jobsA = transformJobData(dataA, null).jobs;
+  const jobsB = transformJobData(dataB, null).jobs;
+  
+  const indexB = new Map(matchesB.map((match, index) => [getJobKey(match), index]));
+  const keysA = new Set(matchesA.map(getJobKey));
+  
+  const overlap = [];
+  const onlyA = [];
+  matchesA.forEach((match, index) => {
+    const key = getJobKey(match);
+    if (indexB.has(key)) {
+      const jobB = jobsB[indexB.get(key)];
+      overlap.push({ jobA: jobsA[index], jobB, change: jobB.match - jobsA[index].match });
+    } else {
+      onlyA.push({ job: jobsA[index], number: index + 1 });
+    }
+  });
+  
+  const onlyB = [];
+  matchesB.forEach((match, index) => {
+    if (!keysA.has(getJobKey(match))) {
+      onlyB.push({ job: jobsB[index], number: index + 1 });
+    }
+  });
+  
+  overlap.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+  
+  const average = jobs => jobs.length > 0 ? Math.round(jobs.reduce((sum, job) => sum + job.match, 0) / jobs.length) : 0;
+  
+  return {
+    overlap,
+    onlyA,
+    onlyB,
+    totalA: jobsA.length,
+    totalB: jobsB.length,
+    averageA: average(jobsA),
+    averageB: average(jobsB),
+    averageChange: overlap.length > 0 ? Math.round(overlap.reduce((sum, item) => sum + item.change, 0) / overlap.length) : 0
+  };
+}
+
+/**
+ * Split the jobs of a run into new and dropped-out postings by job link
+ */
+function diffAgainstSnapshot(matches, jobs, previousSnapshot) {
+  const firstRun = !previousSnapshot;
+  const seenKeys = new Set();
+  const added = [];
+  
+  matches.forEach((match, index) => {
+    const key = getJobKey(match);
+    seenKeys.add(key);
+    
+    if (firstRun || !Object.hasOwn(previousSnapshot.jobs, key)) {
+      added.push({ job: jobs[index], number: index + 1 });
+    }
+  });
+  
+  const removed = firstRun
+    ? []
+    : Object.entries(previousSnapshot.jobs).filter(([key]) => !seenKeys.has(key)).map(([, job]) => job);
+  
+  return {
+    firstRun,
+    added,
+    removed,
+    unchangedCount: firstRun ? 0 : jobs.length - added.length,
+    totalJobs: jobs.length
+  };
+}
+
 /**
  * Extract job summary points from chunk_text field
  */
@@ -0,0 +1,75 @@
+/**
+ * MCP logging for MCP Job Matcher Server
+ * Sends diagnostics (backend calls, validation failures, rate limit decisions)
+ * to the client as notifications/message, filtered by the level the client set
+ * with logging/setLevel. Clients that never set a level get LOG_LEVEL.
+ */
+
+// Syslog severities used by MCP, least severe first
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+class McpLogger {
+  constructor(defaultLevel = 'info', name = 'job-matcher') {
+    this.defaultLevel = defaultLevel;
+    this.name = name;
+  }
+
+  /**
+   * Set the level for clients that have not called logging/setLevel
+   * @param {string} level - LOG_LEVEL from the configuration; unknown levels are ignored
+   */
+  setDefaultLevel(level) {
+    if (this.isValidLevel(level)) {
+      this.defaultLevel = level;
+    }
+  }
+
+  /**
+   * Check whether a value is an MCP log level
+   * @param {string} level - Level to check
+   * @returns {boolean}
+   */
+  isValidLevel(level) {
+    return LOG_LEVELS.includes(level);
+  }
+
+  /**
+   * Check whether a message of a level passes a minimum level
+   * @param {string} level - Level of the message
+   * @param {string} minimumLevel - Minimum level of the client
+   * @returns {boolean}
+   */
+  isEnabled(level, minimumLevel = this.defaultLevel) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimumLevel);
+  }
+
+  /**
+   * Create a log function for one client
+   * @param {Function} send - Sends a JSON-RPC notification to the client
+   * @param {Function} getLevel - Returns the client's level from logging/setLevel, or null
+   * @returns {Function} - log(level, data) where data is a JSON object
+   */
+  forClient(send, getLevel = () => null) {
+    return (level, data) => {
+      if (!this.isEnabled(level, getLevel() || this.defaultLevel)) {
+        return;
+      }
+
+      send({
+        jsonrpc: '2.0',
+        method: 'notifications/message',
+        params: { level, logger: this.name, data }
+      });
+    };
+  }
+}
+
+// Export singleton instance with default values
+// The entry points apply LOG_LEVEL with setDefaultLevel()
+export const mcpLogger = new McpLogger(
+  'info', // Default level until LOG_LEVEL is applied
+  'job-matcher' // Logger name shown by clients
+);
+
+// Also export the class for testing
+export { McpLogger };
@@ -0,0 +1,343 @@
+/**
+ * MCP JSON-RPC protocol handler for MCP Job Matcher Server
+ * Answers MCP requests, notifications and batches independently of the
+ * transport, shared by the Express server (start-http.js) and the Cloudflare Worker
+ */
+
+import { tools } from './tools.js';
+import { JsonRpcError, JSON_RPC_ERROR_CODES } from './jsonRpcError.js';
+import { listResources, listResourceTemplates, readResource } from './resourceRegistry.js';
+import { listPrompts, getPrompt } from './promptRegistry.js';
+import { completeArgument } from './completionRegistry.js';
+import { mcpLogger, LOG_LEVELS } from './mcpLogger.js';
+
+// Protocol versions this server speaks, newest first
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// Version assumed for HTTP requests without an MCP-Protocol-Version header
+export const DEFAULT_HTTP_PROTOCOL_VERSION = '2025-03-26';
+
+export const SERVER_INFO = {
+  name: 'job-matcher-mcp-server',
+  version: '1.0.0',
+  description: 'MCP server for job matching backend proxy'
+};
+
+/**
+ * Method handlers: method -> async (params, context) => result
+ * Request handlers also get context.signal, aborted when the client cancels the request.
+ * Results of notification handlers are ignored
+ */
+const METHOD_HANDLERS = {
+  'initialize': async (params, { session }) => {
+    const protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+    if (session) {
+      session.protocolVersion = protocolVersion;
+      session.clientInfo = params.clientInfo || null;
+    }
+
+    console.log('[MCP] Server initialized successfully');
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+        logging: {},
+        completions: {}
+      },
+      serverInfo: SERVER_INFO
+    };
+  },
+
+  'notifications/initialized': async (params, { session }) => {
+    if (session) {
+      session.initialized = true;
+    }
+    console.log('[MCP] Client initialized successfully');
+  },
+
+  'notifications/cancelled': async (params, { session }) => {
+    const controller = session?.inFlightRequests.get(params.requestId);
+    if (controller) {
+      controller.abort(params.reason || 'Cancelled by client');
+      console.log(`[MCP] Request ${params.requestId} cancelled by client`);
+    }
+  },
+
+  'ping': async () => ({}),
+
+  'tools/list': async () => {
+    console.log(`[MCP] Listed ${Object.keys(tools).length} tools`);
+    return {
+      tools: Object.values(tools)
+    };
+  },
+
+  'tools/call': async (params, { session, callTool, notify, signal }) => {
+    const { name, arguments: args = {} } = params;
+
+    if (typeof name !== 'string' || name === '') {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'tools/call requires a tool name', {
+        param: 'name',
+        availableTools: Object.keys(tools)
+      });
+    }
+    if (!isPlainObject(args)) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'Tool arguments must be an object', {
+        param: 'arguments'
+      });
+    }
+
+    console.log(`[MCP] Calling tool ${name} with args:`, Object.keys(args));
+
+    // Progress goes out on the request's stream when the client asked for it
+    const progressToken = params._meta?.progressToken;
+    const reportProgress = progressToken !== undefined && notify
+      ? (progress, total, progressMessage) => notify({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message: progressMessage }
+      })
+      : null;
+
+    // Log messages of the call go out on the same stream
+    const log = notify ? mcpLogger.forClient(notify, () => session?.logLevel) : null;
+
+    // Execute the tool through the shared tool registry
+    const result = await callTool(name, args, { signal, reportProgress, log });
+    console.log(`[MCP] Tool ${name} executed successfully`);
+    return result;
+  },
+
+  'logging/setLevel': async (params, { session }) => {
+    if (!mcpLogger.isValidLevel(params.level)) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Invalid log level: ${params.level}`, {
+        param: 'level',
+        levels: LOG_LEVELS
+      });
+    }
+
+    if (session) {
+      session.logLevel = params.level;
+    }
+    console.log(`[MCP] Log level set to ${params.level}`);
+    return {};
+  },
+
+  'resources/list': async (params) => listResources(params.cursor),
+
+  'resources/templates/list': async () => listResourceTemplates(),
+
+  'resources/read': async (params) => readResource(params.uri),
+
+  'prompts/list': async () => listPrompts(),
+
+  'prompts/get': async (params) => {
+    if (typeof params.name !== 'string' || params.name === '') {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'prompts/get requires a prompt name', { param: 'name' });
+    }
+    if (params.arguments !== undefined && !isPlainObject(params.arguments)) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'Prompt arguments must be an object', { param: 'arguments' });
+    }
+
+    return getPrompt(params.name, params.arguments);
+  },
+
+  'completion/complete': async (params) => completeArgument(params.ref, params.argument)
+};
+
+/**
+ * Pick the protocol version for a session
+ * Clients asking for an unsupported version get the latest one and decide
+ * themselves whether they can continue
+ * @param {string} requestedVersion - protocolVersion from the initialize request
+ * @returns {string} - Negotiated protocol version
+ */
+export function negotiateProtocolVersion(requestedVersion) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+    ? requestedVersion
+    : LATEST_PROTOCOL_VERSION;
+}
+
+/**
+ * Check whether a JSON-RPC message expects a response
+ * Everything except notifications and responses sent by the client does,
+ * including invalid messages (they are answered with an error)
+ * @param {Object} message - JSON-RPC message
+ * @returns {boolean}
+ */
+export function isJsonRpcRequest(message) {
+  return !isNotification(message) && !isClientResponse(message);
+}
+
+/**
+ * Handle a JSON-RPC payload: one message or a batch array
+ * @param {Object|Array} payload - Parsed JSON-RPC payload
+ * @param {Object} context - { session, callTool(name, args, { signal, reportProgress, log }),
+ *   notify(message) OPTIONAL to send notifications on the response stream }
+ * @returns {Promise<Object|Array|null>} - Response, array of responses, or null when nothing needs an answer
+ */
+export async function handleJsonRpcPayload(payload, context) {
+  if (!Array.isArray(payload)) {
+    return await handleMcpMessage(payload, context);
+  }
+
+  if (payload.length === 0) {
+    return errorResponse(null, new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_REQUEST, 'Invalid Request: empty batch', {
+      reason: 'A batch must contain at least one message'
+    }));
+  }
+
+  const responses = await Promise.all(payload.map(message => handleMcpMessage(message, context)));
+  const answered = responses.filter(Boolean);
+
+  // A batch of notifications gets no response at all
+  return answered.length > 0 ? answered : null;
+}
+
+/**
+ * Handle one JSON-RPC message
+ * @param {Object} message - JSON-RPC request or notification
+ * @param {Object} context - { session, callTool(name, args, { signal, reportProgress, log }), notify(message) }
+ * @returns {Promise<Object|null>} - JSON-RPC response, or null for notifications, client responses
+ *   and cancelled requests
+ */
+export async function handleMcpMessage(message, context) {
+  if (isClientResponse(message)) {
+    return null;
+  }
+
+  if (isNotification(message)) {
+    console.log(`[MCP] Received ${message.method} notification`);
+
+    // Notifications are never answered, not even with errors
+    const handler = METHOD_HANDLERS[message.method];
+    if (handler) {
+      try {
+        await handler(message.params || {}, context);
+      } catch (error) {
+        console.error(`[MCP] Error handling ${message.method} notification:`, error);
+      }
+    }
+    return null;
+  }
+
+  const id = isValidId(message?.id) ? message.id : null;
+
+  // Running requests can be cancelled with notifications/cancelled
+  const controller = new AbortController();
+  const inFlightRequests = context.session?.inFlightRequests;
+
+  try {
+    const { method, params = {} } = validateRequest(message);
+    inFlightRequests?.set(id, controller);
+
+    console.log(`[MCP] Received ${method} request:`, { method, params: Object.keys(params), id });
+
+    const handler = METHOD_HANDLERS[method];
+    if (!handler) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${method}`, {
+        method,
+        availableMethods: Object.keys(METHOD_HANDLERS).filter(name => !name.startsWith('notifications/'))
+      });
+    }
+
+    const result = await handler(params, { ...context, signal: controller.signal });
+
+    // Cancelled requests are not answered
+    if (controller.signal.aborted) {
+      return null;
+    }
+
+    return {
+      jsonrpc: '2.0',
+      id,
+      result
+    };
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return null;
+    }
+    if (!(error instanceof JsonRpcError)) {
+      console.error('[MCP] Error handling request:', error);
+    }
+    return errorResponse(id, error, message?.method);
+  } finally {
+    if (inFlightRequests?.get(id) === controller) {
+      inFlightRequests.delete(id);
+    }
+  }
+}
+
+/**
+ * Build a JSON-RPC error response
+ * Unexpected errors become internal errors (-32603)
+ * @param {string|number|null} id - Request ID
+ * @param {Error} error - JsonRpcError or unexpected error
+ * @param {string} method - Method of the failed request
+ * @returns {Object} - JSON-RPC error response
+ */
+export function errorResponse(id, error, method = undefined) {
+  const { code, message, data } = error instanceof JsonRpcError
+    ? error
+    : { code: JSON_RPC_ERROR_CODES.INTERNAL_ERROR, message: error.message || 'Internal error', data: { method } };
+
+  return {
+    jsonrpc: '2.0',
+    id,
+    error: {
+      code,
+      message,
+      ...(data !== undefined && { data })
+    }
+  };
+}
+
+/**
+ * Check the shape of a request
+ * @returns {Object} - The request
+ * @throws {JsonRpcError} - Invalid request (-32600) or invalid params (-32602)
+ */
+function validateRequest(message) {
+  const invalid = reason => new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_REQUEST, `Invalid Request: ${reason}`, { reason });
+
+  if (!isPlainObject(message)) {
+    throw invalid('a JSON-RPC message must be an object');
+  }
+  if (message.jsonrpc !== '2.0') {
+    throw invalid('jsonrpc must be "2.0"');
+  }
+  if (typeof message.method !== 'string' || message.method === '') {
+    throw invalid('method must be a non-empty string');
+  }
+  if (!isValidId(message.id)) {
+    throw invalid('id must be a string or an integer');
+  }
+  if (message.params !== undefined && !isPlainObject(message.params)) {
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'params must be an object', {
+      method: message.method,
+      param: 'params'
+    });
+  }
+
+  return message;
+}
+
+function isNotification(message) {
+  return isPlainObject(message) && message.jsonrpc === '2.0' && typeof message.method === 'string' && !('id' in message);
+}
+
+function isClientResponse(message) {
+  return isPlainObject(message) && !('method' in message) && isValidId(message.id) && ('result' in message || 'error' in message);
+}
+
+function isValidId(id) {
+  return typeof id === 'string' || Number.isInteger(id);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,302 @@
+/**
+ * MCP session store for the Streamable HTTP and legacy HTTP+SSE transports
+ * Keeps sessions and the events sent on each of their SSE streams so a
+ * Streamable HTTP client can resume a dropped stream with Last-Event-ID
+ */
+
+import { randomUUID } from 'node:crypto';
+
+const KEEP_ALIVE_INTERVAL_MS = 30000;
+
+class McpSessionStore {
+  constructor(maxSessions = 200, ttlMs = 60 * 60 * 1000, maxStreamsPerSession = 20, maxEventsPerStream = 100) {
+    this.maxSessions = maxSessions;
+    this.ttlMs = ttlMs;
+    this.maxStreamsPerSession = maxStreamsPerSession;
+    this.maxEventsPerStream = maxEventsPerStream;
+    this.sessions = new Map(); // sessionId -> { id, transport, protocolVersion, clientInfo, initialized, logLevel, streams, inFlightRequests, createdAt, lastActiveAt }
+  }
+
+  /**
+   * Create a session
+   * @param {string} protocolVersion - Negotiated protocol version
+   * @param {Object|null} clientInfo - clientInfo from the initialize request
+   * @param {string} transport - 'streamable-http' or 'sse' (legacy HTTP+SSE)
+   * @param {string} id - Session ID (OPTIONAL, the Worker picks it to route the session to its Durable Object)
+   * @returns {Object} - Session
+   */
+  create(protocolVersion, clientInfo = null, transport = 'streamable-http', id = randomUUID()) {
+    this.cleanup();
+
+    const now = Date.now();
+    const session = {
+      id,
+      transport,
+      protocolVersion,
+      clientInfo,
+      initialized: false,
+      logLevel: null, // Set with logging/setLevel
+      streams: new Map(), // streamId -> stream
+      inFlightRequests: new Map(), // JSON-RPC request ID -> AbortController
+      createdAt: now,
+      lastActiveAt: now
+    };
+
+    // A preset ID replaces the session that had it (a client initializing again with its old ID)
+    this.delete(session.id);
+    this.sessions.set(session.id, session);
+
+    // Evict oldest sessions once the store is full (Map keeps insertion order)
+    while (this.sessions.size > this.maxSessions) {
+      this.delete(this.sessions.keys().next().value);
+    }
+
+    return session;
+  }
+
+  /**
+   * Get a session and mark it active
+   * @param {string} sessionId - Mcp-Session-Id header value
+   * @returns {Object|null} - Session or null if unknown/expired
+   */
+  get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (session.lastActiveAt + this.ttlMs <= Date.now()) {
+      this.delete(sessionId);
+      return null;
+    }
+
+    session.lastActiveAt = Date.now();
+    return session;
+  }
+
+  /**
+   * Terminate a session, cancel its running requests and close its open streams
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - True if the session existed
+   */
+  delete(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    for (const controller of session.inFlightRequests.values()) {
+      controller.abort('Session terminated');
+    }
+
+    for (const stream of session.streams.values()) {
+      this.closeWriter(stream);
+    }
+
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Open an SSE stream on a session
+   * @param {Object} session - Session
+   * @param {Object} options - { standalone: true for the GET stream of server-initiated messages }
+   * @returns {Object} - Stream
+   */
+  openStream(session, { standalone = false } = {}) {
+    const stream = {
+      id: randomUUID(),
+      standalone,
+      events: [], // { id, seq, type, message }
+      nextSeq: 1,
+      writer: null,
+      keepAlive: null,
+      done: false
+    };
+
+    session.streams.set(stream.id, stream);
+
+    // Forget the oldest streams, preferring finished ones
+    while (session.streams.size > this.maxStreamsPerSession) {
+      const oldest = [...session.streams.values()].find(s => s.done) || session.streams.values().next().value;
+      this.closeWriter(oldest);
+      session.streams.delete(oldest.id);
+    }
+
+    return stream;
+  }
+
+  /**
+   * Get the standalone stream of a session (it may be waiting for a reconnect)
+   * @param {Object} session - Session
+   * @returns {Object|null} - Stream or null
+   */
+  getStandaloneStream(session) {
+    return [...session.streams.values()].find(stream => stream.standalone && !stream.done) || null;
+  }
+
+  /**
+   * Send a JSON-RPC message on a stream
+   * The event is kept for resumption even when no client is connected
+   * @param {Object} stream - Stream
+   * @param {Object|string} message - JSON-RPC message (or plain text for other event types)
+   * @param {string} type - SSE event type
+   */
+  send(stream, message, type = 'message') {
+    const seq = stream.nextSeq++;
+    const event = { id: `${stream.id}_${seq}`, seq, type, message };
+
+    stream.events.push(event);
+    if (stream.events.length > this.maxEventsPerStream) {
+      stream.events.shift();
+    }
+
+    this.write(stream, formatSseEvent(event));
+  }
+
+  /**
+   * Mark a stream as complete and close its connection
+   * @param {Object} stream - Stream
+   */
+  finish(stream) {
+    stream.done = true;
+    this.closeWriter(stream);
+  }
+
+  /**
+   * Connect a client to a stream, replaying the events it has not seen
+   * @param {Object} stream - Stream
+   * @param {Object} writer - { write(text), close() }
+   * @param {number} afterSeq - Last sequence number the client received
+   */
+  attach(stream, writer, afterSeq = 0) {
+    // A stream has at most one connection
+    this.closeWriter(stream);
+    stream.writer = writer;
+
+    stream.events
+      .filter(event => event.seq > afterSeq)
+      .forEach(event => this.write(stream, formatSseEvent(event)));
+
+    if (stream.done) {
+      this.closeWriter(stream);
+      return;
+    }
+
+    // Comments keep idle connections open through proxies
+    if (stream.standalone) {
+      stream.keepAlive = setInterval(() => this.write(stream, ': ping\n\n'), KEEP_ALIVE_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Disconnect the client from a stream without closing the stream
+   * @param {Object} stream - Stream
+   * @param {Object} writer - Writer passed to attach(); ignored if replaced since
+   */
+  detach(stream, writer) {
+    if (stream.writer !== writer) {
+      return;
+    }
+
+    clearInterval(stream.keepAlive);
+    stream.keepAlive = null;
+    stream.writer = null;
+  }
+
+  /**
+   * Find the stream and position of a Last-Event-ID header
+   * @param {Object} session - Session
+   * @param {string} lastEventId - Last-Event-ID header value
+   * @returns {Object|null} - { stream, afterSeq } or null if the stream is unknown
+   */
+  resolveLastEventId(session, lastEventId) {
+    const separator = lastEventId.lastIndexOf('_');
+    const stream = session.streams.get(lastEventId.slice(0, separator));
+    const afterSeq = parseInt(lastEventId.slice(separator + 1));
+
+    if (separator < 0 || !stream || !Number.isInteger(afterSeq)) {
+      return null;
+    }
+
+    return { stream, afterSeq };
+  }
+
+  write(stream, text) {
+    if (!stream.writer) {
+      return;
+    }
+
+    try {
+      stream.writer.write(text);
+    } catch (error) {
+      // Connection dropped - keep the events for resumption
+      this.detach(stream, stream.writer);
+    }
+  }
+
+  closeWriter(stream) {
+    const writer = stream.writer;
+    if (!writer) {
+      return;
+    }
+
+    this.detach(stream, writer);
+    try {
+      writer.close();
+    } catch (error) {
+      // Already closed
+    }
+  }
+
+  /**
+   * Remove expired sessions (housekeeping)
+   */
+  cleanup() {
+    const now = Date.now();
+
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastActiveAt + this.ttlMs <= now) {
+        this.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Get statistics about sessions
+   * @returns {Object} - Statistics object
+   */
+  getStats() {
+    this.cleanup();
+
+    return {
+      activeSessions: this.sessions.size,
+      configuration: {
+        maxSessions: this.maxSessions,
+        ttlMs: this.ttlMs,
+        maxEventsPerStream: this.maxEventsPerStream
+      }
+    };
+  }
+}
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - { id, type, message }
+ * @returns {string} - SSE message
+ */
+export function formatSseEvent(event) {
+  const data = typeof event.message === 'string' ? event.message : JSON.stringify(event.message);
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`;
+}
+
+// Export singleton instance with default values
+// In Workers, each isolate keeps its own sessions
+export const mcpSessionStore = new McpSessionStore(
+  200, // Maximum sessions
+  60 * 60 * 1000, // 1 hour idle lifetime
+  20, // Streams kept per session
+  100 // Events kept per stream
+);
+
+// Also export the class for testing
+export { McpSessionStore };
@@ -0,0 +1,304 @@
+/**
+ * Built-in mock backend for MCP Job Matcher Server (MOCK_BACKEND)
+ * Local stand-in for the job matching backend, for development without an
+ * API token or network access. Answers the same multipart form as
+ * /server/match-resume-upload with fixture jobs in the real response shape,
+ * filtered and scored against the uploaded resume.
+ *
+ * Written against the Fetch API (Request / Response) so the Cloudflare Worker
+ * can call it directly; start-mock-backend.js serves it over HTTP for Node.js.
+ *
+ * Scenarios (MOCK_BACKEND_SCENARIO for every request, or a "mock:<scenario>"
+ * entry in keywords for one request):
+ *   - matches (default): fixture jobs
+ *   - empty: no matches
+ *   - error=<status>: fail with that status, e.g. error=400, error=429, error=503
+ *   - slow=<ms>: answer with fixture jobs after a delay
+ */
+
+export const MOCK_BACKEND_URL = 'http://mock-backend.job-matcher.internal';
+
+// Jobs per backend page, as the backend pages its results
+const PAGE_SIZE = 20;
+
+// Skills looked for in the uploaded resume, reported as extracted_skills
+const SKILL_VOCABULARY = [
+  'JavaScript', 'TypeScript', 'Node.js', 'React', 'Python', 'Django', 'FastAPI', 'Java', 'Spring',
+  'Go', 'Rust', 'C++', 'SQL', 'PostgreSQL', 'MongoDB', 'Redis', 'Kafka', 'AWS', 'GCP', 'Azure',
+  'Docker', 'Kubernetes', 'Terraform', 'GraphQL', 'Machine Learning', 'PyTorch', 'TensorFlow',
+  'Spark', 'Airflow', 'Swift', 'Kotlin', 'Figma'
+];
+
+// Fixture jobs in the backend's match format; daysAgo is turned into first_published
+const MOCK_JOBS = [
+  {
+    job_title: 'Senior Backend Engineer', company_name: 'Northwind Labs', location: 'Remote',
+    min_experience_years: 5, daysAgo: 1, salary: '$160,000 - $190,000', job_type: 'Full-time',
+    skills: ['Python', 'FastAPI', 'PostgreSQL', 'AWS', 'Docker'],
+    summary: ['Design and run the APIs behind the matching platform.', 'Own services from design to on-call.', 'Mentor engineers on testing and reliability.']
+  },
+  {
+    job_title: 'Full Stack Engineer', company_name: 'Brightline Health', location: 'New York, NY',
+    min_experience_years: 3, daysAgo: 2, salary: '$140,000 - $170,000', job_type: 'Full-time',
+    skills: ['TypeScript', 'React', 'Node.js', 'GraphQL', 'PostgreSQL'],
+    summary: ['Build patient-facing features end to end.', 'Work with design on accessible interfaces.', 'Ship weekly with a small product team.']
+  },
+  {
+    job_title: 'Platform Engineer', company_name: 'Cobalt Cloud', location: 'Seattle, WA',
+    min_experience_years: 4, daysAgo: 3, salary: '$150,000 - $185,000', job_type: 'Full-time',
+    skills: ['Kubernetes', 'Terraform', 'Go', 'AWS', 'Docker'],
+    summary: ['Run the Kubernetes platform used by every product team.', 'Automate infrastructure with Terraform.', 'Improve deployment speed and safety.']
+  },
+  {
+    job_title: 'Machine Learning Engineer', company_name: 'Quanta AI', location: 'San Francisco, CA',
+    min_experience_years: 3, daysAgo: 4, salary: '$170,000 - $210,000', job_type: 'Full-time',
+    skills: ['Python', 'PyTorch', 'Machine Learning', 'Spark', 'AWS'],
+    summary: ['Train and ship ranking models to production.', 'Build feature pipelines with Spark.', 'Measure model quality with online experiments.']
+  },
+  {
+    job_title: 'Frontend Engineer', company_name: 'Pixelworks Studio', location: 'Austin, TX',
+    min_experience_years: 2, daysAgo: 5, salary: '$120,000 - $145,000', job_type: 'Full-time',
+    skills: ['JavaScript', 'TypeScript', 'React', 'GraphQL', 'Figma'],
+    summary: ['Build a component library used across products.', 'Turn Figma designs into fast, accessible pages.', 'Own frontend performance budgets.']
+  },
+  {
+    job_title: 'Data Engineer', company_name: 'Harbor Analytics', location: 'Chicago, IL',
+    min_experience_years: 3, daysAgo: 6, salary: '$135,000 - $160,000', job_type: 'Full-time',
+    skills: ['Python', 'SQL', 'Airflow', 'Spark', 'Kafka'],
+    summary: ['Build batch and streaming pipelines.', 'Model data for analytics and reporting.', 'Keep data quality checks green.']
+  },
+  {
+    job_title: 'Java Backend Developer', company_name: 'Ledgerline Finance', location: 'London, UK',
+    min_experience_years: 5, daysAgo: 8, salary: '£85,000 - £100,000', job_type: 'Full-time',
+    skills: ['Java', 'Spring', 'Kafka', 'PostgreSQL', 'Docker'],
+    summary: ['Build payment services with strict latency targets.', 'Design event-driven workflows with Kafka.', 'Work closely with risk and compliance teams.']
+  },
+  {
+    job_title: 'Site Reliability Engineer', company_name: 'Meridian Systems', location: 'Berlin, Germany',
+    min_experience_years: 4, daysAgo: 10, salary: '€80,000 - €95,000', job_type: 'Full-time',
+    skills: ['Kubernetes', 'GCP', 'Go', 'Terraform', 'Redis'],
+    summary: ['Define SLOs and alerting for core services.', 'Lead incident reviews and follow-ups.', 'Automate capacity planning.']
+  },
+  {
+    job_title: 'Software Engineer, Mobile', company_name: 'Trailhead Apps', location: 'Denver, CO',
+    min_experience_years: 2, daysAgo: 12, salary: '$125,000 - $150,000', job_type: 'Full-time',
+    skills: ['Swift', 'Kotlin', 'GraphQL', 'TypeScript'],
+    summary: ['Ship features to the iOS and Android apps.', 'Share a GraphQL schema with the web team.', 'Improve app startup time and stability.']
+  },
+  {
+    job_title: 'Junior Python Developer', company_name: 'Greenleaf Energy', location: 'Bangalore, India',
+    min_experience_years: 0, daysAgo: 14, salary: '₹12,00,000 - ₹16,00,000', job_type: 'Full-time',
+    skills: ['Python', 'Django', 'SQL', 'Docker'],
+    summary: ['Build internal tools for grid operations.', 'Write tests and review code with senior engineers.', 'Learn production operations on a supportive team.']
+  },
+  {
+    job_title: 'Staff Software Engineer', company_name: 'Atlas Logistics', location: 'Boston, MA',
+    min_experience_years: 8, daysAgo: 20, salary: '$200,000 - $240,000', job_type: 'Full-time',
+    skills: ['Go', 'Rust', 'Kafka', 'AWS', 'Kubernetes'],
+    summary: ['Set the technical direction for the routing platform.', 'Lead design reviews across teams.', 'Grow senior engineers into technical leads.']
+  },
+  {
+    job_title: 'Cloud Engineer (Contract)', company_name: 'Skyforge Consulting', location: 'Toronto, Canada',
+    min_experience_years: 3, daysAgo: 30, salary: 'CA$90 - CA$110 per hour', job_type: 'Contract',
+    skills: ['Azure', 'Terraform', 'Docker', 'Python'],
+    summary: ['Migrate client workloads to Azure.', 'Write reusable Terraform modules.', 'Document runbooks for client teams.']
+  }
+];
+
+/**
+ * Parse a mock scenario
+ * @param {string} value - "matches", "empty", "error=<status>" or "slow=<ms>"
+ * @returns {Object} - { kind, status, delayMs }
+ * @throws {Error} - For an unknown scenario
+ */
+export function parseMockScenario(value) {
+  const scenario = String(value || 'matches').trim().toLowerCase();
+  const match = scenario.match(/^(matches|empty|error|slow)(?:=(\d+))?$/);
+
+  if (!match || (match[1] === 'error' && !(match[2] >= 400 && match[2] <= 599))) {
+    throw new Error(`Unknown mock backend scenario: ${value}. Use matches, empty, error=<4xx|5xx> or slow=<ms>`);
+  }
+
+  return {
+    kind: match[1],
+    status: match[1] === 'error' ? parseInt(match[2], 10) : 200,
+    delayMs: match[1] === 'slow' ? parseInt(match[2] ?? 5000, 10) : 0
+  };
+}
+
+/**
+ * Answer a request to the mock backend
+ * @param {Request} request - GET /health or the multipart POST of a search
+ * @param {Object} options - { endpoint (search path), scenario (default scenario) }
+ * @returns {Promise<Response>}
+ */
+export async function handleMockBackendRequest(request, { endpoint = '/server/match-resume-upload', scenario = 'matches' } = {}) {
+  const { pathname } = new URL(request.url);
+
+  if (pathname === '/health' && request.method === 'GET') {
+    return jsonResponse(200, { status: 'healthy', service: 'Mock job matching backend' });
+  }
+
+  if (pathname !== endpoint || request.method !== 'POST') {
+    return jsonResponse(404, { detail: 'Not Found' });
+  }
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return jsonResponse(422, { detail: 'Expected a multipart/form-data body' });
+  }
+
+  const file = form.get('file');
+  if (!file || typeof file === 'string') {
+    return jsonResponse(422, { detail: [{ loc: ['body', 'file'], msg: 'field required', type: 'value_error.missing' }] });
+  }
+
+  // A "mock:<scenario>" keyword picks the scenario of this request
+  const keywordList = splitList(form.get('keywords'));
+  const scenarioKeyword = keywordList.find(keyword => keyword.toLowerCase().startsWith('mock:'));
+  let activeScenario;
+  try {
+    activeScenario = parseMockScenario(scenarioKeyword ? scenarioKeyword.slice('mock:'.length) : scenario);
+  } catch (error) {
+    return jsonResponse(422, { detail: error.message });
+  }
+
+  if (activeScenario.delayMs > 0) {
+    await delay(activeScenario.delayMs, request.signal);
+  }
+
+  if (activeScenario.kind === 'error') {
+    return mockErrorResponse(activeScenario.status);
+  }
+
+  const resumeText = await file.text();
+  const searchKeywords = keywordList.filter(keyword => keyword !== scenarioKeyword);
+  const filters = {
+    keywords: searchKeywords,
+    locations: splitList(form.get('location')),
+    experience: parseInt(form.get('user_experience'), 10),
+    startDate: form.get('start_date') || null,
+    endDate: form.get('end_date') || null,
+    sortBy: form.get('sort_by') === 'date' ? 'date' : 'similarity'
+  };
+  const extractedSkills = SKILL_VOCABULARY.filter(skill => mentionsTerm(resumeText, skill));
+
+  const allMatches = activeScenario.kind === 'empty' ? [] : searchMockJobs(filters, extractedSkills);
+  const totalPages = Math.max(1, Math.ceil(allMatches.length / PAGE_SIZE));
+  const page = Math.max(1, parseInt(form.get('page'), 10) || 1);
+  const matches = allMatches.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  return jsonResponse(200, {
+    matches,
+    total_matches: allMatches.length,
+    page,
+    total_pages: totalPages,
+    has_more: page < totalPages,
+    extracted_skills: extractedSkills,
+    user_experience: Number.isNaN(filters.experience) ? null : filters.experience,
+    keywords: searchKeywords.length > 0 ? searchKeywords.join(', ') : null,
+    resume_processing: {
+      filename: file.name || 'resume.txt',
+      parsing_method: file.type === 'text/plain' ? 'text_extraction' : 'mock_document_parser',
+      enhancement_used: false,
+      original_length: resumeText.length,
+      enhanced_length: resumeText.length
+    }
+  });
+}
+
+/**
+ * Filter the fixture jobs and score them against the resume skills
+ */
+function searchMockJobs({ keywords, locations, experience, startDate, endDate, sortBy }, resumeSkills) {
+  const now = Date.now();
+
+  const matches = MOCK_JOBS
+    .map((job, index) => ({ job, index, publishedAt: new Date(now - job.daysAgo * 86400000) }))
+    .filter(({ job }) => locations.length === 0 || locations.some(location => job.location.toLowerCase().includes(location.toLowerCase())))
+    .filter(({ job }) => keywords.length === 0 || keywords.some(keyword => mentionsTerm(`${job.job_title} ${job.skills.join(' ')}`, keyword)))
+    .filter(({ job }) => Number.isNaN(experience) || job.min_experience_years <= experience + 2)
+    .filter(({ publishedAt }) => !startDate || publishedAt.toISOString().slice(0, 10) >= startDate)
+    .filter(({ publishedAt }) => !endDate || publishedAt.toISOString().slice(0, 10) <= endDate)
+    .map(({ job, index, publishedAt }) => {
+      const sharedSkills = job.skills.filter(skill => resumeSkills.includes(skill));
+      return {
+        job_title: job.job_title,
+        company_name: job.company_name,
+        location: job.location,
+        similarity_score: Math.round((0.35 + 0.55 * sharedSkills.length / job.skills.length + (index % 5) / 100) * 1000) / 1000,
+        job_link: `https://jobs.example.com/mock/${1001 + index}`,
+        first_published: publishedAt.toISOString(),
+        min_experience_years: job.min_experience_years,
+        experience_details: `${job.min_experience_years}+ years of professional software development`,
+        salary: job.salary,
+        job_type: job.job_type,
+        chunk_text: [
+          `Job Title: ${job.job_title}`,
+          `Company: ${job.company_name}`,
+          `Experience Required: ${job.min_experience_years} years`,
+          `Required Skills: ${job.skills.join(', ')}`,
+          `Job Summary: ${job.summary.map((point, pointIndex) => `Point${pointIndex + 1}: ${point}`).join(' ')}`
+        ].join('\n')
+      };
+    });
+
+  return sortBy === 'date'
+    ? matches.sort((a, b) => b.first_published.localeCompare(a.first_published))
+    : matches.sort((a, b) => b.similarity_score - a.similarity_score);
+}
+
+/**
+ * Error response in the backend's { detail } error format
+ */
+function mockErrorResponse(status) {
+  const details = {
+    400: 'Could not extract text from the uploaded resume',
+    401: 'Invalid or missing authorization token',
+    403: 'Not authorized to use this endpoint',
+    422: [{ loc: ['body', 'file'], msg: 'field required', type: 'value_error.missing' }],
+    429: 'Too many requests, slow down',
+    500: 'Internal server error',
+    502: 'Bad gateway',
+    503: 'Service is starting up, try again shortly',
+    504: 'Gateway timeout'
+  };
+
+  // Rate limited and starting up answers say when to come back, to exercise Retry-After handling
+  const headers = status === 429 || status === 503 ? { 'Retry-After': '1' } : {};
+  return jsonResponse(status, { detail: details[status] ?? `Mock error ${status}` }, headers);
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Wait, or stop early when the caller aborts the request
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Check whether text mentions a term as a whole word (so "Java" does not match "JavaScript")
+ */
+function mentionsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`, 'i').test(text);
+}
@@ -0,0 +1,282 @@
+/**
+ * MCP prompt registry for MCP Job Matcher Server
+ * Reusable job-search workflows that expand into the right tool calls, shared
+ * by the stdio server (index.js) and the HTTP transports (mcpProtocol.js).
+ *
+ * Each prompt has a definition (returned by prompts/list) and a builder that
+ * turns its string arguments into prompt messages.
+ */
+
+import { JsonRpcError, JSON_RPC_ERROR_CODES } from './jsonRpcError.js';
+import { findStoredJob } from './resourceRegistry.js';
+import { formatJobResource, jobResourceUri } from './markdownFormatter.js';
+
+// How to prepare resume text for the search tools
+const RESUME_FORMATTING_GUIDANCE = 'Before searching, format my complete resume as resume_text: START with "[Name] - [Title] ([Total Years] years total experience)", keep the complete work history, responsibilities, skills, education, projects and certifications, and remove only contact details, special characters and excessive formatting. If I attached a PDF, DOCX, DOC or TXT file instead, pass it as resume_file and do not send resume_text.';
+
+// How to use the search tools and their results
+const SEARCH_GUIDANCE = [
+  'Only pass the filters listed here - the backend extracts skills, experience and preferences from the resume itself.',
+  'Render the returned Markdown as an artifact as-is, without extra commentary.',
+  'The response holds one page of jobs. When I ask for more jobs, call get_more_jobs with metadata.pagination.result_id instead of searching again.'
+].join(' ');
+
+const RESUME_ARGUMENT = {
+  name: 'resume',
+  description: 'Full resume text (or a note that the resume file is attached)',
+  required: true
+};
+
+/**
+ * Registered prompts: name -> { definition, build(args) }
+ * build() returns the prompt messages for validated arguments
+ */
+export const promptRegistry = {
+  find_remote_roles: {
+    definition: {
+      name: 'find_remote_roles',
+      title: 'Find remote roles matching my resume',
+      description: 'Search remote jobs that match a resume, optionally focused on some skills',
+      arguments: [
+        RESUME_ARGUMENT,
+        { name: 'keywords', description: 'Comma-separated skills to focus on (optional)', required: false },
+        { name: 'user_experience', description: 'Years of experience, if it should override the resume (optional)', required: false }
+      ]
+    },
+    build: args => [userMessage([
+      'Find remote roles that match my resume.',
+      toolCallInstruction('match_resume', {
+        location: 'Remote',
+        keywords: args.keywords,
+        user_experience: args.user_experience
+      }),
+      'Remote work was requested explicitly, so keep remote jobs and drop on-site ones.',
+      RESUME_FORMATTING_GUIDANCE,
+      SEARCH_GUIDANCE,
+      resumeSection(args.resume)
+    ])]
+  },
+
+  jobs_to_apply_this_week: {
+    definition: {
+      name: 'jobs_to_apply_this_week',
+      title: 'Jobs to apply to this week',
+      description: 'Table of the best matching jobs first published in the last 7 days, ready to apply',
+      arguments: [
+        RESUME_ARGUMENT,
+        { name: 'location', description: 'Comma-separated cities or regions (optional)', required: false }
+      ]
+    },
+    build: args => {
+      const { startDate, endDate } = lastWeekRange();
+      return [userMessage([
+        'Which jobs should I apply to this week? Show the best matches published in the last 7 days.',
+        toolCallInstruction('match_jobs_to_apply', {
+          start_date: startDate,
+          end_date: endDate,
+          location: args.location
+        }),
+        'Keep the default similarity sort so the best matches of the week come first.',
+        args.location ? 'Expand regions, states and countries in location to their major cities and common name variations.' : null,
+        RESUME_FORMATTING_GUIDANCE,
+        SEARCH_GUIDANCE,
+        'Afterwards, offer to track the jobs I pick with track_application.',
+        resumeSection(args.resume)
+      ])];
+    }
+  },
+
+  tailor_resume_to_job: {
+    definition: {
+      name: 'tailor_resume_to_job',
+      title: 'Tailor my resume to job X',
+      description: 'Rewrite a resume for one job of a previous search, using the full job description',
+      arguments: [
+        RESUME_ARGUMENT,
+        { name: 'job_id', description: 'Job ID from a previous search (e.g. job_jobs-example-com-postings-1042) or its jobs://job/ resource URI', required: true }
+      ]
+    },
+    build: args => {
+      const jobId = parseJobId(args.job_id);
+      const found = findStoredJob(jobId);
+      if (!found) {
+        throw invalidArguments('tailor_resume_to_job', [
+          `Job ${jobId} was not found in the stored search results. Run match_resume or match_jobs_to_apply first; results are kept for 30 minutes.`
+        ]);
+      }
+
+      return [
+        {
+          role: 'user',
+          content: {
+            type: 'resource',
+            resource: {
+              uri: jobResourceUri(jobId),
+              mimeType: 'text/markdown',
+              text: formatJobResource(found.data, found.jobNumber, found.resultId)
+            }
+          }
+        },
+        userMessage([
+          'Tailor my resume to the job above.',
+          `Call explain_match with ${JSON.stringify({ result_id: found.resultId, job_number: found.jobNumber })} to see my matched and missing skills.`,
+          'Then rewrite my resume for this job: lead with the experience and skills the job asks for, use its wording where it is true for me, and list the missing skills I could honestly add or should learn. Do not invent experience.',
+          resumeSection(args.resume)
+        ])
+      ];
+    }
+  },
+
+  summarize_skill_market: {
+    definition: {
+      name: 'summarize_skill_market',
+      title: 'Summarize the market for my skills',
+      description: 'Demand, top employers and skill gaps across the jobs matching a resume',
+      arguments: [
+        RESUME_ARGUMENT,
+        { name: 'skills', description: 'Comma-separated skills to analyze, if not the ones in the resume (optional)', required: false },
+        { name: 'location', description: 'Comma-separated cities or regions (optional)', required: false }
+      ]
+    },
+    build: args => [userMessage([
+      'Summarize the job market for my skills.',
+      toolCallInstruction('match_jobs_to_apply', {
+        keywords: args.skills,
+        location: args.location
+      }),
+      'Then call skill_gap_report with the result_id from metadata.pagination of that response.',
+      'From both results, summarize how many jobs match, which companies and locations hire most, typical experience requirements, and the missing skills that would unlock the most jobs.',
+      RESUME_FORMATTING_GUIDANCE,
+      resumeSection(args.resume)
+    ])]
+  }
+};
+
+/**
+ * List the prompt definitions
+ * @returns {Object} - { prompts }
+ */
+export function listPrompts() {
+  return {
+    prompts: Object.values(promptRegistry).map(prompt => prompt.definition)
+  };
+}
+
+/**
+ * Expand a prompt with its arguments
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments (string values)
+ * @returns {Object} - { description, messages }
+ * @throws {JsonRpcError} - Invalid params (-32602) for unknown prompts or missing/invalid arguments
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = promptRegistry[name];
+  if (!prompt) {
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${name}`, {
+      prompt: name,
+      availablePrompts: Object.keys(promptRegistry)
+    });
+  }
+
+  const errors = validatePromptArguments(prompt.definition, args || {});
+  if (errors.length > 0) {
+    throw invalidArguments(name, errors);
+  }
+
+  return {
+    description: prompt.definition.description,
+    messages: prompt.build(trimArguments(args || {}))
+  };
+}
+
+/**
+ * Check prompt arguments against the prompt definition
+ * @returns {Array} - Error messages
+ */
+function validatePromptArguments(definition, args) {
+  const errors = [];
+  const known = definition.arguments.map(argument => argument.name);
+
+  for (const argument of definition.arguments) {
+    const value = args[argument.name];
+    if (argument.required && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push(`Missing required argument: ${argument.name}`);
+    } else if (value !== undefined && typeof value !== 'string') {
+      errors.push(`Argument ${argument.name} must be a string`);
+    }
+  }
+
+  for (const key of Object.keys(args)) {
+    if (!known.includes(key)) {
+      errors.push(`Unknown argument: ${key}`);
+    }
+  }
+
+  return errors;
+}
+
+function invalidArguments(name, errors) {
+  return new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Invalid arguments for prompt ${name}`, {
+    prompt: name,
+    errors
+  });
+}
+
+function trimArguments(args) {
+  return Object.fromEntries(
+    Object.entries(args)
+      .map(([key, value]) => [key, value.trim()])
+      .filter(([, value]) => value !== '')
+  );
+}
+
+function userMessage(lines) {
+  return {
+    role: 'user',
+    content: {
+      type: 'text',
+      text: lines.filter(Boolean).join('\n\n')
+    }
+  };
+}
+
+/**
+ * Describe the tool call a prompt expands into, leaving out empty arguments
+ */
+function toolCallInstruction(toolName, args) {
+  const presetArgs = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+  const presetText = Object.keys(presetArgs).length > 0
+    ? ` with these arguments in addition to the resume: ${JSON.stringify(presetArgs)}`
+    : ' with only the resume';
+
+  return `Call ${toolName}${presetText}. Do not add other filters.`;
+}
+
+function resumeSection(resume) {
+  return `My resume:\n\n${resume}`;
+}
+
+function parseJobId(value) {
+  const prefix = 'jobs://job/';
+  if (!value.startsWith(prefix)) {
+    return value;
+  }
+
+  try {
+    return decodeURIComponent(value.slice(prefix.length));
+  } catch {
+    return value.slice(prefix.length);
+  }
+}
+
+/**
+ * Date range of the last 7 days including today, in YYYY-MM-DD (UTC)
+ */
+function lastWeekRange() {
+  const end = new Date();
+  const start = new Date(end.getTime() - 6 * 24 * 60 * 60 * 1000);
+  return {
+    startDate: start.toISOString().slice(0, 10),
+    endDate: end.toISOString().slice(0, 10)
+  };
+}
@@ -46,6 +46,17 @@ class RateLimiter {
     };
   }
 
+  /**
+   * Give back the quota of a request that was cancelled before it completed
+   * @param {string} sessionId - User session identifier
+   */
+  refund(sessionId) {
+    const userData = this.users.get(sessionId);
+    if (userData) {
+      userData.requests.pop();
+    }
+  }
+
   /**
    * Get or create user data
    * @param {string} sessionId - User session identifier
@@ -0,0 +1,185 @@
+/**
+ * MCP resource registry for MCP Job Matcher Server
+ * Publishes stored result sets and their jobs as MCP resources so a client can
+ * read one job's full description on demand. Shared by the stdio server
+ * (index.js) and the HTTP transports (mcpProtocol.js):
+ *   - jobs://results/{resultId}: job index of a stored search
+ *   - jobs://job/{jobId}: one job with its fully formatted description
+ *   - jobs://results/{resultId}/export.{format}: CSV or JSON Lines export
+ * Resources live as long as their result set in resultStore
+ */
+
+import { resultStore } from './resultStore.js';
+import { exportResults, EXPORT_FORMATS } from './exporter.js';
+import { JsonRpcError, JSON_RPC_ERROR_CODES } from './jsonRpcError.js';
+import {
+  formatResultSetResource,
+  formatJobResource,
+  transformJobData,
+  resultSetResourceUri,
+  jobResourceUri,
+  generateJobId,
+  encodePageCursor,
+  decodePageCursor
+} from './markdownFormatter.js';
+
+// Resources returned per resources/list page
+export const RESOURCES_PER_PAGE = 50;
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'jobs://results/{resultId}',
+    name: 'Result set',
+    description: 'Job index of a stored search, with the resource URI of every job. resultId is the result_id returned by the search tools.',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'jobs://job/{jobId}',
+    name: 'Job',
+    description: 'One job of a stored search with its full formatted description. jobId is the job id shown in search results.',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'jobs://results/{resultId}/export.{format}',
+    name: 'Result set export',
+    description: 'Every job of a stored search as CSV (format=csv) or JSON Lines (format=jsonl)'
+  }
+];
+
+/**
+ * List the stored result sets and their jobs, newest first
+ * @param {string} cursor - OPTIONAL nextCursor of the previous page
+ * @returns {Object} - { resources, nextCursor? }
+ * @throws {JsonRpcError} - Invalid params (-32602) for a malformed cursor
+ */
+export function listResources(cursor = undefined) {
+  const page = cursor === undefined ? 1 : decodePageCursor(cursor);
+  if (!page || page < 1) {
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'Invalid cursor', { param: 'cursor' });
+  }
+
+  const resources = [];
+  const seenJobIds = new Set();
+
+  resultStore.list().forEach(({ resultId, data, createdAt }) => {
+    const { jobs } = transformJobData(data, null);
+
+    resources.push({
+      uri: resultSetResourceUri(resultId),
+      name: `Result set ${resultId}`,
+      description: `${jobs.length} matched jobs from a search at ${new Date(createdAt).toISOString()}`,
+      mimeType: 'text/markdown'
+    });
+
+    jobs.forEach(job => {
+      // A job has the same ID in every result set, and its URI resolves to the newest one
+      if (seenJobIds.has(job.id)) {
+        return;
+      }
+      seenJobIds.add(job.id);
+
+      resources.push({
+        uri: jobResourceUri(job.id),
+        name: `${job.title} at ${job.company}`,
+        description: `${job.match}% match - ${job.location} (result set ${resultId})`,
+        mimeType: 'text/markdown'
+      });
+    });
+  });
+
+  const startIndex = (page - 1) * RESOURCES_PER_PAGE;
+  const hasNextPage = startIndex + RESOURCES_PER_PAGE < resources.length;
+
+  return {
+    resources: resources.slice(startIndex, startIndex + RESOURCES_PER_PAGE),
+    ...(hasNextPage && { nextCursor: encodePageCursor(page + 1) })
+  };
+}
+
+/**
+ * List the URI templates of the published resources
+ * @returns {Object} - { resourceTemplates }
+ */
+export function listResourceTemplates() {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
+
+/**
+ * Read a resource
+ * @param {string} uri - Resource URI
+ * @returns {Object} - { contents: [{ uri, mimeType, text }] }
+ * @throws {JsonRpcError} - Invalid params (-32602) without a URI, resource not found (-32002)
+ *   for unknown URIs and expired result sets
+ */
+export function readResource(uri) {
+  if (typeof uri !== 'string' || uri === '') {
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, 'resources/read requires a uri', { param: 'uri' });
+  }
+
+  const exportMatch = uri.match(/^jobs:\/\/results\/([^/]+)\/export\.([a-z]+)$/);
+  if (exportMatch && EXPORT_FORMATS[exportMatch[2]]) {
+    const [, resultId, format] = exportMatch;
+    const resultSet = resultStore.get(resultId);
+    if (resultSet) {
+      const exported = exportResults(resultSet.data, format, resultId);
+      return resourceContents(uri, exported.mimeType, exported.content);
+    }
+  }
+
+  const resultSetMatch = uri.match(/^jobs:\/\/results\/([^/]+)$/);
+  if (resultSetMatch) {
+    const resultId = resultSetMatch[1];
+    const resultSet = resultStore.get(resultId);
+    if (resultSet) {
+      return resourceContents(uri, 'text/markdown', formatResultSetResource(resultSet.data, {
+        resultId,
+        args: resultSet.args,
+        createdAt: resultSet.createdAt
+      }));
+    }
+  }
+
+  const jobMatch = uri.match(/^jobs:\/\/job\/([^/]+)$/);
+  if (jobMatch) {
+    const found = findStoredJob(safeDecodeURIComponent(jobMatch[1]));
+    if (found) {
+      return resourceContents(uri, 'text/markdown', formatJobResource(found.data, found.jobNumber, found.resultId));
+    }
+  }
+
+  throw new JsonRpcError(JSON_RPC_ERROR_CODES.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, {
+    uri,
+    reason: 'Unknown URI, or its result set has expired. Run the search again to get a new result set.'
+  });
+}
+
+/**
+ * Find a job in the stored result sets, newest first
+ * @param {string} jobId - Job ID from generateJobId()
+ * @returns {Object|null} - { resultId, data, jobNumber } or null
+ */
+export function findStoredJob(jobId) {
+  for (const { resultId, data } of resultStore.list()) {
+    const { matches = [] } = data;
+    const index = matches.findIndex(match => generateJobId(match) === jobId);
+    if (index >= 0) {
+      return { resultId, data, jobNumber: index + 1 };
+    }
+  }
+
+  return null;
+}
+
+function resourceContents(uri, mimeType, text) {
+  return {
+    contents: [{ uri, mimeType, text }]
+  };
+}
+
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
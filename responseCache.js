@@ -0,0 +1,136 @@
+/**
+ * Backend response cache for MCP Job Matcher Server
+ * Keeps backend responses under a hash of the normalized resume and every
+ * filter sent to the backend, so repeating a search (for example switching
+ * between match_resume and match_jobs_to_apply) does not call the backend or
+ * use rate limit quota again. In-memory LRU for stdio and Express; the
+ * Cloudflare Worker brings its own KV / Cache API store with the same
+ * get(key) / set(key, value) interface.
+ */
+
+// node:crypto rather than the global: Node 18 has no global crypto in ES modules
+import { webcrypto } from 'node:crypto';
+
+// Filters sent to the backend, with the defaults callBackendAPI applies
+export const CACHED_FILTERS = {
+  user_experience: '',
+  keywords: '',
+  location: '',
+  start_date: '',
+  end_date: '',
+  page: '1',
+  sort_by: 'similarity'
+};
+
+/**
+ * Build the cache key of a backend search
+ * @param {Object} args - Tool arguments passed to callBackendAPI
+ * @param {Object} resumeFile - OPTIONAL decoded resume file { bytes, filename, mimeType }
+ * @returns {Promise<string>} - SHA-256 hex digest
+ */
+export async function buildCacheKey(args, resumeFile = null) {
+  const resume = resumeFile
+    ? { fileSha256: await sha256Hex(resumeFile.bytes), mimeType: resumeFile.mimeType }
+    : { text: normalizeText(args.resume_text || '') };
+
+  const filters = normalizeFilters(args);
+
+  return await sha256Hex(new TextEncoder().encode(JSON.stringify({ resume, filters })));
+}
+
+/**
+ * Filters of a backend search as the backend receives them, whitespace normalized
+ * @param {Object} args - Tool arguments passed to callBackendAPI
+ * @returns {Object} - Every CACHED_FILTERS entry, defaults applied
+ */
+export function normalizeFilters(args) {
+  return Object.fromEntries(
+    Object.entries(CACHED_FILTERS).map(([name, defaultValue]) => {
+      const value = args[name] === undefined || args[name] === null ? '' : normalizeText(String(args[name]));
+      return [name, value === '' ? defaultValue : value];
+    })
+  );
+}
+
+class ResponseCache {
+  constructor(maxEntries = 50, ttlMs = 5 * 60 * 1000) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+  }
+
+  /**
+   * Set how long responses are kept
+   * @param {number} ttlMs - Time to live in ms; 0 disables the cache
+   */
+  setTtl(ttlMs) {
+    this.ttlMs = ttlMs > 0 ? ttlMs : 0;
+    if (this.ttlMs === 0) {
+      this.entries.clear();
+    }
+  }
+
+  /**
+   * Get a cached backend response
+   * @param {string} key - Key from buildCacheKey()
+   * @returns {Promise<Object|null>} - Copy of the response, or null if missing/expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used position (Map keeps insertion order)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Cache a backend response
+   * @param {string} key - Key from buildCacheKey()
+   * @param {Object} value - Backend response data
+   */
+  async set(key, value) {
+    if (this.ttlMs === 0) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + this.ttlMs });
+
+    // Evict least recently used entries once the cache is full
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+}
+
+/**
+ * Trim and collapse whitespace, so reformatting a resume does not change its key
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+async function sha256Hex(bytes) {
+  const digest = await webcrypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Export singleton instance with default values
+// The entry points apply CACHE_TTL with setTtl()
+export const responseCache = new ResponseCache(
+  50, // Maximum cached responses
+  5 * 60 * 1000 // 5 minutes, the CACHE_TTL default
+);
+
+// Also export the class for testing
+export { ResponseCache };
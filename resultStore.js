@@ -0,0 +1,140 @@
+/**
+ * Result set store for MCP Job Matcher Server
+ * Keeps backend responses under opaque result IDs so later pages can be
+ * served without another backend call
+ */
+
+class ResultStore {
+  constructor(maxEntries = 50, ttlMs = 30 * 60 * 1000) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.results = new Map(); // resultId -> { data, view, args, createdAt, expiresAt }
+  }
+
+  /**
+   * Store a backend response and return its result ID
+   * @param {Object} data - Backend response data
+   * @param {Object} options - { view: 'full' | 'table', args: original tool arguments,
+   *   scope: OPTIONAL owner of the result set, kept in its ID (see resultIdScope()) }
+   * @returns {string} - Opaque result ID
+   */
+  save(data, { view = 'full', args = {}, scope = null } = {}) {
+    this.cleanup();
+
+    const now = Date.now();
+    const resultId = this.generateResultId(scope);
+
+    // Keep only the file name of uploaded resumes, not the file content
+    const storedArgs = args.resume_file
+      ? { ...args, resume_file: { filename: args.resume_file.filename } }
+      : args;
+
+    this.results.set(resultId, {
+      data,
+      view,
+      args: storedArgs,
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    });
+
+    // Evict oldest entries once the store is full (Map keeps insertion order)
+    while (this.results.size > this.maxEntries) {
+      const oldestId = this.results.keys().next().value;
+      this.results.delete(oldestId);
+    }
+
+    return resultId;
+  }
+
+  /**
+   * Get a stored result set
+   * @param {string} resultId - Result ID returned by save()
+   * @returns {Object|null} - Stored entry or null if missing/expired
+   */
+  get(resultId) {
+    const entry = this.results.get(resultId);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.results.delete(resultId);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * List the stored result sets, newest first
+   * @returns {Array} - Entries with their resultId added
+   */
+  list() {
+    this.cleanup();
+
+    return [...this.results]
+      .reverse()
+      .map(([resultId, entry]) => ({ resultId, ...entry }));
+  }
+
+  /**
+   * Remove expired result sets (housekeeping)
+   */
+  cleanup() {
+    const now = Date.now();
+
+    for (const [resultId, entry] of this.results) {
+      if (entry.expiresAt <= now) {
+        this.results.delete(resultId);
+      }
+    }
+  }
+
+  /**
+   * Generate an opaque result ID
+   * @param {string|null} scope - Owner of the result set (letters, digits and dashes)
+   * @returns {string} - Result ID such as "rs_lx2k9a_4f7c1d", followed by "_<scope>" with a scope
+   */
+  generateResultId(scope = null) {
+    const time = Date.now().toString(36);
+    const random = Math.random().toString(36).slice(2, 8);
+    return scope ? `rs_${time}_${random}_${scope}` : `rs_${time}_${random}`;
+  }
+
+  /**
+   * Get statistics about stored result sets
+   * @returns {Object} - Statistics object
+   */
+  getStats() {
+    this.cleanup();
+
+    return {
+      totalResults: this.results.size,
+      configuration: {
+        maxEntries: this.maxEntries,
+        ttlMs: this.ttlMs
+      }
+    };
+  }
+}
+
+/**
+ * Get the scope a result set was saved with
+ * The Worker saves the result sets of an MCP session with the session ID as scope,
+ * and routes requests for them to the session's Durable Object
+ * @param {string} resultId - Result ID returned by save()
+ * @returns {string|null} - Scope, or null for a result ID without one
+ */
+export function resultIdScope(resultId) {
+  return String(resultId).match(/^rs_[a-z0-9]+_[a-z0-9]+_([A-Za-z0-9-]+)$/)?.[1] ?? null;
+}
+
+// Export singleton instance with default values
+// In Workers, each isolate keeps its own store, shared by the session Durable Objects it runs
+export const resultStore = new ResultStore(
+  50, // Maximum stored result sets
+  30 * 60 * 1000 // 30 minute lifetime
+);
+
+// Also export the class for testing
+export { ResultStore };
@@ -0,0 +1,178 @@
+/**
+ * Saved search store for MCP Job Matcher Server
+ * Keeps named searches and the job links seen on their last run so that
+ * re-running a search can report only what changed. Searches are persisted
+ * through a pluggable storage adapter (a JSON file in Node.js, KV in
+ * Cloudflare Workers), like the application tracker.
+ */
+
+import { JsonStore } from './jsonStore.js';
+
+// Search parameters copied into a saved search
+const SEARCH_PARAMETERS = [
+  'resume_text',
+  'resume_file',
+  'user_experience',
+  'keywords',
+  'location',
+  'start_date',
+  'end_date',
+  'sort_by'
+];
+
+class SavedSearchStore extends JsonStore {
+  /**
+   * @param {number} maxEntries - Maximum saved searches
+   * @param {Object|null} storage - Storage adapter, see JsonStore
+   *   Stored object: normalized name -> { name, search, snapshot, createdAt, updatedAt, lastRunAt, runCount }
+   */
+  constructor(maxEntries = 20, storage = null) {
+    super(storage);
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Save (or replace) a named search
+   * @param {string} name - Display name of the search
+   * @param {Object} args - Search parameters (match_resume arguments)
+   * @param {Object|null} snapshot - Optional initial snapshot from takeSnapshot()
+   * @returns {Promise<Object>} - Saved search entry
+   */
+  async save(name, args, snapshot = null) {
+    return await this.exclusive(async () => {
+      const searches = await this.load();
+      const key = this.normalizeName(name);
+      const now = Date.now();
+      const existing = searches[key];
+
+      const search = {};
+      for (const parameter of SEARCH_PARAMETERS) {
+        if (args[parameter] !== undefined && args[parameter] !== null && args[parameter] !== '') {
+          search[parameter] = args[parameter];
+        }
+      }
+
+      const entry = {
+        name: name.trim(),
+        search,
+        snapshot,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        lastRunAt: snapshot ? snapshot.takenAt : null,
+        runCount: 0
+      };
+      searches[key] = entry;
+
+      // Evict the least recently saved searches once the store is full
+      const byAge = Object.keys(searches).sort((a, b) => searches[a].updatedAt - searches[b].updatedAt);
+      byAge.slice(0, Math.max(0, byAge.length - this.maxEntries)).forEach(oldestKey => {
+        delete searches[oldestKey];
+      });
+
+      await this.persist(searches);
+      return entry;
+    });
+  }
+
+  /**
+   * Get a saved search by name (case-insensitive)
+   * @param {string} name - Search name
+   * @returns {Promise<Object|null>} - Saved search entry or null if unknown
+   */
+  async get(name) {
+    const searches = await this.load();
+    return searches[this.normalizeName(name)] || null;
+  }
+
+  /**
+   * Record a run of a saved search
+   * @param {string} name - Search name
+   * @param {Object} snapshot - Snapshot from takeSnapshot()
+   * @returns {Promise<Object|null>} - Previous snapshot (null on the first run)
+   */
+  async recordRun(name, snapshot) {
+    return await this.exclusive(async () => {
+      const searches = await this.load();
+      const entry = searches[this.normalizeName(name)];
+      if (!entry) {
+        return null;
+      }
+
+      const previousSnapshot = entry.snapshot;
+      entry.snapshot = snapshot;
+      entry.lastRunAt = snapshot.takenAt;
+      entry.runCount++;
+
+      await this.persist(searches);
+      return previousSnapshot;
+    });
+  }
+
+  /**
+   * List saved search names
+   * @returns {Promise<Array<string>>} - Display names, least recently saved first
+   */
+  async list() {
+    const searches = await this.load();
+    return Object.values(searches)
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Build a snapshot of the jobs in a backend response
+   * @param {Object} data - Backend response data
+   * @returns {Object} - { takenAt, jobs: job key -> { title, company, location, url } }
+   */
+  takeSnapshot(data) {
+    const jobs = {};
+
+    (data.matches || []).forEach(job => {
+      jobs[getJobKey(job)] = {
+        title: job.job_title || 'Job Title Not Available',
+        company: job.company_name || 'Company Not Specified',
+        location: job.location || 'Location Not Specified',
+        url: job.job_link || '#'
+      };
+    });
+
+    return { takenAt: Date.now(), jobs };
+  }
+
+  /**
+   * Normalize a search name for lookups
+   */
+  normalizeName(name) {
+    return String(name).trim().toLowerCase();
+  }
+
+  /**
+   * Get statistics about saved searches (as last loaded)
+   * @returns {Object} - Statistics object
+   */
+  getStats() {
+    return {
+      totalSearches: Object.keys(this.data).length,
+      configuration: {
+        maxEntries: this.maxEntries
+      }
+    };
+  }
+}
+
+/**
+ * Key a backend job by its link, falling back to title and company
+ * @param {Object} job - Backend job match
+ * @returns {string} - Job key
+ */
+export function getJobKey(job) {
+  return job.job_link || `${job.job_title || ''}|${job.company_name || ''}`.toLowerCase();
+}
+
+// Export singleton instance with default values - storage is attached by each entry point
+export const savedSearchStore = new SavedSearchStore(
+  20 // Maximum saved searches
+);
+
+// Also export the class for testing
+export { SavedSearchStore };
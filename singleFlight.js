@@ -0,0 +1,88 @@
+/**
+ * Single-flight backend requests for MCP Job Matcher Server
+ * Tool calls that search with the same resume and filters at the same time
+ * (for example match_resume and match_jobs_to_apply called in parallel) share
+ * one backend request and its result. Keys come from buildCacheKey() in
+ * responseCache.js.
+ *
+ * Each caller keeps its own cancellation: a caller whose signal aborts stops
+ * waiting, and the shared request is only aborted once every caller has gone.
+ */
+
+class SingleFlight {
+  constructor() {
+    this.flights = new Map(); // key -> { promise, controller, waiters }
+  }
+
+  /**
+   * Run a request, or join the identical one already in flight
+   * @param {string} key - Identifies identical requests
+   * @param {Function} request - async (signal) => result, called only when no request with the key is in flight
+   * @param {AbortSignal} signal - OPTIONAL signal of this caller
+   * @returns {Promise<Object>} - Copy of the shared result
+   */
+  async run(key, request, signal = null) {
+    signal?.throwIfAborted();
+
+    let flight = this.flights.get(key);
+    if (!flight) {
+      const controller = new AbortController();
+      flight = {
+        controller,
+        waiters: 0,
+        promise: Promise.resolve().then(() => request(controller.signal))
+      };
+      this.flights.set(key, flight);
+
+      const finishedFlight = flight;
+      flight.promise.then(() => this.remove(key, finishedFlight), () => this.remove(key, finishedFlight));
+    }
+
+    flight.waiters++;
+    try {
+      return structuredClone(await waitForFlight(flight.promise, signal));
+    } finally {
+      flight.waiters--;
+      if (flight.waiters === 0 && signal?.aborted) {
+        // Nobody is waiting anymore: stop the request, and do not let new callers join it
+        this.remove(key, flight);
+        flight.controller.abort(signal.reason);
+      }
+    }
+  }
+
+  /**
+   * Number of requests in flight (for health checks and testing)
+   * @returns {number}
+   */
+  size() {
+    return this.flights.size;
+  }
+
+  remove(key, flight) {
+    if (this.flights.get(key) === flight) {
+      this.flights.delete(key);
+    }
+  }
+}
+
+/**
+ * Wait for the shared request, or stop early when this caller's signal aborts
+ */
+function waitForFlight(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Export singleton instance shared by every tool call of the process (or Worker isolate)
+export const backendRequests = new SingleFlight();
+
+// Also export the class for testing
+export { SingleFlight };
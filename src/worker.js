@@ -4,34 +4,110 @@
  */
 
 import { tools, validateToolParameters, getToolMetadata } from '../tools.js';
-import { formatMarkdownResponse, formatTableOnlyMarkdownResponse } from '../markdownFormatter.js';
-import { validateInputs } from '../validator.js';
-
-// Configuration from environment variables with fallbacks
-const CONFIG = {
-  BACKEND_URL: globalThis.BACKEND_URL || 'https://job-board-aggregator.onrender.com',
-  BACKEND_ENDPOINT: globalThis.BACKEND_ENDPOINT || '/server/match-resume-upload',
-  // API_TOKEN will be accessed from env during request handling, not at module load time
-  RATE_LIMIT_PER_MINUTE: parseInt(globalThis.RATE_LIMIT_PER_MINUTE) || 10,
-  MAX_FILE_SIZE: parseInt(globalThis.MAX_FILE_SIZE) || 15000, // 15K characters for full resume
-  MIN_FILE_SIZE: parseInt(globalThis.MIN_FILE_SIZE) || 500, // 500 chars for full resume
-  TIMEOUT: parseInt(globalThis.TIMEOUT) || 30000, // 30 seconds
-  LOG_LEVEL: globalThis.LOG_LEVEL || 'info',
-  NODE_ENV: globalThis.NODE_ENV || 'production'
-};
+import { resultStore, resultIdScope } from '../resultStore.js';
+import { applicationTracker } from '../applicationTracker.js';
+import { savedSearchStore } from '../savedSearchStore.js';
+import { exportResults, EXPORT_FORMATS } from '../exporter.js';
+import { dispatchToolCall } from '../toolRegistry.js';
+import { BackendError, BackendNetworkError } from '../backendError.js';
+import { backendCircuitBreaker } from '../backendResilience.js';
+import { backendPool, parseBackendUrls } from '../backendPool.js';
+import { handleMockBackendRequest, MOCK_BACKEND_URL } from '../mockBackend.js';
+import { buildCacheKey } from '../responseCache.js';
+import { backendRequests } from '../singleFlight.js';
+import { handleStreamableHttpRequest, parseErrorResponse } from '../streamableHttp.js';
+import { mcpSessionStore } from '../mcpSessionStore.js';
+import { mcpLogger } from '../mcpLogger.js';
+import { openLegacySseSession, handleLegacySseMessage, LEGACY_SSE_PATH, LEGACY_MESSAGES_PATH } from '../legacySse.js';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Configuration from environment variables with fallbacks
+ * A module Worker gets its variables (wrangler.toml [vars], .dev.vars, dashboard) in env, not as globals
+ * @param {Object} env - Worker environment
+ * @returns {Object} - Configuration
+ */
+function loadConfig(env) {
+  return {
+    // Backend base URLs with priorities (lower is preferred); BACKEND_URL sets a single backend
+    BACKEND_URLS: parseBackendUrls(env.BACKEND_URLS || env.BACKEND_URL
+      || 'https://job-board-aggregator.onrender.com=1,https://jobboardaggregator-production.up.railway.app=2'),
+    BACKEND_ENDPOINT: env.BACKEND_ENDPOINT || '/server/match-resume-upload',
+    BACKEND_HEALTH_PATH: env.BACKEND_HEALTH_PATH || '/health',
+    BACKEND_PROBE_INTERVAL_MS: parseInt(env.BACKEND_PROBE_INTERVAL_MS ?? 30000), // Minimum time between health probes, 0 disables
+    // Answer searches with the built-in mock backend (mockBackend.js) instead of BACKEND_URLS
+    MOCK_BACKEND: env.MOCK_BACKEND === 'true',
+    MOCK_BACKEND_SCENARIO: env.MOCK_BACKEND_SCENARIO || 'matches',
+    // API_TOKEN will be accessed from env during request handling, not at module load time
+    RATE_LIMIT_PER_MINUTE: parseInt(env.RATE_LIMIT_PER_MINUTE) || 10,
+    MAX_FILE_SIZE: parseInt(env.MAX_FILE_SIZE) || 15000, // 15K characters for full resume
+    MIN_FILE_SIZE: parseInt(env.MIN_FILE_SIZE) || 500, // 500 chars for full resume
+    TIMEOUT: parseInt(env.TIMEOUT) || 30000, // Budget of one backend call (30 seconds)
+    REQUEST_TIMEOUT: parseInt(env.REQUEST_TIMEOUT) || 55000, // Budget of a whole tool call, retries included
+    CACHE_TTL: parseInt(env.CACHE_TTL ?? 300), // Seconds backend responses are cached, 0 disables
+    BACKEND_MAX_RETRIES: parseInt(env.BACKEND_MAX_RETRIES ?? 3),
+    CIRCUIT_BREAKER_THRESHOLD: parseInt(env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+    CIRCUIT_BREAKER_RESET_MS: parseInt(env.CIRCUIT_BREAKER_RESET_MS) || 30000,
+    LOG_LEVEL: env.LOG_LEVEL || 'info',
+    NODE_ENV: env.NODE_ENV || 'production'
+  };
+}
+
+// Configuration of this isolate, loaded by its first request (see configureWorker())
+let CONFIG = null;
+
+// Job matcher server of this isolate, created with its configuration
+// Shared by all requests, so its rate limiter sees every tool call the isolate handles
+let server = null;
+
+/**
+ * Load the configuration from env and apply it to the shared singletons, once per isolate
+ * Variables are fixed for a deployment, so every later request has the same env
+ * @param {Object} env - Worker environment
+ */
+function configureWorker(env) {
+  if (CONFIG) {
+    return;
+  }
+  CONFIG = loadConfig(env);
+  server = new WorkersJobMatcherServer();
+
+  // Default level of MCP log messages for clients that do not call logging/setLevel
+  mcpLogger.setDefaultLevel(CONFIG.LOG_LEVEL);
 
-// Log configuration on startup (only in development or when LOG_LEVEL is debug)
-if (CONFIG.NODE_ENV !== 'production' || CONFIG.LOG_LEVEL === 'debug') {
-  console.log('🔧 Worker Configuration:', {
-    BACKEND_URL: CONFIG.BACKEND_URL,
-    BACKEND_ENDPOINT: CONFIG.BACKEND_ENDPOINT,
-    RATE_LIMIT_PER_MINUTE: CONFIG.RATE_LIMIT_PER_MINUTE,
-    MAX_FILE_SIZE: `${(CONFIG.MAX_FILE_SIZE / 1024 / 1024).toFixed(1)}MB`,
-    MIN_FILE_SIZE: `${CONFIG.MIN_FILE_SIZE} bytes`,
-    TIMEOUT: `${CONFIG.TIMEOUT}ms`,
-    LOG_LEVEL: CONFIG.LOG_LEVEL,
-    NODE_ENV: CONFIG.NODE_ENV
+  // Retry and circuit breaker settings for backend calls (per isolate)
+  backendCircuitBreaker.configure({
+    failureThreshold: CONFIG.CIRCUIT_BREAKER_THRESHOLD,
+    resetTimeoutMs: CONFIG.CIRCUIT_BREAKER_RESET_MS
   });
+
+  // Backends and their health probes (per isolate)
+  backendPool.configure(CONFIG.MOCK_BACKEND ? [{ url: MOCK_BACKEND_URL, priority: 1 }] : CONFIG.BACKEND_URLS, {
+    healthPath: CONFIG.BACKEND_HEALTH_PATH,
+    probeIntervalMs: CONFIG.BACKEND_PROBE_INTERVAL_MS,
+    callTimeoutMs: CONFIG.TIMEOUT
+  });
+
+  // Log configuration on startup (only in development or when LOG_LEVEL is debug)
+  if (CONFIG.NODE_ENV !== 'production' || CONFIG.LOG_LEVEL === 'debug') {
+    console.log('🔧 Worker Configuration:', {
+      BACKEND_URLS: CONFIG.BACKEND_URLS.map(({ url, priority }) => `${url} (priority ${priority})`),
+      BACKEND_ENDPOINT: CONFIG.BACKEND_ENDPOINT,
+      BACKEND_PROBE_INTERVAL_MS: `${CONFIG.BACKEND_PROBE_INTERVAL_MS}ms`,
+      MOCK_BACKEND: CONFIG.MOCK_BACKEND ? CONFIG.MOCK_BACKEND_SCENARIO : false,
+      RATE_LIMIT_PER_MINUTE: CONFIG.RATE_LIMIT_PER_MINUTE,
+      MAX_FILE_SIZE: `${(CONFIG.MAX_FILE_SIZE / 1024 / 1024).toFixed(1)}MB`,
+      MIN_FILE_SIZE: `${CONFIG.MIN_FILE_SIZE} bytes`,
+      TIMEOUT: `${CONFIG.TIMEOUT}ms`,
+      REQUEST_TIMEOUT: `${CONFIG.REQUEST_TIMEOUT}ms`,
+      CACHE_TTL: `${CONFIG.CACHE_TTL}s`,
+      BACKEND_MAX_RETRIES: CONFIG.BACKEND_MAX_RETRIES,
+      CIRCUIT_BREAKER_THRESHOLD: CONFIG.CIRCUIT_BREAKER_THRESHOLD,
+      CIRCUIT_BREAKER_RESET_MS: `${CONFIG.CIRCUIT_BREAKER_RESET_MS}ms`,
+      LOG_LEVEL: CONFIG.LOG_LEVEL,
+      NODE_ENV: CONFIG.NODE_ENV
+    });
+  }
 }
 
 // Simple in-memory rate limiter for Cloudflare Workers
@@ -60,6 +136,7 @@ class WorkersRateLimiter {
         allowed: false,
         remaining: 0,
         resetTime,
+        limit: this.limitPerMinute,
         total: this.limitPerMinute
       };
     }
@@ -72,126 +149,134 @@ class WorkersRateLimiter {
       allowed: true,
       remaining: this.limitPerMinute - recentRequests.length,
       resetTime: now + (60 * 1000),
+      limit: this.limitPerMinute,
       total: this.limitPerMinute
     };
   }
+
+  // Give back the quota of a cancelled or cached request
+  refund(sessionId) {
+    this.requests.get(sessionId)?.pop();
+  }
 }
 
-// Job matcher server class for Workers
-class WorkersJobMatcherServer {
-  constructor() {
-    this.rateLimiter = new WorkersRateLimiter(CONFIG.RATE_LIMIT_PER_MINUTE);
+// Backend response cache shared across isolates: KV when RESPONSE_CACHE_KV is
+// bound, otherwise the Cache API of the data center
+// Cache failures never fail a search, they only cost a backend call
+class WorkersResponseCache {
+  constructor(namespace, ttlSeconds) {
+    this.namespace = namespace;
+    this.ttlSeconds = ttlSeconds;
   }
 
-  async handleMatchResumeCall(args, sessionId, env) {
-    try {
-      // Apply rate limiting
-      const rateLimitResult = this.rateLimiter.checkLimit(sessionId);
-      if (!rateLimitResult.allowed) {
-        return {
-          content: [{
-            type: 'text',
-            text: await this.formatRateLimitError(rateLimitResult)
-          }]
-        };
-      }
+  // Cache API entries are addressed by URL
+  cacheRequest(key) {
+    return new Request(`https://response-cache.job-matcher.internal/${key}`);
+  }
 
-      // Validate inputs
-      const validation = validateInputs(args);
-      if (!validation.valid) {
-        return {
-          content: [{
-            type: 'text',
-            text: await this.formatValidationError(validation.errors)
-          }]
-        };
+  async get(key) {
+    try {
+      if (this.namespace) {
+        return await this.namespace.get(`response:${key}`, 'json');
       }
-
-      // Call backend API
-      const backendResponse = await this.callBackendAPI(args, env);
-      
-      // Format response as Markdown artifact
-      const markdownResponse = formatMarkdownResponse(backendResponse, rateLimitResult.remaining);
-
-      return {
-        content: [{
-          type: 'text',
-          text: markdownResponse
-        }]
-      };
-
+      const cached = await caches.default.match(this.cacheRequest(key));
+      return cached ? await cached.json() : null;
     } catch (error) {
-      console.error('Match resume error:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: await this.formatError(error)
-        }]
-      };
+      console.error('Response cache read failed:', error.message);
+      return null;
     }
   }
 
-  async handleMatchJobsToApplyCall(args, sessionId, env) {
+  async set(key, value) {
     try {
-      // Apply rate limiting
-      const rateLimitResult = this.rateLimiter.checkLimit(sessionId);
-      if (!rateLimitResult.allowed) {
-        return {
-          content: [{
-            type: 'text',
-            text: await this.formatRateLimitError(rateLimitResult)
-          }]
-        };
+      if (this.namespace) {
+        // KV expirations must be at least 60 seconds
+        await this.namespace.put(`response:${key}`, JSON.stringify(value), {
+          expirationTtl: Math.max(60, this.ttlSeconds)
+        });
+        return;
       }
+      await caches.default.put(this.cacheRequest(key), new Response(JSON.stringify(value), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${this.ttlSeconds}`
+        }
+      }));
+    } catch (error) {
+      console.error('Response cache write failed:', error.message);
+    }
+  }
+}
 
-      // Validate inputs (same validation as match_resume)
-      const validation = validateInputs(args);
-      if (!validation.valid) {
-        return {
-          content: [{
-            type: 'text',
-            text: await this.formatValidationError(validation.errors)
-          }]
-        };
-      }
+// KV-backed storage for tracked applications and saved searches, one JSON value per store
+class KVStorage {
+  constructor(namespace, key) {
+    this.namespace = namespace;
+    this.key = key;
+  }
 
-      // Call backend API (same backend call as match_resume)
-      const backendResponse = await this.callBackendAPI(args, env);
-      
-      // Format response as table-only Markdown artifact
-      const markdownResponse = formatTableOnlyMarkdownResponse(backendResponse, rateLimitResult.remaining);
+  async read() {
+    return await this.namespace.get(this.key, 'json');
+  }
 
-      return {
-        content: [{
-          type: 'text',
-          text: markdownResponse
-        }]
-      };
+  async write(entries) {
+    await this.namespace.put(this.key, JSON.stringify(entries));
+  }
+}
 
-    } catch (error) {
-      console.error('Match jobs to apply error:', error);
-      return {
-        content: [{
-          type: 'text',
-          text: await this.formatError(error)
-        }]
-      };
-    }
+// Job matcher server class for Workers
+class WorkersJobMatcherServer {
+  constructor() {
+    this.rateLimiter = new WorkersRateLimiter(CONFIG.RATE_LIMIT_PER_MINUTE);
+  }
+
+  // Run a tool through the shared tool registry
+  // options: { signal, reportProgress, log } from the MCP request
+  async callTool(name, args, sessionId, env, options = {}) {
+    return await dispatchToolCall(name, args || {}, {
+      sessionId,
+      rateLimiter: this.rateLimiter,
+      callBackendAPI: (toolArgs, resumeFile, callOptions) => this.callBackendAPI(toolArgs, env, resumeFile, callOptions),
+      retryPolicy: { maxRetries: CONFIG.BACKEND_MAX_RETRIES },
+      requestTimeout: CONFIG.REQUEST_TIMEOUT,
+      responseCache: CONFIG.CACHE_TTL > 0 && (env.RESPONSE_CACHE_KV || typeof caches !== 'undefined')
+        ? new WorkersResponseCache(env.RESPONSE_CACHE_KV, CONFIG.CACHE_TTL)
+        : null,
+      ...options
+    });
+  }
+
+  // Identical calls in flight at the same time in this isolate share one backend request,
+  // sent to the healthiest backend with failover to the others (see backendPool.js)
+  async callBackendAPI(args, env, resumeFile = null, { signal } = {}) {
+    const key = await buildCacheKey(args, resumeFile);
+    return await backendRequests.run(key, flightSignal => backendPool.call(
+      (baseUrl, backendSignal) => this.fetchBackendAPI(baseUrl, args, env, resumeFile, backendSignal),
+      flightSignal
+    ), signal);
   }
 
-  async callBackendAPI(args, env) {
+  // Send one request to one backend; signal is aborted once no caller waits for the response anymore
+  async fetchBackendAPI(baseUrl, args, env, resumeFile, signal) {
     // Get API token from environment (secrets are available during request handling)
-    const apiToken = env.API_AUTH_TOKEN;
-    if (!apiToken) {
+    // The mock backend needs no token
+    const apiToken = env.API_AUTH_TOKEN || '';
+    if (!apiToken && !CONFIG.MOCK_BACKEND) {
       throw new Error('API_AUTH_TOKEN environment variable is required. Please set it using: wrangler secret put API_AUTH_TOKEN');
     }
 
     // Create FormData equivalent for Workers
     const formData = new FormData();
     
-    // Handle resume text by creating a blob
-    const resumeBlob = new Blob([args.resume_text], { type: 'text/plain' });
-    formData.append('file', resumeBlob, 'resume.txt');
+    if (resumeFile) {
+      // Upload the real document so the backend can parse it
+      const fileBlob = new Blob([resumeFile.bytes], { type: resumeFile.mimeType });
+      formData.append('file', fileBlob, resumeFile.filename);
+    } else {
+      // Handle resume text by creating a blob
+      const resumeBlob = new Blob([args.resume_text], { type: 'text/plain' });
+      formData.append('file', resumeBlob, 'resume.txt');
+    }
 
     // Add optional parameters
     formData.append('user_experience', args.user_experience || '');
@@ -202,16 +287,18 @@ class WorkersJobMatcherServer {
     formData.append('page', (args.page || 1).toString());
     formData.append('sort_by', args.sort_by || 'similarity');
 
-    const url = `${CONFIG.BACKEND_URL}${CONFIG.BACKEND_ENDPOINT}`;
+    const url = `${baseUrl}${CONFIG.BACKEND_ENDPOINT}`;
     
-    const response = await fetch(url, {
+    const response = await backendFetch(url, {
       method: 'POST',
       headers: {
         'Authorization': apiToken,
         'Accept': 'application/json'
       },
       body: formData,
-      signal: AbortSignal.timeout(CONFIG.TIMEOUT)
+      // Aborted once every caller waiting for it has timed out or been cancelled (see singleFlight.js)
+      // Workers fetch cannot time the connection separately, so TIMEOUT covers it
+      signal
     });
 
     if (!response.ok) {
@@ -224,354 +311,360 @@ class WorkersJobMatcherServer {
         errorData = { detail: errorText };
       }
 
-      throw new WorkersBackendError(response.status, errorData);
+      throw new BackendError(response.status, errorData, response.headers.get('retry-after'));
     }
 
     return await response.json();
   }
+}
 
-  async formatRateLimitError(rateLimitResult) {
-    const errorData = {
-      type: 'rate_limit',
-      quota: CONFIG.RATE_LIMIT_PER_MINUTE,
-      resetTime: new Date(rateLimitResult.resetTime).toLocaleTimeString(),
-      remaining: rateLimitResult.remaining
-    };
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+  'Access-Control-Max-Age': '86400',
+};
 
-    const markdownContent = `# ⏱️ Rate Limit Exceeded
+/**
+ * Fetch from a backend, or from the built-in mock backend when MOCK_BACKEND is set
+ * @returns {Promise<Response>}
+ * @throws {BackendNetworkError} - When fetch cannot reach the backend
+ */
+async function backendFetch(url, init) {
+  if (CONFIG.MOCK_BACKEND) {
+    return await handleMockBackendRequest(new Request(url, init), {
+      endpoint: CONFIG.BACKEND_ENDPOINT,
+      scenario: CONFIG.MOCK_BACKEND_SCENARIO
+    });
+  }
 
-You've reached the maximum number of requests allowed per minute. Please wait a moment before trying again.
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    // fetch rejects with a TypeError when the backend cannot be reached
+    throw error instanceof TypeError ? new BackendNetworkError(error) : error;
+  }
+}
 
-## Rate Limit Information
+/**
+ * GET a backend health endpoint for the backend pool's probes
+ * @returns {Promise<number>} - HTTP status of the response
+ */
+async function fetchBackendStatus(url, signal) {
+  const response = await backendFetch(url, { signal });
+  await response.body?.cancel();
+  return response.status;
+}
 
-**Quota:** ${errorData.quota} requests per minute
-**Reset Time:** ${errorData.resetTime}
-**Remaining:** ${errorData.remaining}
+/**
+ * Parse a JSON request body for the shared MCP transports
+ * @returns {Promise<Object>} - { body } or { parseError } with the JSON-RPC parse error response
+ */
+async function readJsonBody(request) {
+  try {
+    return { body: await request.json() };
+  } catch (error) {
+    return { parseError: parseErrorResponse(error) };
+  }
+}
 
-Please try again after the reset time.
+/**
+ * Turn a JSON response from the shared MCP transports into a Response
+ */
+function createJsonResponse(response) {
+  return new Response(response.body ? JSON.stringify(response.body) : null, {
+    status: response.status,
+    headers: {
+      ...response.headers,
+      ...corsHeaders
+    }
+  });
+}
 
----
+/**
+ * Stream an SSE response from the shared MCP transports to the client
+ * Events sent before the client connected are replayed from the session store
+ */
+function createSseResponse(response, request, onDisconnect = null) {
+  const { stream, afterSeq } = response.sse;
+  const { readable, writable } = new TransformStream();
+  const output = writable.getWriter();
+  const encoder = new TextEncoder();
+  let connected = true;
+
+  const disconnect = () => {
+    if (!connected) {
+      return;
+    }
+    connected = false;
+    mcpSessionStore.detach(stream, writer);
+    if (onDisconnect) {
+      onDisconnect();
+    }
+  };
+
+  const writer = {
+    write: text => {
+      output.write(encoder.encode(text)).catch(disconnect);
+    },
+    close: () => {
+      output.close().catch(() => {});
+    }
+  };
 
-*Job Matcher v1.0 - Powered by Cloudflare Workers*`;
+  mcpSessionStore.attach(stream, writer, afterSeq);
+  request.signal?.addEventListener('abort', disconnect);
 
-    return JSON.stringify({
-      please_render_as_artifact: true,
-      artifact_required: true,
-      artifact_command: "create",
-      response_type: "artifact_only",
-      instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
-      artifact_type: "text/markdown",
-      artifact_id: `rate-limit-error-${Date.now()}`,
-      artifact_title: "Rate Limit Exceeded",
-      content: markdownContent,
-      validation: {
-        artifact_creation_required: true,
-        content_type_validation: "markdown"
-      },
-      performance: {
-        size_optimized: true,
-        readable_format: true
-      }
-    }, null, 2);
-  }
+  return new Response(readable, {
+    status: response.status,
+    headers: {
+      ...response.headers,
+      ...corsHeaders
+    }
+  });
+}
 
-  async formatValidationError(errors) {
-    const markdownContent = `# ❌ Input Validation Failed
+// Header naming the Durable Object a request was forwarded to (set by the Worker only)
+const SESSION_OBJECT_HEADER = 'X-Mcp-Session-Object';
 
-Please fix the following issues and try again:
+/**
+ * Probe the backends when due and point the stores at their KV namespaces, before handling a request
+ */
+function prepareRequest(env, waitUntil) {
+  // Workers have no long-lived timers: probe the backends from requests, at most once per interval
+  const backendProbe = backendPool.probeIfDue(fetchBackendStatus);
+  if (backendProbe) {
+    waitUntil(backendProbe);
+  }
 
-## Validation Errors
+  // Persist tracked applications and saved searches when their KV namespace is bound (in-memory otherwise)
+  applicationTracker.setStorage(env.APPLICATIONS_KV ? new KVStorage(env.APPLICATIONS_KV, 'applications') : null);
+  savedSearchStore.setStorage(env.SAVED_SEARCHES_KV ? new KVStorage(env.SAVED_SEARCHES_KV, 'saved-searches') : null);
+}
 
-${errors.map(error => `- ${error}`).join('\n')}
+/**
+ * Check whether a request goes to the MCP Streamable HTTP or legacy HTTP+SSE transport
+ */
+function isMcpTransportRequest(path, method) {
+  return path === '/'
+    || (path === LEGACY_SSE_PATH && method === 'GET')
+    || (path === LEGACY_MESSAGES_PATH && method === 'POST');
+}
 
-Please correct these issues and retry your request.
+/**
+ * Get the MCP session ID a transport request was sent for
+ * @returns {string|null} - Mcp-Session-Id header, or sessionId query parameter of a legacy message
+ */
+function requestSessionId(request, url) {
+  return url.pathname === LEGACY_MESSAGES_PATH
+    ? url.searchParams.get('sessionId')
+    : request.headers.get('mcp-session-id');
+}
 
----
+/**
+ * Forward a request to the Durable Object of an MCP session
+ * @param {string} objectName - Session ID naming the object
+ */
+async function forwardToSessionObject(request, namespace, objectName) {
+  const headers = new Headers(request.headers);
+  headers.set(SESSION_OBJECT_HEADER, objectName);
 
-*Job Matcher v1.0 - Powered by Cloudflare Workers*`;
+  const sessionObject = namespace.get(namespace.idFromName(objectName));
+  return await sessionObject.fetch(new Request(request, { headers }));
+}
 
-    return JSON.stringify({
-      please_render_as_artifact: true,
-      artifact_required: true,
-      artifact_command: "create",
-      response_type: "artifact_only",
-      instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
-      artifact_type: "text/markdown",
-      artifact_id: `validation-error-${Date.now()}`,
-      artifact_title: "Input Validation Failed",
-      content: markdownContent,
-      validation: {
-        artifact_creation_required: true,
-        content_type_validation: "markdown"
-      },
-      performance: {
-        size_optimized: true,
-        readable_format: true
-      }
-    }, null, 2);
+/**
+ * Handle a request to the MCP Streamable HTTP or legacy HTTP+SSE transport
+ * In a Durable Object, a session the request starts gets the object's name as ID,
+ * and result sets are saved with it as scope so the Worker can route requests for them
+ * @param {Object} options - { waitUntil(promise), sessionObjectName (OPTIONAL, in a Durable Object) }
+ */
+async function handleMcpTransportRequest(request, env, { waitUntil, sessionObjectName = null }) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+
+  // Get session ID from headers or IP
+  const sessionId = request.headers.get('cf-connecting-ip') || 
+                   request.headers.get('x-forwarded-for') || 
+                   'worker-client';
+
+  // Legacy MCP HTTP+SSE transport - the event stream announces the message endpoint
+  if (path === LEGACY_SSE_PATH) {
+    const response = openLegacySseSession(sessionObjectName || undefined);
+
+    // The session ends with its event stream
+    return createSseResponse(response, request, () => {
+      mcpSessionStore.delete(response.session.id);
+      console.log(`[MCP] Legacy SSE session ${response.session.id} closed`);
+    });
   }
 
-  async formatError(error) {
-    let title = 'Request Failed';
-    let message = 'An unexpected error occurred while processing your request.';
-    let suggestions = [];
-    let technicalDetails = '';
-
-    if (error instanceof WorkersBackendError) {
-      switch (error.status) {
-        case 401:
-          title = 'Authentication Error';
-          message = 'Invalid API authentication. Please check your configuration.';
-          suggestions.push('Contact support if this issue persists');
-          break;
-        case 400:
-          title = 'File Processing Error';
-          message = error.data.detail || 'Unable to process the uploaded file.';
-          suggestions.push('Try uploading a different file format (PDF, DOCX, DOC, TXT)');
-          suggestions.push('Ensure your file is not corrupted');
-          break;
-        case 413:
-          title = 'File Too Large';
-          message = 'The uploaded file exceeds the maximum size limit of 10MB.';
-          suggestions.push('Try compressing your resume');
-          suggestions.push('Use a different file format');
-          break;
-        case 422:
-          title = 'Invalid Parameters';
-          message = 'Some parameters are invalid.';
-          if (error.data.detail) {
-            technicalDetails = JSON.stringify(error.data.detail, null, 2);
-          }
-          break;
-        case 500:
-          title = 'Server Error';
-          message = 'The backend server encountered an error.';
-          suggestions.push('Please try again in a few moments');
-          suggestions.push('Contact support if the issue persists');
-          break;
-      }
-    }
+  if (path === LEGACY_MESSAGES_PATH) {
+    const { body, parseError } = await readJsonBody(request);
+    const response = parseError || await handleLegacySseMessage({
+      sessionId: url.searchParams.get('sessionId'),
+      body
+    }, {
+      callTool: (name, args, options) => server.callTool(name, args, sessionId, env, { ...options, resultScope: sessionObjectName }),
+      waitUntil
+    });
 
-    let markdownContent = `# ⚠️ ${title}\n\n`;
-    markdownContent += `${message}\n\n`;
-    
-    if (suggestions.length > 0) {
-      markdownContent += `## 💡 Troubleshooting Tips\n\n`;
-      suggestions.forEach(suggestion => {
-        markdownContent += `- ✓ ${suggestion}\n`;
-      });
-      markdownContent += `\n`;
-    }
-    
-    if (technicalDetails) {
-      markdownContent += `## 🔧 Technical Details\n\n`;
-      markdownContent += `\`\`\`\n${technicalDetails}\n\`\`\`\n\n`;
-    }
-    
-    markdownContent += `**Status Code:** ${error instanceof WorkersBackendError ? error.status : 'unknown'}\n\n`;
-    markdownContent += `---\n\n`;
-    markdownContent += `*Job Matcher v1.0 - Powered by Cloudflare Workers*`;
-
-    return JSON.stringify({
-      please_render_as_artifact: true,
-      artifact_required: true,
-      artifact_command: "create",
-      response_type: "artifact_only",
-      instruction: "MUST_CREATE_MARKDOWN_ARTIFACT",
-      fallback_behavior: "error_if_no_artifact",
-      artifact_type: "text/markdown",
-      artifact_id: `error-${Date.now()}`,
-      artifact_title: title,
-      content: markdownContent,
-      validation: {
-        artifact_creation_required: true,
-        content_type_validation: "markdown",
-        error_handling_mode: "readable"
-      },
-      performance: {
-        size_optimized: true,
-        readable_format: true,
-        error_type: error instanceof WorkersBackendError ? error.status : 'unknown'
-      }
-    }, null, 2);
+    return createJsonResponse(response);
   }
-}
 
-// Custom error class for backend API errors
-class WorkersBackendError extends Error {
-  constructor(status, data) {
-    super(`Backend API error: ${status}`);
-    this.name = 'WorkersBackendError';
-    this.status = status;
-    this.data = data;
+  // MCP Streamable HTTP endpoint - POST messages, GET streams, DELETE sessions
+  const { body, parseError } = request.method === 'POST' ? await readJsonBody(request) : {};
+  const response = parseError || await handleStreamableHttpRequest({
+    method: request.method,
+    getHeader: name => request.headers.get(name),
+    body,
+    newSessionId: sessionObjectName || undefined
+  }, {
+    callTool: (name, args, options) => server.callTool(name, args, sessionId, env, { ...options, resultScope: sessionObjectName }),
+    // Keep tool calls running after a streaming client disconnects
+    waitUntil
+  });
+
+  if (response.sse) {
+    return createSseResponse(response, request);
   }
-}
 
-// CORS headers
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  'Access-Control-Max-Age': '86400',
-};
+  return createJsonResponse(response);
+}
 
-// Main worker export
-export default {
-  async fetch(request, env, ctx) {
-    // Handle CORS preflight requests
-    if (request.method === 'OPTIONS') {
-      return new Response(null, {
-        status: 200,
-        headers: corsHeaders
-      });
+/**
+ * JSON-RPC error response for an unexpected error while handling a request
+ */
+function internalErrorResponse(error) {
+  console.error('[Worker] Error handling request:', error);
+  return new Response(JSON.stringify({
+    jsonrpc: '2.0',
+    id: null,
+    error: {
+      code: -32603,
+      message: error.message
+    }
+  }), {
+    status: 500,
+    headers: {
+      'Content-Type': 'application/json',
+      ...corsHeaders
     }
+  });
+}
 
-    const url = new URL(request.url);
-    const path = url.pathname;
-    
-    // Get session ID from headers or IP
-    const sessionId = request.headers.get('cf-connecting-ip') || 
-                     request.headers.get('x-forwarded-for') || 
-                     'worker-client';
+/**
+ * Durable Object holding one MCP session (Streamable HTTP or legacy HTTP+SSE)
+ * The Worker forwards every request of a session to the same object, so the
+ * session, its event streams, its running requests and its result sets are
+ * found whichever isolate receives the request
+ */
+export class McpSessionObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    configureWorker(env);
+  }
 
-    // Create server instance
-    const server = new WorkersJobMatcherServer();
+  async fetch(request) {
+    return await handleRequest(request, this.env, {
+      waitUntil: promise => this.state.waitUntil(promise),
+      sessionObjectName: request.headers.get(SESSION_OBJECT_HEADER)
+    });
+  }
+}
 
-    try {
-      // Health check endpoint
-      if (path === '/health' && request.method === 'GET') {
-        return new Response(JSON.stringify({
-          status: 'healthy',
-          service: 'Job Matcher MCP Server',
-          version: '1.0.0',
-          transport: 'Cloudflare Workers',
-          timestamp: new Date().toISOString()
-        }), {
-          status: 200,
-          headers: {
-            'Content-Type': 'application/json',
-            ...corsHeaders
-          }
-        });
-      }
+/**
+ * Handle a request to the Worker, or to a session's Durable Object
+ * @param {Object} options - { waitUntil(promise), sessionObjectName (OPTIONAL, in a Durable Object) }
+ */
+async function handleRequest(request, env, { waitUntil, sessionObjectName = null }) {
+  // Handle CORS preflight requests
+  if (request.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 200,
+      headers: corsHeaders
+    });
+  }
 
-      // MCP tools listing endpoint
-      if (path === '/mcp/tools' && request.method === 'GET') {
-        return new Response(JSON.stringify({
-          tools: Object.values(tools),
-          count: Object.keys(tools).length,
-          metadata: {
-            server: 'job-matcher-mcp-server',
-            version: '1.0.0',
-            transport: 'Cloudflare Workers'
-          }
-        }), {
-          status: 200,
-          headers: {
-            'Content-Type': 'application/json',
-            ...corsHeaders
-          }
-        });
+  const url = new URL(request.url);
+  const path = url.pathname;
+
+  // Requests of MCP sessions go to their Durable Object, unless this is that object
+  const forwardsToSessions = Boolean(env.MCP_SESSIONS) && !sessionObjectName;
+  
+  // Get session ID from headers or IP
+  const sessionId = request.headers.get('cf-connecting-ip') || 
+                   request.headers.get('x-forwarded-for') || 
+                   'worker-client';
+
+  try {
+    // MCP transports - sessions live in their Durable Object when MCP_SESSIONS is bound
+    // A request without a session (initialize, GET /sse) names a new object, and the session it starts
+    if (isMcpTransportRequest(path, request.method)) {
+      if (forwardsToSessions) {
+        return await forwardToSessionObject(request, env.MCP_SESSIONS, requestSessionId(request, url) || randomUUID());
       }
 
-      // Enhanced tool metadata endpoint - individual tool details
-      if (path.startsWith('/mcp/tools/') && path !== '/mcp/tools/call' && request.method === 'GET') {
-        try {
-          const toolName = path.split('/mcp/tools/')[1];
-          const toolMetadata = getToolMetadata(toolName);
-          
-          if (!toolMetadata) {
-            return new Response(JSON.stringify({
-              error: 'Tool not found',
-              available: Object.keys(tools)
-            }), {
-              status: 404,
-              headers: {
-                'Content-Type': 'application/json',
-                ...corsHeaders
-              }
-            });
-          }
-          
-          return new Response(JSON.stringify({
-            tool: toolMetadata,
-            metadata: {
-              server: 'job-matcher-mcp-server',
-              version: '1.0.0',
-              transport: 'Cloudflare Workers'
-            }
-          }), {
-            status: 200,
-            headers: {
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          });
-        } catch (error) {
-          console.error('Tool metadata error:', error);
-          return new Response(JSON.stringify({
-            error: 'Failed to get tool metadata',
-            details: error.message
-          }), {
-            status: 500,
-            headers: {
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          });
-        }
-      }
+      // Without the binding (local tests), sessions stay in this isolate's memory
+      prepareRequest(env, waitUntil);
+      return await handleMcpTransportRequest(request, env, { waitUntil, sessionObjectName });
+    }
 
-      // MCP tool execution endpoint
-      if (path === '/mcp/tools/call' && request.method === 'POST') {
-        const body = await request.json();
-        const { name, arguments: args } = body;
+    prepareRequest(env, waitUntil);
 
-        // Validate tool exists
-        if (!tools[name]) {
-          return new Response(JSON.stringify({
-            error: 'Unknown tool',
-            details: `Tool '${name}' not found`,
-            available: Object.keys(tools)
-          }), {
-            status: 400,
-            headers: {
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          });
+    // Health check endpoint
+    if (path === '/health' && request.method === 'GET') {
+      return new Response(JSON.stringify({
+        status: 'healthy',
+        service: 'Job Matcher MCP Server',
+        version: '1.0.0',
+        transport: 'Cloudflare Workers',
+        backend: backendCircuitBreaker.getStatus(),
+        backends: backendPool.getStatus(),
+        timestamp: new Date().toISOString()
+      }), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders
         }
+      });
+    }
 
-        // Use existing validation from tools.js
-        const validation = validateToolParameters(name, args || {});
-        if (!validation.valid) {
-          return new Response(JSON.stringify({
-            error: 'Tool validation failed',
-            details: validation.errors,
-            tool: name,
-            received_args: Object.keys(args || {})
-          }), {
-            status: 400,
-            headers: {
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          });
+    // MCP tools listing endpoint
+    if (path === '/mcp/tools' && request.method === 'GET') {
+      return new Response(JSON.stringify({
+        tools: Object.values(tools),
+        count: Object.keys(tools).length,
+        metadata: {
+          server: 'job-matcher-mcp-server',
+          version: '1.0.0',
+          transport: 'Cloudflare Workers'
         }
+      }), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders
+        }
+      });
+    }
 
-        // Execute the tool
-        let result;
-        if (name === 'match_resume') {
-          result = await server.handleMatchResumeCall(args, sessionId, env);
-        } else if (name === 'match_jobs_to_apply') {
-          result = await server.handleMatchJobsToApplyCall(args, sessionId, env);
-        } else {
+    // Enhanced tool metadata endpoint - individual tool details
+    if (path.startsWith('/mcp/tools/') && path !== '/mcp/tools/call' && request.method === 'GET') {
+      try {
+        const toolName = path.split('/mcp/tools/')[1];
+        const toolMetadata = getToolMetadata(toolName);
+        
+        if (!toolMetadata) {
           return new Response(JSON.stringify({
-            error: 'Tool execution not implemented',
-            details: `Tool '${name}' handler not found`,
+            error: 'Tool not found',
             available: Object.keys(tools)
           }), {
-            status: 501,
+            status: 404,
             headers: {
               'Content-Type': 'application/json',
               ...corsHeaders
@@ -579,18 +672,13 @@ export default {
           });
         }
         
-        // Extract the content from MCP response format
-        const content = result.content?.[0]?.text || result.content || result;
-        
         return new Response(JSON.stringify({
-          result: content,
-          tool: name,
+          tool: toolMetadata,
           metadata: {
             server: 'job-matcher-mcp-server',
             version: '1.0.0',
             transport: 'Cloudflare Workers'
-          },
-          timestamp: new Date().toISOString()
+          }
         }), {
           status: 200,
           headers: {
@@ -598,176 +686,175 @@ export default {
             ...corsHeaders
           }
         });
-      }
-
-      // MCP Protocol endpoint (main endpoint for mcp-remote)
-      if (path === '/' && request.method === 'POST') {
-        const body = await request.json();
-        const { method, params, jsonrpc, id } = body;
-        
-        console.log(`[MCP] Received ${method} request:`, { method, params: params ? Object.keys(params) : 'none', id });
-        
-        let result;
-        
-        switch (method) {
-          case 'initialize':
-            result = {
-              protocolVersion: '2024-11-05',
-              capabilities: {
-                tools: {},
-                resources: {},
-                prompts: {}
-              },
-              serverInfo: {
-                name: 'job-matcher-mcp-server',
-                version: '1.0.0',
-                description: 'MCP server for job matching backend proxy'
-              }
-            };
-            console.log('[MCP] Server initialized successfully');
-            break;
-            
-          case 'notifications/initialized':
-            // No response needed for notifications
-            console.log('[MCP] Client initialized successfully');
-            return new Response('', {
-              status: 200,
-              headers: corsHeaders
-            });
-            
-          case 'tools/list':
-            result = { 
-              tools: Object.values(tools)
-            };
-            console.log(`[MCP] Listed ${Object.keys(tools).length} tools`);
-            break;
-            
-          case 'tools/call':
-            const { name, arguments: args } = params;
-            
-            // Validate tool exists
-            if (!tools[name]) {
-              throw new Error(`Unknown tool: ${name}. Available tools: ${Object.keys(tools).join(', ')}`);
-            }
-            
-            console.log(`[MCP] Calling tool ${name} with args:`, Object.keys(args || {}));
-            
-            // Use existing validation from tools.js
-            const validation = validateToolParameters(name, args || {});
-            if (!validation.valid) {
-              throw new Error(`Tool validation failed: ${validation.errors.join(', ')}`);
-            }
-            
-            // Execute the tool using the server logic
-            if (name === 'match_resume') {
-              const toolResult = await server.handleMatchResumeCall(args, sessionId, env);
-              result = toolResult; // Already in proper MCP format
-              console.log(`[MCP] Tool ${name} executed successfully`);
-            } else if (name === 'match_jobs_to_apply') {
-              const toolResult = await server.handleMatchJobsToApplyCall(args, sessionId, env);
-              result = toolResult; // Already in proper MCP format
-              console.log(`[MCP] Tool ${name} executed successfully`);
-            } else {
-              throw new Error(`Tool execution not implemented for: ${name}`);
-            }
-            break;
-            
-          case 'resources/list':
-            result = { resources: [] };
-            break;
-            
-          case 'prompts/list':
-            result = { prompts: [] };
-            break;
-            
-          default:
-            throw new Error(`Unknown method: ${method}`);
-        }
-        
+      } catch (error) {
+        console.error('Tool metadata error:', error);
         return new Response(JSON.stringify({
-          jsonrpc: '2.0',
-          id,
-          result
+          error: 'Failed to get tool metadata',
+          details: error.message
         }), {
-          status: 200,
+          status: 500,
           headers: {
             'Content-Type': 'application/json',
             ...corsHeaders
           }
         });
       }
+    }
+
+    // Result set export endpoint - downloads a stored result set as CSV or JSON Lines
+    const exportMatch = path.match(/^\/results\/([^/]+)\/export$/);
+    if (exportMatch && request.method === 'GET') {
+      const resultId = decodeURIComponent(exportMatch[1]);
+
+      // Result sets of an MCP session are kept by its Durable Object
+      if (forwardsToSessions && resultIdScope(resultId)) {
+        return await forwardToSessionObject(request, env.MCP_SESSIONS, resultIdScope(resultId));
+      }
+
+      const format = url.searchParams.get('format') || 'csv';
 
-      // SSE endpoint for Server-Sent Events
-      if (path === '/' && request.method === 'GET') {
-        // Create a readable stream for SSE
-        const stream = new ReadableStream({
-          start(controller) {
-            // Send initial connection event
-            controller.enqueue(new TextEncoder().encode('event: connected\ndata: {"type": "connected"}\n\n'));
-            
-            // Send ping every 30 seconds
-            const interval = setInterval(() => {
-              try {
-                controller.enqueue(new TextEncoder().encode('event: ping\ndata: {"type": "ping"}\n\n'));
-              } catch (e) {
-                clearInterval(interval);
-              }
-            }, 30000);
-            
-            // Clean up on close
-            request.signal.addEventListener('abort', () => {
-              clearInterval(interval);
-              controller.close();
-            });
+      if (!EXPORT_FORMATS[format]) {
+        return new Response(JSON.stringify({
+          error: 'Unsupported export format',
+          details: `Format '${format}' is not supported`,
+          available: Object.keys(EXPORT_FORMATS)
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders
           }
         });
+      }
 
-        return new Response(stream, {
+      const resultSet = resultStore.get(resultId);
+      if (!resultSet) {
+        return new Response(JSON.stringify({
+          error: 'Result set not found',
+          details: `Result set '${resultId}' was not found or has expired`
+        }), {
+          status: 404,
           headers: {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
+            'Content-Type': 'application/json',
             ...corsHeaders
           }
         });
       }
 
-      // 404 for other paths
-      return new Response(JSON.stringify({
-        error: 'Not Found',
-        message: 'The requested endpoint was not found',
-        available_endpoints: [
-          'GET /health - Health check',
-          'GET /mcp/tools - List available tools',
-          'GET /mcp/tools/:name - Get specific tool metadata',
-          'POST /mcp/tools/call - Execute a tool',
-          'POST / - MCP Protocol endpoint',
-          'GET / - SSE endpoint'
-        ]
-      }), {
-        status: 404,
+      const exported = exportResults(resultSet.data, format, resultId);
+      return new Response(exported.content, {
+        status: 200,
         headers: {
-          'Content-Type': 'application/json',
+          'Content-Type': `${exported.mimeType}; charset=utf-8`,
+          'Content-Disposition': `attachment; filename="${exported.filename}"`,
           ...corsHeaders
         }
       });
+    }
 
-    } catch (error) {
-      console.error('[Worker] Error handling request:', error);
+    // MCP tool execution endpoint
+    if (path === '/mcp/tools/call' && request.method === 'POST') {
+      const body = await request.json();
+      const { name, arguments: args } = body;
+
+      // Tools reading a result set of an MCP session run in its Durable Object
+      if (forwardsToSessions && resultIdScope(args?.result_id)) {
+        return await forwardToSessionObject(new Request(request.url, {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(body)
+        }), env.MCP_SESSIONS, resultIdScope(args.result_id));
+      }
+
+      // Validate tool exists
+      if (!tools[name]) {
+        return new Response(JSON.stringify({
+          error: 'Unknown tool',
+          details: `Tool '${name}' not found`,
+          available: Object.keys(tools)
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders
+          }
+        });
+      }
+
+      // Use existing validation from tools.js
+      const validation = validateToolParameters(name, args || {});
+      if (!validation.valid) {
+        return new Response(JSON.stringify({
+          error: 'Tool validation failed',
+          details: validation.errors,
+          tool: name,
+          received_args: Object.keys(args || {})
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders
+          }
+        });
+      }
+
+      // Execute the tool through the shared tool registry
+      const result = await server.callTool(name, args, sessionId, env);
+      
+      // Extract the content from MCP response format
+      const content = result.content?.[0]?.text || result.content || result;
+      
       return new Response(JSON.stringify({
-        jsonrpc: '2.0',
-        id: null,
-        error: {
-          code: -32603,
-          message: error.message
-        }
+        result: content,
+        tool: name,
+        metadata: {
+          server: 'job-matcher-mcp-server',
+          version: '1.0.0',
+          transport: 'Cloudflare Workers'
+        },
+        timestamp: new Date().toISOString()
       }), {
-        status: 500,
+        status: 200,
         headers: {
           'Content-Type': 'application/json',
           ...corsHeaders
         }
       });
     }
+
+    // 404 for other paths
+    return new Response(JSON.stringify({
+      error: 'Not Found',
+      message: 'The requested endpoint was not found',
+      available_endpoints: [
+        'GET /health - Health check',
+        'GET /mcp/tools - List available tools',
+        'GET /mcp/tools/:name - Get specific tool metadata',
+        'POST /mcp/tools/call - Execute a tool',
+        'GET /results/:resultId/export?format=csv|jsonl - Download a result set',
+        'POST / - MCP Streamable HTTP endpoint (JSON-RPC messages)',
+        'GET / - MCP Streamable HTTP SSE stream',
+        'DELETE / - End an MCP session',
+        'GET /sse - Legacy MCP HTTP+SSE event stream',
+        'POST /messages?sessionId=... - Legacy MCP HTTP+SSE messages'
+      ]
+    }), {
+      status: 404,
+      headers: {
+        'Content-Type': 'application/json',
+        ...corsHeaders
+      }
+    });
+
+  } catch (error) {
+    return internalErrorResponse(error);
+  }
+}
+
+// Main worker export
+export default {
+  async fetch(request, env, ctx) {
+    configureWorker(env);
+    return await handleRequest(request, env, { waitUntil: promise => ctx.waitUntil(promise) });
   }
 };
@@ -10,7 +10,16 @@ import cors from 'cors';
 import { JobMatcherMCPServer } from './index.js';
 import { tools, validateToolParameters, getToolMetadata } from './tools.js';
 import { rateLimiter } from './rateLimiter.js';
+import { backendCircuitBreaker } from './backendResilience.js';
+import { backendPool } from './backendPool.js';
 import { validateInputs } from './validator.js';
+import { resultStore } from './resultStore.js';
+import { exportResults, EXPORT_FORMATS } from './exporter.js';
+import { toolRegistry } from './toolRegistry.js';
+import { formatRateLimitError } from './markdownFormatter.js';
+import { handleStreamableHttpRequest, parseErrorResponse } from './streamableHttp.js';
+import { mcpSessionStore } from './mcpSessionStore.js';
+import { openLegacySseSession, handleLegacySseMessage, LEGACY_SSE_PATH, LEGACY_MESSAGES_PATH } from './legacySse.js';
 
 // Set environment variables for HTTP mode
 process.env.TRANSPORT = 'http';
@@ -20,157 +29,114 @@ const app = express();
 const port = parseInt(process.env.PORT);
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] })); // Browser clients must read the session ID
+app.use(express.json({ limit: '15mb' })); // 10MB resume files grow by a third as base64
 
 // Create MCP server instance
 const mcpServer = new JobMatcherMCPServer();
 
-// MCP Protocol Handler - enhanced with existing tooling
+// Tool calls from MCP transports - rate limiting uses the client IP as session ID for HTTP
+function createCallTool(req) {
+  return (name, args, options = {}) => mcpServer.callTool(name, args, {
+    sessionId: req.ip || req.connection.remoteAddress || 'http-client',
+    ...options
+  });
+}
+
+/**
+ * Write a response from the shared MCP transports (streamableHttp.js, legacySse.js)
+ * SSE responses stream events until the stream finishes or the client disconnects
+ */
+function sendMCPResponse(res, response, onDisconnect = null) {
+  res.status(response.status).set(response.headers);
+
+  if (response.sse) {
+    const { stream, afterSeq } = response.sse;
+    const writer = {
+      write: text => res.write(text),
+      close: () => res.end()
+    };
+
+    res.flushHeaders();
+    mcpSessionStore.attach(stream, writer, afterSeq);
+    res.on('close', () => {
+      mcpSessionStore.detach(stream, writer);
+      if (onDisconnect) {
+        onDisconnect();
+      }
+    });
+    return;
+  }
+
+  if (response.body) {
+    res.json(response.body);
+  } else {
+    res.end();
+  }
+}
+
+function sendMCPError(req, res, error) {
+  console.error('[MCP] Error handling request:', error);
+  res.status(500).json({
+    jsonrpc: '2.0',
+    id: req.body?.id || null,
+    error: {
+      code: -32603,
+      message: error.message
+    }
+  });
+}
+
+// MCP Streamable HTTP handler - shared with the Cloudflare Worker
 async function handleMCPRequest(req, res) {
   try {
-    const { method, params, jsonrpc, id } = req.body;
-    
-    console.log(`[MCP] Received ${method} request:`, { method, params: params ? Object.keys(params) : 'none', id });
-    
-    let result;
-    
-    switch (method) {
-      case 'initialize':
-        result = {
-          protocolVersion: '2024-11-05',
-          capabilities: {
-            tools: {},
-            resources: {},
-            prompts: {}
-          },
-          serverInfo: {
-            name: 'job-matcher-mcp-server',
-            version: '1.0.0',
-            description: 'MCP server for job matching backend proxy'
-          }
-        };
-        console.log('[MCP] Server initialized successfully');
-        break;
-        
-      case 'notifications/initialized':
-        // No response needed for notifications
-        console.log('[MCP] Client initialized successfully');
-        return res.status(200).end();
-        
-      case 'tools/list':
-        // Use the tools from tools.js with all metadata
-        result = { 
-          tools: Object.values(tools)
-        };
-        console.log(`[MCP] Listed ${Object.keys(tools).length} tools`);
-        break;
-        
-      case 'tools/call':
-        const { name, arguments: args } = params;
-        
-        // Validate tool exists
-        if (!tools[name]) {
-          throw new Error(`Unknown tool: ${name}. Available tools: ${Object.keys(tools).join(', ')}`);
-        }
-        
-        console.log(`[MCP] Calling tool ${name} with args:`, Object.keys(args || {}));
-        
-        // Use existing validation from tools.js
-        const validation = validateToolParameters(name, args || {});
-        if (!validation.valid) {
-          throw new Error(`Tool validation failed: ${validation.errors.join(', ')}`);
-        }
-        
-        // Rate limiting check (use IP as session ID for HTTP)
-        const sessionId = req.ip || req.connection.remoteAddress || 'http-client';
-        const rateLimitResult = rateLimiter.checkLimit(sessionId);
-        if (!rateLimitResult.allowed) {
-          // Return rate limit error directly from the server
-          const errorResult = await mcpServer.formatRateLimitError(rateLimitResult);
-          result = {
-            content: [{
-              type: 'text',
-              text: errorResult
-            }]
-          };
-          break;
-        }
-        
-        // Execute the tool using the existing server logic
-        if (name === 'match_resume') {
-          const toolResult = await mcpServer.handleMatchResumeCall(args);
-          result = toolResult; // Already in proper MCP format
-          console.log(`[MCP] Tool ${name} executed successfully`);
-        } else {
-          throw new Error(`Tool execution not implemented for: ${name}`);
-        }
-        break;
-        
-      case 'resources/list':
-        // Return empty resources list
-        result = { resources: [] };
-        break;
-        
-      case 'prompts/list':
-        // Return empty prompts list  
-        result = { prompts: [] };
-        break;
-        
-      default:
-        throw new Error(`Unknown method: ${method}`);
-    }
-    
-    res.json({
-      jsonrpc: '2.0',
-      id,
-      result
+    const response = await handleStreamableHttpRequest({
+      method: req.method,
+      getHeader: name => req.get(name),
+      body: req.body
+    }, {
+      callTool: createCallTool(req)
     });
-    
+
+    sendMCPResponse(res, response);
+
   } catch (error) {
-    console.error('[MCP] Error handling request:', error);
-    res.json({
-      jsonrpc: '2.0',
-      id: req.body?.id || null,
-      error: {
-        code: -32603,
-        message: error.message
-      }
-    });
+    sendMCPError(req, res, error);
   }
 }
 
-// MCP Protocol endpoint - what mcp-remote expects
+// MCP Streamable HTTP endpoint - POST messages, GET streams, DELETE sessions
 app.post('/', handleMCPRequest);
+app.get('/', handleMCPRequest);
+app.delete('/', handleMCPRequest);
 
-// SSE endpoint for Server-Sent Events (alternative transport)
-app.get('/', (req, res) => {
-  // Set SSE headers
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
-  });
-  
-  // Send initial connection event
-  res.write('event: connected\n');
-  res.write('data: {"type": "connected"}\n\n');
-  
-  // Keep connection alive
-  const keepAlive = setInterval(() => {
-    res.write('event: ping\n');
-    res.write('data: {"type": "ping"}\n\n');
-  }, 30000);
-  
-  // Handle client disconnect
-  req.on('close', () => {
-    clearInterval(keepAlive);
-    res.end();
+// Legacy MCP HTTP+SSE transport - the event stream announces the message endpoint
+app.get(LEGACY_SSE_PATH, (req, res) => {
+  const response = openLegacySseSession();
+
+  // The session ends with its event stream
+  sendMCPResponse(res, response, () => {
+    mcpSessionStore.delete(response.session.id);
+    console.log(`[MCP] Legacy SSE session ${response.session.id} closed`);
   });
 });
 
+app.post(LEGACY_MESSAGES_PATH, async (req, res) => {
+  try {
+    const response = await handleLegacySseMessage({
+      sessionId: req.query.sessionId,
+      body: req.body
+    }, {
+      callTool: createCallTool(req)
+    });
+
+    sendMCPResponse(res, response);
+
+  } catch (error) {
+    sendMCPError(req, res, error);
+  }
+});
+
 // Health check endpoint (keep existing)
 app.get('/health', (req, res) => {
   res.json({ 
@@ -178,6 +144,8 @@ app.get('/health', (req, res) => {
     service: 'Job Matcher MCP Server',
     version: '1.0.0',
     transport: 'HTTP',
+    backend: backendCircuitBreaker.getStatus(),
+    backends: backendPool.getStatus(),
     timestamp: new Date().toISOString()
   });
 });
@@ -232,6 +200,43 @@ app.get('/mcp/tools/:toolName', async (req, res) => {
   }
 });
 
+// Result set export endpoint - downloads a stored result set as CSV or JSON Lines
+app.get('/results/:resultId/export', (req, res) => {
+  try {
+    const { resultId } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Unsupported export format',
+        details: `Format '${format}' is not supported`,
+        available: Object.keys(EXPORT_FORMATS)
+      });
+    }
+
+    const resultSet = resultStore.get(resultId);
+    if (!resultSet) {
+      return res.status(404).json({
+        error: 'Result set not found',
+        details: `Result set '${resultId}' was not found or has expired`
+      });
+    }
+
+    const exported = exportResults(resultSet.data, format, resultId);
+    res.set({
+      'Content-Type': `${exported.mimeType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${exported.filename}"`
+    });
+    res.send(exported.content);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      error: 'Export failed',
+      details: error.message
+    });
+  }
+});
+
 // Enhanced MCP tool execution endpoint with validation and rate limiting
 app.post('/mcp/tools/call', async (req, res) => {
   try {
@@ -257,22 +262,24 @@ app.post('/mcp/tools/call', async (req, res) => {
       });
     }
 
-    // Rate limiting check (use IP as session ID for HTTP)
+    // Rate limiting check for tools that use quota (use IP as session ID for HTTP)
     const sessionId = req.ip || req.connection.remoteAddress || 'http-client';
-    const rateLimitResult = rateLimiter.checkLimit(sessionId);
-    if (!rateLimitResult.allowed) {
-      const errorResult = await mcpServer.formatRateLimitError(rateLimitResult);
+    const rateLimitResult = toolRegistry[name].usesRateLimit ? rateLimiter.checkLimit(sessionId) : null;
+    if (rateLimitResult && !rateLimitResult.allowed) {
       return res.status(429).json({
         error: 'Rate limit exceeded',
         details: 'Too many requests, please wait',
-        result: errorResult,
+        result: formatRateLimitError(rateLimitResult),
         resetTime: new Date(rateLimitResult.resetTime).toISOString(),
         remaining: rateLimitResult.remaining
       });
     }
 
-    // Call the MCP server's tool handler directly
-    const result = await mcpServer.handleMatchResumeCall(args);
+    // Run the tool through the shared tool registry, reusing the rate limit check above
+    const result = await mcpServer.callTool(name, args || {}, {
+      sessionId,
+      ...(rateLimitResult && { rateLimit: rateLimitResult })
+    });
     
     // Extract the content from MCP response format
     const content = result.content?.[0]?.text || result.content || result;
@@ -284,7 +291,7 @@ app.post('/mcp/tools/call', async (req, res) => {
         server: 'job-matcher-mcp-server',
         version: '1.0.0',
         transport: 'HTTP',
-        rateLimitRemaining: rateLimitResult.remaining
+        rateLimitRemaining: rateLimitResult ? rateLimitResult.remaining : null
       },
       timestamp: new Date().toISOString()
     });
@@ -299,18 +306,31 @@ app.post('/mcp/tools/call', async (req, res) => {
   }
 });
 
+// Bodies that are not valid JSON get a JSON-RPC parse error on the MCP endpoints
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed' && ['/', LEGACY_MESSAGES_PATH].includes(req.path)) {
+    return sendMCPResponse(res, parseErrorResponse(error));
+  }
+  next(error);
+});
+
 // Start the HTTP server
 app.listen(port, () => {
   console.log(`🚀 Job Matcher MCP HTTP Server started!`);
   console.log(`📡 Server running on: http://localhost:${port}`);
-  console.log(`🔗 MCP Protocol Endpoints (for Claude Desktop via mcp-remote):`);
-  console.log(`   - POST /                    - MCP JSON-RPC endpoint (initialize, tools/list, tools/call)`);
-  console.log(`   - GET  /                    - MCP SSE endpoint (alternative transport)`);
+  console.log(`🔗 MCP Streamable HTTP Endpoint (connect MCP clients to http://localhost:${port}/):`);
+  console.log(`   - POST /                    - JSON-RPC messages (JSON or SSE responses)`);
+  console.log(`   - GET  /                    - SSE stream for server messages (resume with Last-Event-ID)`);
+  console.log(`   - DELETE /                  - End an Mcp-Session-Id session`);
+  console.log(`🔗 Legacy MCP HTTP+SSE Endpoints (protocol 2024-11-05):`);
+  console.log(`   - GET  /sse                 - Event stream (announces the message endpoint)`);
+  console.log(`   - POST /messages            - JSON-RPC messages for ?sessionId=...`);
   console.log(`🔗 Enhanced API Endpoints:`);
   console.log(`   - GET  /health              - Health check`);
   console.log(`   - GET  /mcp/tools           - List tools with full metadata`);
   console.log(`   - GET  /mcp/tools/:name     - Get specific tool metadata`);
   console.log(`   - POST /mcp/tools/call      - Execute tool with validation & rate limiting`);
+  console.log(`   - GET  /results/:id/export  - Download a result set (?format=csv|jsonl)`);
   console.log(`🛡️  Built-in Features:`);
   console.log(`   - ✅ Rate limiting (${process.env.RATE_LIMIT_PER_MINUTE || 10} requests/minute)`);
   console.log(`   - ✅ Input validation using tools.js schemas`);
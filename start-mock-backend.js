@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Backend Starter for Job Matcher MCP Server
+ * Serves the built-in mock backend (mockBackend.js) over HTTP, either inside
+ * the MCP server when MOCK_BACKEND=true or on its own:
+ *   node start-mock-backend.js   # then point BACKEND_URLS at it
+ */
+
+import http from 'http';
+import { Readable } from 'stream';
+import { pathToFileURL } from 'url';
+import { handleMockBackendRequest, parseMockScenario } from './mockBackend.js';
+
+/**
+ * Start the mock backend HTTP server
+ * @param {Object} options - { port (0 picks a free port), host, endpoint (search path), scenario }
+ * @returns {Promise<Object>} - { url (base URL for BACKEND_URLS), server }
+ * @throws {Error} - For an unknown scenario
+ */
+export async function startMockBackend({ port = 0, host = '127.0.0.1', endpoint = '/server/match-resume-upload', scenario = 'matches' } = {}) {
+  parseMockScenario(scenario);
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const hasBody = !['GET', 'HEAD'].includes(req.method);
+      const request = new Request(`http://${host}${req.url}`, {
+        method: req.method,
+        headers: Object.entries(req.headers).filter(([, value]) => typeof value === 'string'),
+        body: hasBody ? Readable.toWeb(req) : undefined,
+        duplex: hasBody ? 'half' : undefined
+      });
+      const response = await handleMockBackendRequest(request, { endpoint, scenario });
+
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      console.error('Mock backend error:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ detail: error.message }));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  // Searches run in the MCP server's process; the mock must not keep it alive on its own
+  server.unref();
+
+  return { url: `http://${host}:${server.address().port}`, server };
+}
+
+// Start the mock backend if this file is run directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.MOCK_BACKEND_PORT) || 8000;
+  const scenario = process.env.MOCK_BACKEND_SCENARIO || 'matches';
+
+  startMockBackend({ port, scenario }).then(({ url, server }) => {
+    server.ref();
+    console.log(`🧪 Mock job matching backend running on ${url} (scenario: ${scenario})`);
+    console.log(`   - POST /server/match-resume-upload  - Multipart search with fixture jobs`);
+    console.log(`   - GET  /health                      - Health check`);
+    console.log(`   Point the MCP server at it with: BACKEND_URLS=${url}`);
+    console.log(`   Pick a scenario per request with a keyword: mock:empty, mock:error=503, mock:slow=5000`);
+  }).catch(error => {
+    console.error('Failed to start mock backend:', error.message);
+    process.exit(1);
+  });
+}
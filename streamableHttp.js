@@ -0,0 +1,252 @@
+/**
+ * MCP Streamable HTTP transport for MCP Job Matcher Server
+ * Implements POST, GET and DELETE on the MCP endpoint independently of the
+ * web framework, shared by the Express server and the Cloudflare Worker:
+ *   - initialize creates a session returned in the Mcp-Session-Id header
+ *   - later requests must send Mcp-Session-Id (and may send MCP-Protocol-Version)
+ *   - tool calls are answered over SSE when the client accepts text/event-stream,
+ *     together with their progress and log notifications
+ *   - GET opens a stream for server-initiated messages, or resumes a dropped
+ *     stream from its Last-Event-ID
+ *   - DELETE ends the session
+ */
+
+import {
+  handleMcpMessage,
+  handleJsonRpcPayload,
+  isJsonRpcRequest,
+  negotiateProtocolVersion,
+  SUPPORTED_PROTOCOL_VERSIONS
+} from './mcpProtocol.js';
+import { mcpSessionStore } from './mcpSessionStore.js';
+import { JSON_RPC_ERROR_CODES } from './jsonRpcError.js';
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+};
+
+/**
+ * Handle an HTTP request to the MCP endpoint
+ * @param {Object} request - { method, getHeader(name), body, newSessionId } with body parsed from JSON for POST,
+ *   and newSessionId the ID for a session started by initialize (OPTIONAL)
+ * @param {Object} options - { callTool(name, args, { signal, reportProgress, log }), waitUntil(promise) to keep
+ *   background work alive (Workers) }
+ * @returns {Promise<Object>} - { status, headers, body } where body is a JSON value or null,
+ *   or { status, headers, sse: { stream, afterSeq } } - the caller connects the client with
+ *   mcpSessionStore.attach(stream, writer, afterSeq) and calls detach() when it disconnects
+ */
+export async function handleStreamableHttpRequest(request, options) {
+  switch (request.method) {
+    case 'POST':
+      return await handlePost(request, options);
+    case 'GET':
+      return handleGet(request);
+    case 'DELETE':
+      return handleDelete(request);
+    default:
+      return errorResponse(405, -32000, 'Method not allowed', undefined, { 'Allow': 'GET, POST, DELETE' });
+  }
+}
+
+async function handlePost(request, { callTool, waitUntil }) {
+  const payload = request.body;
+  const messages = Array.isArray(payload) ? payload : [payload];
+
+  if (!payload || typeof payload !== 'object' || messages.length === 0) {
+    return errorResponse(400, JSON_RPC_ERROR_CODES.INVALID_REQUEST, 'Invalid Request: expected a JSON-RPC message or batch', {
+      reason: Array.isArray(payload) ? 'A batch must contain at least one message' : 'The request body must be a JSON object or array'
+    });
+  }
+
+  // A new session starts with initialize
+  if (messages.some(message => message?.method === 'initialize')) {
+    if (Array.isArray(payload) || !isJsonRpcRequest(payload)) {
+      return errorResponse(400, JSON_RPC_ERROR_CODES.INVALID_REQUEST, 'Invalid Request: initialize must be sent alone as a request with an id', {
+        reason: 'initialize must not be batched or sent as a notification'
+      });
+    }
+
+    const { protocolVersion, clientInfo = null } = payload.params || {};
+    const session = mcpSessionStore.create(negotiateProtocolVersion(protocolVersion), clientInfo, 'streamable-http', request.newSessionId);
+    const response = await handleMcpMessage(payload, { session, callTool });
+
+    // Keep the session only if initialize succeeded
+    if (response.error) {
+      mcpSessionStore.delete(session.id);
+      return { status: 200, headers: { 'Content-Type': 'application/json' }, body: response };
+    }
+
+    console.log(`[MCP] Session ${session.id} started (protocol ${session.protocolVersion})`);
+    return jsonResponse(200, response, session);
+  }
+
+  const { session, error } = resolveSession(request);
+  if (error) {
+    return error;
+  }
+
+  const context = { session, callTool };
+
+  // Notifications and responses from the client are accepted without a body
+  if (!messages.some(isJsonRpcRequest)) {
+    await handleJsonRpcPayload(payload, context);
+    return { status: 202, headers: sessionHeaders(session), body: null };
+  }
+
+  // Tool calls can run for a while, so they are streamed when the client accepts SSE.
+  // Each response is sent as soon as it is ready and kept on the stream so a
+  // dropped client can resume and still get it.
+  if (messages.some(message => message?.method === 'tools/call') && acceptsEventStream(request)) {
+    const stream = mcpSessionStore.openStream(session);
+    const streamContext = { ...context, notify: notification => mcpSessionStore.send(stream, notification) };
+    const work = Promise.all(messages.map(async message => {
+      const response = await handleMcpMessage(message, streamContext);
+      if (response) {
+        mcpSessionStore.send(stream, response);
+      }
+    })).catch(error => {
+      console.error(`[MCP] Error streaming responses of session ${session.id}:`, error);
+    }).then(() => mcpSessionStore.finish(stream)); // Close the stream even if a response failed
+
+    if (waitUntil) {
+      waitUntil(work);
+    }
+
+    return {
+      status: 200,
+      headers: { ...SSE_HEADERS, ...sessionHeaders(session) },
+      sse: { stream, afterSeq: 0 }
+    };
+  }
+
+  // Progress and log notifications need a stream, so JSON responses go without them
+  const response = await handleJsonRpcPayload(payload, context);
+  if (!response) {
+    // Every request was cancelled while it ran
+    return { status: 202, headers: sessionHeaders(session), body: null };
+  }
+  return jsonResponse(200, response, session);
+}
+
+function handleGet(request) {
+  if (!acceptsEventStream(request)) {
+    return errorResponse(406, -32000, 'Not Acceptable: client must accept text/event-stream');
+  }
+
+  const { session, error } = resolveSession(request);
+  if (error) {
+    return error;
+  }
+
+  // Resume a dropped stream, replaying the events sent after Last-Event-ID
+  const lastEventId = request.getHeader('last-event-id');
+  const resumed = lastEventId ? mcpSessionStore.resolveLastEventId(session, lastEventId) : null;
+  if (resumed) {
+    console.log(`[MCP] Session ${session.id} resumed stream after event ${lastEventId}`);
+    return {
+      status: 200,
+      headers: { ...SSE_HEADERS, ...sessionHeaders(session) },
+      sse: resumed
+    };
+  }
+
+  // Otherwise open the stream for server-initiated messages (one per session)
+  const existing = mcpSessionStore.getStandaloneStream(session);
+  if (existing && existing.writer) {
+    return errorResponse(409, -32000, 'Conflict: only one SSE stream is allowed per session');
+  }
+  if (existing) {
+    mcpSessionStore.finish(existing);
+  }
+
+  return {
+    status: 200,
+    headers: { ...SSE_HEADERS, ...sessionHeaders(session) },
+    sse: { stream: mcpSessionStore.openStream(session, { standalone: true }), afterSeq: 0 }
+  };
+}
+
+function handleDelete(request) {
+  const { session, error } = resolveSession(request);
+  if (error) {
+    return error;
+  }
+
+  mcpSessionStore.delete(session.id);
+  console.log(`[MCP] Session ${session.id} terminated by client`);
+
+  return { status: 200, headers: {}, body: null };
+}
+
+/**
+ * Look up the session of a request and check its protocol version header
+ * @returns {Object} - { session } or { error } with the HTTP error response
+ */
+function resolveSession(request) {
+  const sessionId = request.getHeader('mcp-session-id');
+  if (!sessionId) {
+    return { error: errorResponse(400, -32000, 'Bad Request: Mcp-Session-Id header is required') };
+  }
+
+  const session = mcpSessionStore.get(sessionId);
+  if (!session || session.transport !== 'streamable-http') {
+    // 404 tells the client to start a new session with initialize
+    return { error: errorResponse(404, -32001, 'Session not found') };
+  }
+
+  const protocolVersion = request.getHeader('mcp-protocol-version');
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    return {
+      error: errorResponse(400, -32000, `Bad Request: unsupported protocol version ${protocolVersion}`, {
+        supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
+      })
+    };
+  }
+
+  return { session };
+}
+
+function acceptsEventStream(request) {
+  return (request.getHeader('accept') || '').includes('text/event-stream');
+}
+
+function sessionHeaders(session) {
+  return { 'Mcp-Session-Id': session.id };
+}
+
+function jsonResponse(status, body, session) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json', ...sessionHeaders(session) },
+    body
+  };
+}
+
+/**
+ * Build the response for a request body that is not valid JSON
+ * @param {Error} error - Error thrown by the JSON parser
+ * @returns {Object} - { status, headers, body }
+ */
+export function parseErrorResponse(error) {
+  return errorResponse(400, JSON_RPC_ERROR_CODES.PARSE_ERROR, 'Parse error: request body is not valid JSON', {
+    reason: error.message
+  });
+}
+
+function errorResponse(status, code, message, data = undefined, headers = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: {
+      jsonrpc: '2.0',
+      id: null,
+      error: {
+        code,
+        message,
+        ...(data !== undefined && { data })
+      }
+    }
+  };
+}
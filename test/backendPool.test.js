@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BackendPool, parseBackendUrls } from '../backendPool.js';
+import { BackendError, BackendTimeoutError } from '../backendError.js';
+
+const PRIMARY = 'https://primary.example.com';
+const BACKUP = 'https://backup.example.com';
+const SPARE = 'https://spare.example.com';
+
+function createPool(options = {}) {
+  return new BackendPool(parseBackendUrls(`${PRIMARY},${BACKUP},${SPARE}`), { probeIntervalMs: 0, ...options });
+}
+
+/**
+ * Backend request that answers per base URL: an Error is thrown, anything else is returned
+ */
+function requestByUrl(outcomes) {
+  const request = async url => {
+    request.urls.push(url);
+    const outcome = outcomes[url];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  };
+  request.urls = [];
+  return request;
+}
+
+describe('parseBackendUrls', () => {
+  it('reads priorities and defaults to the position in the list', () => {
+    assert.deepEqual(parseBackendUrls(` ${PRIMARY}/ , ${BACKUP}=1,`), [
+      { url: PRIMARY, priority: 1 },
+      { url: BACKUP, priority: 1 }
+    ]);
+  });
+
+  it('rejects entries that are not http(s) URLs', () => {
+    assert.throws(() => parseBackendUrls('primary.example.com'), /Invalid backend URL/);
+  });
+});
+
+describe('BackendPool', () => {
+  it('ranks healthy backends first, then by priority and probe latency', () => {
+    const pool = new BackendPool([
+      { url: PRIMARY, priority: 1 },
+      { url: BACKUP, priority: 2 },
+      { url: SPARE, priority: 2 }
+    ]);
+    const [primary, backup, spare] = pool.endpoints;
+    pool.markUnhealthy(primary, new Error('down'));
+    pool.markHealthy(backup, 300);
+    pool.markHealthy(spare, 100);
+
+    assert.deepEqual(pool.rank().map(endpoint => endpoint.url), [SPARE, BACKUP, PRIMARY]);
+  });
+
+  it('ranks the failed backend that failed least often first', () => {
+    const pool = createPool();
+    const [primary, backup, spare] = pool.endpoints;
+    pool.markUnhealthy(primary, new Error('down'));
+    pool.markUnhealthy(primary, new Error('down'));
+    pool.markUnhealthy(backup, new Error('down'));
+
+    assert.deepEqual(pool.rank().map(endpoint => endpoint.url), [SPARE, BACKUP, PRIMARY]);
+  });
+
+  it('fails over to the next backend on 5xx responses', async () => {
+    const pool = createPool();
+    const request = requestByUrl({
+      [PRIMARY]: new BackendError(503, null),
+      [BACKUP]: { matches: [] }
+    });
+
+    const response = await pool.call(request);
+
+    assert.deepEqual(response, { matches: [], served_by: BACKUP });
+    assert.deepEqual(request.urls, [PRIMARY, BACKUP]);
+    assert.deepEqual(pool.getStatus().map(endpoint => [endpoint.url, endpoint.state]), [
+      [BACKUP, 'healthy'],
+      [SPARE, 'unknown'],
+      [PRIMARY, 'unhealthy']
+    ]);
+  });
+
+  it('returns other 4xx responses without failing over', async () => {
+    const pool = createPool();
+    const request = requestByUrl({ [PRIMARY]: new BackendError(400, { error: 'unreadable resume' }) });
+
+    await assert.rejects(pool.call(request), error => error.status === 400);
+    assert.deepEqual(request.urls, [PRIMARY]);
+  });
+
+  it('fails over when a backend runs out of its call budget', async () => {
+    const pool = createPool({ callTimeoutMs: 20 });
+    const request = (url, signal) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve({ matches: [] }), url === PRIMARY ? 1000 : 0);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+
+    const response = await pool.call(request);
+
+    assert.equal(response.served_by, BACKUP);
+    assert.match(pool.endpoints[0].lastError, /timed out after 20 ms/);
+  });
+
+  it('throws the error of the last backend when every backend fails', async () => {
+    const pool = createPool({ callTimeoutMs: 0 });
+    const request = requestByUrl({
+      [PRIMARY]: new BackendError(502, null),
+      [BACKUP]: new BackendError(503, null),
+      [SPARE]: new BackendTimeoutError('response', 1000)
+    });
+
+    await assert.rejects(pool.call(request), BackendTimeoutError);
+    assert.deepEqual(request.urls, [PRIMARY, BACKUP, SPARE]);
+  });
+
+  it('marks backends by their health probe', async () => {
+    const pool = createPool();
+    const statuses = { [PRIMARY]: 500, [BACKUP]: 404, [SPARE]: 200 };
+
+    await pool.probeAll(async url => statuses[url.replace('/health', '')]);
+
+    assert.deepEqual(pool.getStatus().map(endpoint => [endpoint.url, endpoint.state]), [
+      [BACKUP, 'healthy'],
+      [SPARE, 'healthy'],
+      [PRIMARY, 'unhealthy']
+    ]);
+  });
+});
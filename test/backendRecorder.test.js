@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BackendRecorder } from '../backendRecorder.js';
+import { normalizeFilters } from '../responseCache.js';
+import { BackendError, RecordingNotFoundError } from '../backendError.js';
+
+const BACKEND = 'https://primary.example.com';
+const RESUME = 'Jane Roe, jane@example.com - Senior engineer';
+
+/**
+ * In-memory storage with the read(key) / write(key, recording) / list() interface
+ */
+function memoryStorage() {
+  const recordings = new Map();
+  return {
+    recordings,
+    async read(key) {
+      return recordings.has(key) ? structuredClone(recordings.get(key)) : null;
+    },
+    async write(key, recording) {
+      recordings.set(key, structuredClone(recording));
+    },
+    async list() {
+      return [...recordings.values()].map(recording => structuredClone(recording));
+    }
+  };
+}
+
+function createRecorder(mode, storage = memoryStorage()) {
+  const recorder = new BackendRecorder();
+  recorder.configure(mode, storage);
+  return recorder;
+}
+
+describe('BackendRecorder', () => {
+  it('records the response without the resume', async () => {
+    const storage = memoryStorage();
+    const recorder = createRecorder('record', storage);
+    const body = { matches: [{ job_title: 'Engineer' }] };
+
+    const response = await recorder.record(async () => body, {
+      key: 'key1',
+      args: { resume_text: RESUME, location: ' Berlin ' },
+      backend: BACKEND
+    });
+
+    assert.equal(response, body);
+    const recording = storage.recordings.get('key1');
+    assert.deepEqual(recording.request.resume, { redacted: true, source: 'text', characters: RESUME.length });
+    assert.equal(recording.request.filters.location, 'Berlin');
+    assert.equal(recording.backend, BACKEND);
+    assert.deepEqual(recording.response, { status: 200, retryAfter: null, body });
+    assert.doesNotMatch(JSON.stringify(recording), /jane/i);
+  });
+
+  it('replaces the resume file name the backend echoes back', async () => {
+    const storage = memoryStorage();
+    const recorder = createRecorder('record', storage);
+    const resumeFile = { bytes: new Uint8Array(2048), filename: 'Jane_Roe_CV.pdf', mimeType: 'application/pdf' };
+
+    await recorder.record(async () => ({ matches: [], resume_processing: { filename: 'Jane_Roe_CV.pdf', pages: 2 } }), {
+      key: 'key1',
+      args: {},
+      resumeFile,
+      backend: BACKEND
+    });
+
+    const recording = storage.recordings.get('key1');
+    assert.deepEqual(recording.request.resume, { redacted: true, source: 'file', mimeType: 'application/pdf', bytes: 2048 });
+    assert.deepEqual(recording.response.body.resume_processing, { filename: 'resume.pdf', pages: 2 });
+    assert.doesNotMatch(JSON.stringify(recording), /jane/i);
+  });
+
+  it('records backend errors but not network errors', async () => {
+    const storage = memoryStorage();
+    const recorder = createRecorder('record', storage);
+
+    await assert.rejects(
+      recorder.record(async () => {
+        throw new BackendError(429, { detail: 'slow down' }, '5');
+      }, { key: 'limited', args: { resume_text: RESUME }, backend: BACKEND }),
+      BackendError
+    );
+    await assert.rejects(
+      recorder.record(async () => {
+        throw new TypeError('fetch failed');
+      }, { key: 'offline', args: { resume_text: RESUME }, backend: BACKEND }),
+      TypeError
+    );
+
+    assert.deepEqual(storage.recordings.get('limited').response, { status: 429, retryAfter: '5', body: { detail: 'slow down' } });
+    assert.equal(storage.recordings.has('offline'), false);
+  });
+
+  it('replays the recording of the same search', async () => {
+    const storage = memoryStorage();
+    await createRecorder('record', storage).record(async () => ({ matches: [{ job_title: 'Engineer' }] }), {
+      key: 'abcdef0123456789',
+      args: { resume_text: RESUME },
+      backend: BACKEND
+    });
+
+    const response = await createRecorder('replay', storage).replay('abcdef0123456789', { resume_text: RESUME });
+
+    assert.deepEqual(response, { matches: [{ job_title: 'Engineer' }], served_by: 'replay://abcdef012345.recording' });
+  });
+
+  it('falls back to the newest recording with the same filters', async () => {
+    const storage = memoryStorage();
+    await storage.write('old', {
+      key: 'old',
+      recordedAt: '2024-01-01T00:00:00.000Z',
+      request: { filters: normalizeFilters({ location: 'Berlin' }) },
+      response: { status: 200, retryAfter: null, body: { matches: [], run: 'old' } }
+    });
+    await storage.write('new', {
+      key: 'new',
+      recordedAt: '2024-06-01T00:00:00.000Z',
+      request: { filters: normalizeFilters({ location: 'Berlin' }) },
+      response: { status: 200, retryAfter: null, body: { matches: [], run: 'new' } }
+    });
+    const recorder = createRecorder('replay', storage);
+
+    const response = await recorder.replay('other-resume', { resume_text: 'another resume', location: 'Berlin' });
+
+    assert.equal(response.run, 'new');
+    await assert.rejects(recorder.replay('other-resume', { location: 'Munich' }), RecordingNotFoundError);
+  });
+
+  it('replays recorded backend errors', async () => {
+    const storage = memoryStorage();
+    await createRecorder('record', storage).record(async () => {
+      throw new BackendError(503, { detail: 'starting up' }, '10');
+    }, { key: 'key1', args: { resume_text: RESUME }, backend: BACKEND }).catch(() => {});
+
+    await assert.rejects(
+      createRecorder('replay', storage).replay('key1', { resume_text: RESUME }),
+      error => error instanceof BackendError && error.status === 503 && error.retryAfter === '10'
+    );
+  });
+
+  it('needs a known mode and a storage', () => {
+    const recorder = new BackendRecorder();
+
+    assert.throws(() => recorder.configure('rewind', memoryStorage()), /Unknown backend recorder mode/);
+    assert.throws(() => recorder.configure('record'), /needs a storage/);
+  });
+});
+
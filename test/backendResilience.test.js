@@ -0,0 +1,208 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { callWithRetry, parseRetryAfter, CircuitBreaker } from '../backendResilience.js';
+import { BackendError, BackendUnavailableError, BackendTimeoutError, BackendNetworkError } from '../backendError.js';
+
+// Retry right away so the tests do not wait for the backoff
+const FAST_RETRIES = { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 1 };
+
+/**
+ * Backend call that plays the given outcomes in order: an Error is thrown,
+ * anything else is returned
+ */
+function scriptedCall(outcomes) {
+  const call = async () => {
+    const outcome = outcomes[Math.min(call.calls++, outcomes.length - 1)];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  };
+  call.calls = 0;
+  return call;
+}
+
+/**
+ * Backend call that answers after ms unless its signal is aborted first
+ */
+function slowCall(ms, response = { matches: [] }) {
+  return signal => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(response), ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('callWithRetry', () => {
+  it('retries transient failures until the backend answers', async () => {
+    const call = scriptedCall([
+      new BackendError(503, null),
+      new BackendNetworkError(new TypeError('fetch failed')),
+      { matches: [] }
+    ]);
+    const retries = [];
+
+    const response = await callWithRetry(call, {
+      retryPolicy: FAST_RETRIES,
+      circuitBreaker: new CircuitBreaker(),
+      onRetry: retry => retries.push(retry.attempt)
+    });
+
+    assert.deepEqual(response, { matches: [] });
+    assert.equal(call.calls, 3);
+    assert.deepEqual(retries, [1, 2]);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    const call = scriptedCall([new BackendError(400, { error: 'bad resume' })]);
+
+    await assert.rejects(
+      callWithRetry(call, { retryPolicy: FAST_RETRIES, circuitBreaker: new CircuitBreaker() }),
+      error => error instanceof BackendError && error.status === 400
+    );
+    assert.equal(call.calls, 1);
+  });
+
+  it('gives up after maxRetries with the error of the last attempt', async () => {
+    const call = scriptedCall([new BackendError(502, null), new BackendError(504, null)]);
+
+    await assert.rejects(
+      callWithRetry(call, { retryPolicy: FAST_RETRIES, circuitBreaker: new CircuitBreaker() }),
+      error => error.status === 504
+    );
+    assert.equal(call.calls, FAST_RETRIES.maxRetries + 1);
+  });
+
+  it('does not wait for a Retry-After longer than maxRetryAfterMs', async () => {
+    const call = scriptedCall([new BackendError(429, null, '120')]);
+
+    await assert.rejects(
+      callWithRetry(call, { retryPolicy: FAST_RETRIES, circuitBreaker: new CircuitBreaker() }),
+      error => error.status === 429
+    );
+    assert.equal(call.calls, 1);
+  });
+
+  it('retries an attempt that runs out of its attempt budget', async () => {
+    let calls = 0;
+    const call = signal => slowCall(++calls > 1 ? 0 : 1000)(signal);
+
+    const response = await callWithRetry(call, {
+      attemptTimeoutMs: 20,
+      retryPolicy: FAST_RETRIES,
+      circuitBreaker: new CircuitBreaker()
+    });
+
+    assert.deepEqual(response, { matches: [] });
+    assert.equal(calls, 2);
+  });
+
+  it('stops at the request deadline', async () => {
+    await assert.rejects(
+      callWithRetry(slowCall(1000), {
+        deadline: Date.now() + 20,
+        attemptTimeoutMs: 1000,
+        retryPolicy: FAST_RETRIES,
+        circuitBreaker: new CircuitBreaker()
+      }),
+      error => error instanceof BackendTimeoutError && error.phase === 'deadline'
+    );
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('opens after the failure threshold and then fails fast', async () => {
+    const circuitBreaker = new CircuitBreaker(2, 60000);
+    const call = scriptedCall([new BackendError(500, null)]);
+    const options = { retryPolicy: { maxRetries: 0 }, circuitBreaker };
+
+    await assert.rejects(callWithRetry(call, options), BackendError);
+    await assert.rejects(callWithRetry(call, options), BackendError);
+    await assert.rejects(callWithRetry(call, options), BackendUnavailableError);
+
+    assert.equal(call.calls, 2);
+    assert.equal(circuitBreaker.getStatus().state, 'open');
+  });
+
+  it('does not count 4xx responses', async () => {
+    const circuitBreaker = new CircuitBreaker(1, 60000);
+    const call = scriptedCall([new BackendError(422, null)]);
+
+    await assert.rejects(callWithRetry(call, { circuitBreaker }), BackendError);
+
+    assert.equal(circuitBreaker.getStatus().state, 'closed');
+  });
+
+  it('lets a single trial call through a half-open circuit', async () => {
+    const circuitBreaker = new CircuitBreaker(1, 10);
+    await assert.rejects(
+      callWithRetry(scriptedCall([new BackendError(503, null)]), { retryPolicy: { maxRetries: 0 }, circuitBreaker }),
+      BackendError
+    );
+    await sleep(20);
+
+    let finishTrial;
+    const trial = callWithRetry(() => new Promise(resolve => {
+      finishTrial = resolve;
+    }), { circuitBreaker });
+
+    // Other calls fail fast while the trial runs
+    const other = scriptedCall([{ matches: [] }]);
+    await assert.rejects(callWithRetry(other, { circuitBreaker }), BackendUnavailableError);
+    assert.equal(other.calls, 0);
+    assert.equal(circuitBreaker.getStatus().state, 'half-open');
+
+    finishTrial({ matches: [] });
+    await trial;
+
+    assert.equal(circuitBreaker.getStatus().state, 'closed');
+    assert.deepEqual(await callWithRetry(other, { circuitBreaker }), { matches: [] });
+  });
+
+  it('reopens when the trial call fails', async () => {
+    const circuitBreaker = new CircuitBreaker(1, 10);
+    const failing = scriptedCall([new BackendError(503, null)]);
+    const options = { retryPolicy: { maxRetries: 0 }, circuitBreaker };
+
+    await assert.rejects(callWithRetry(failing, options), BackendError);
+    await sleep(20);
+    await assert.rejects(callWithRetry(failing, options), BackendError);
+
+    assert.equal(failing.calls, 2);
+    assert.equal(circuitBreaker.getStatus().state, 'open');
+    await assert.rejects(callWithRetry(failing, options), BackendUnavailableError);
+  });
+
+  it('hands the trial to the next call when the trial is cancelled', async () => {
+    const circuitBreaker = new CircuitBreaker(1, 10);
+    await assert.rejects(
+      callWithRetry(scriptedCall([new BackendError(503, null)]), { retryPolicy: { maxRetries: 0 }, circuitBreaker }),
+      BackendError
+    );
+    await sleep(20);
+
+    const controller = new AbortController();
+    const cancelled = callWithRetry(slowCall(1000), { signal: controller.signal, circuitBreaker });
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(cancelled, /cancelled/);
+
+    const next = scriptedCall([{ matches: [] }]);
+    assert.deepEqual(await callWithRetry(next, { circuitBreaker }), { matches: [] });
+    assert.equal(circuitBreaker.getStatus().state, 'closed');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(new Date(0).toUTCString()), 0);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
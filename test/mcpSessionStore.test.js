@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpSessionStore, formatSseEvent } from '../mcpSessionStore.js';
+
+/**
+ * SSE connection that collects what is written to it
+ */
+function memoryWriter() {
+  return {
+    text: '',
+    closed: false,
+    write(text) {
+      this.text += text;
+    },
+    close() {
+      this.closed = true;
+    }
+  };
+}
+
+describe('McpSessionStore', () => {
+  it('creates sessions and finds them by ID', () => {
+    const store = new McpSessionStore();
+    const session = store.create('2025-06-18', { name: 'test-client' });
+
+    assert.equal(store.get(session.id), session);
+    assert.equal(session.transport, 'streamable-http');
+    assert.equal(store.get('unknown'), null);
+  });
+
+  it('expires idle sessions', () => {
+    const store = new McpSessionStore(10, 1000);
+    const session = store.create('2025-06-18');
+    session.lastActiveAt = Date.now() - 1000;
+
+    assert.equal(store.get(session.id), null);
+    assert.equal(store.getStats().activeSessions, 0);
+  });
+
+  it('evicts the oldest session once full', () => {
+    const store = new McpSessionStore(2);
+    const oldest = store.create('2025-06-18');
+    const middle = store.create('2025-06-18');
+    const newest = store.create('2025-06-18');
+
+    assert.equal(store.get(oldest.id), null);
+    assert.equal(store.get(middle.id), middle);
+    assert.equal(store.get(newest.id), newest);
+  });
+
+  it('replaces the session that had a preset ID', () => {
+    const store = new McpSessionStore();
+    const previous = store.create('2025-03-26', null, 'streamable-http', 'object-1');
+    const controller = new AbortController();
+    previous.inFlightRequests.set(1, controller);
+
+    const session = store.create('2025-06-18', null, 'sse', 'object-1');
+
+    assert.equal(store.get('object-1'), session);
+    assert.equal(controller.signal.aborted, true);
+  });
+
+  it('cancels running requests and closes streams of a deleted session', () => {
+    const store = new McpSessionStore();
+    const session = store.create('2025-06-18');
+    const controller = new AbortController();
+    session.inFlightRequests.set(1, controller);
+    const writer = memoryWriter();
+    store.attach(store.openStream(session), writer);
+
+    assert.equal(store.delete(session.id), true);
+    assert.equal(controller.signal.aborted, true);
+    assert.equal(writer.closed, true);
+    assert.equal(store.delete(session.id), false);
+  });
+
+  it('replays the events a resuming client has not seen', () => {
+    const store = new McpSessionStore();
+    const session = store.create('2025-06-18');
+    const stream = store.openStream(session);
+    store.send(stream, { jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+    store.send(stream, { jsonrpc: '2.0', id: 2, result: {} });
+
+    const resumed = store.resolveLastEventId(session, `${stream.id}_1`);
+    assert.deepEqual(resumed, { stream, afterSeq: 1 });
+
+    const writer = memoryWriter();
+    store.attach(stream, writer, resumed.afterSeq);
+    assert.equal(writer.text, formatSseEvent(stream.events[1]));
+    assert.match(writer.text, /^id: .+_2\nevent: message\ndata: \{"jsonrpc":"2.0","id":2,"result":\{\}\}\n\n$/);
+
+    store.finish(stream);
+    assert.equal(writer.closed, true);
+  });
+
+  it('does not resolve unknown Last-Event-ID values', () => {
+    const store = new McpSessionStore();
+    const session = store.create('2025-06-18');
+    const stream = store.openStream(session);
+
+    assert.equal(store.resolveLastEventId(session, 'unknown_1'), null);
+    assert.equal(store.resolveLastEventId(session, `${stream.id}_x`), null);
+    assert.equal(store.resolveLastEventId(session, 'no-separator'), null);
+  });
+
+  it('keeps a limited number of events and streams', () => {
+    const store = new McpSessionStore(10, 60000, 2, 2);
+    const session = store.create('2025-06-18');
+    const finished = store.openStream(session);
+    const running = store.openStream(session);
+    store.finish(finished);
+    store.openStream(session);
+
+    assert.equal(session.streams.has(finished.id), false);
+    assert.equal(session.streams.has(running.id), true);
+
+    ['a', 'b', 'c'].forEach(text => store.send(running, text));
+    assert.deepEqual(running.events.map(event => event.message), ['b', 'c']);
+  });
+
+  it('keeps events for resumption when the connection drops', () => {
+    const store = new McpSessionStore();
+    const session = store.create('2025-06-18');
+    const stream = store.openStream(session);
+    store.attach(stream, {
+      write() {
+        throw new Error('connection reset');
+      },
+      close() {}
+    });
+
+    store.send(stream, { jsonrpc: '2.0', id: 1, result: {} });
+
+    assert.equal(stream.writer, null);
+    assert.equal(stream.events.length, 1);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCacheKey, normalizeFilters, ResponseCache } from '../responseCache.js';
+
+describe('buildCacheKey', () => {
+  it('ignores whitespace changes in the resume and filters', async () => {
+    const key = await buildCacheKey({ resume_text: 'Senior engineer\n\nNode.js', keywords: 'node' });
+    const reformatted = await buildCacheKey({ resume_text: '  Senior   engineer Node.js\n', keywords: ' node ' });
+
+    assert.equal(reformatted, key);
+  });
+
+  it('treats missing filters like their backend defaults', async () => {
+    const key = await buildCacheKey({ resume_text: 'resume' });
+    const withDefaults = await buildCacheKey({
+      resume_text: 'resume',
+      page: 1,
+      sort_by: 'similarity',
+      location: '',
+      keywords: null
+    });
+
+    assert.equal(withDefaults, key);
+  });
+
+  it('keys different filters and resumes apart', async () => {
+    const key = await buildCacheKey({ resume_text: 'resume', location: 'Berlin' });
+
+    assert.notEqual(await buildCacheKey({ resume_text: 'resume', location: 'Munich' }), key);
+    assert.notEqual(await buildCacheKey({ resume_text: 'resume', location: 'Berlin', page: 2 }), key);
+    assert.notEqual(await buildCacheKey({ resume_text: 'other resume', location: 'Berlin' }), key);
+  });
+
+  it('keys resume files by their content rather than their name', async () => {
+    const file = { bytes: new TextEncoder().encode('%PDF resume'), filename: 'cv.pdf', mimeType: 'application/pdf' };
+    const key = await buildCacheKey({}, file);
+
+    assert.equal(await buildCacheKey({}, { ...file, filename: 'resume-final.pdf' }), key);
+    assert.notEqual(await buildCacheKey({}, { ...file, bytes: new TextEncoder().encode('%PDF other') }), key);
+    assert.notEqual(await buildCacheKey({ resume_text: '%PDF resume' }), key);
+  });
+});
+
+describe('normalizeFilters', () => {
+  it('returns every backend filter as a string', () => {
+    assert.deepEqual(normalizeFilters({ keywords: '  react   native ', page: 3, ignored: 'x' }), {
+      user_experience: '',
+      keywords: 'react native',
+      location: '',
+      start_date: '',
+      end_date: '',
+      page: '3',
+      sort_by: 'similarity'
+    });
+  });
+});
+
+describe('ResponseCache', () => {
+  it('returns copies of cached responses', async () => {
+    const cache = new ResponseCache(10, 60000);
+    await cache.set('key', { matches: [{ job_title: 'Engineer' }] });
+
+    const cached = await cache.get('key');
+    cached.matches.push({ job_title: 'Changed' });
+
+    assert.deepEqual(await cache.get('key'), { matches: [{ job_title: 'Engineer' }] });
+  });
+
+  it('evicts the least recently used response once full', async () => {
+    const cache = new ResponseCache(2, 60000);
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('c'), 3);
+  });
+
+  it('drops expired responses and caches nothing with a TTL of 0', async () => {
+    const cache = new ResponseCache(10, 60000);
+    await cache.set('key', 1);
+    cache.entries.get('key').expiresAt = Date.now() - 1;
+
+    assert.equal(await cache.get('key'), null);
+
+    cache.setTtl(0);
+    await cache.set('key', 1);
+    assert.equal(await cache.get('key'), null);
+  });
+});
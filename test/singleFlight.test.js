@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SingleFlight } from '../singleFlight.js';
+
+/**
+ * Request that stays in flight until answer() or fail() is called
+ */
+function pendingRequest() {
+  const request = signal => {
+    request.calls++;
+    request.signal = signal;
+    return new Promise((resolve, reject) => {
+      request.answer = resolve;
+      request.fail = reject;
+    });
+  };
+  request.calls = 0;
+  return request;
+}
+
+describe('SingleFlight', () => {
+  it('shares one request between identical callers', async () => {
+    const flights = new SingleFlight();
+    const request = pendingRequest();
+
+    const first = flights.run('key', request);
+    const second = flights.run('key', request);
+    await Promise.resolve();
+    request.answer({ matches: [{ job_title: 'Engineer' }] });
+
+    const [firstResult, secondResult] = await Promise.all([first, second]);
+    assert.equal(request.calls, 1);
+    assert.deepEqual(firstResult, secondResult);
+    assert.notEqual(firstResult, secondResult); // Each caller gets its own copy
+    assert.equal(flights.size(), 0);
+  });
+
+  it('does not share requests with different keys', async () => {
+    const flights = new SingleFlight();
+
+    const results = await Promise.all([
+      flights.run('a', async () => 'a'),
+      flights.run('b', async () => 'b')
+    ]);
+
+    assert.deepEqual(results, ['a', 'b']);
+  });
+
+  it('passes a failure to every caller and starts over afterwards', async () => {
+    const flights = new SingleFlight();
+    const request = pendingRequest();
+
+    const callers = [flights.run('key', request), flights.run('key', request)];
+    await Promise.resolve();
+    request.fail(new Error('backend down'));
+
+    for (const caller of callers) {
+      await assert.rejects(caller, /backend down/);
+    }
+    assert.equal(await flights.run('key', async () => 'retried'), 'retried');
+  });
+
+  it('keeps the request running while another caller still waits', async () => {
+    const flights = new SingleFlight();
+    const request = pendingRequest();
+    const controller = new AbortController();
+
+    const cancelled = flights.run('key', request, controller.signal);
+    const waiting = flights.run('key', request);
+    await Promise.resolve();
+    controller.abort(new Error('cancelled'));
+
+    await assert.rejects(cancelled, /cancelled/);
+    assert.equal(request.signal.aborted, false);
+
+    request.answer('done');
+    assert.equal(await waiting, 'done');
+  });
+
+  it('aborts the request once every caller has gone', async () => {
+    const flights = new SingleFlight();
+    const request = pendingRequest();
+    const controller = new AbortController();
+
+    const cancelled = flights.run('key', request, controller.signal);
+    await Promise.resolve();
+    controller.abort(new Error('cancelled'));
+
+    await assert.rejects(cancelled, /cancelled/);
+    assert.equal(request.signal.aborted, true);
+    assert.equal(flights.size(), 0);
+  });
+});
@@ -0,0 +1,706 @@
+/**
+ * Tool handler registry for MCP Job Matcher Server
+ * One handler per tool, shared by the stdio server (index.js), the Express
+ * server (start-http.js) and the Cloudflare Worker (src/worker.js).
+ *
+ * Handlers receive (args, context). Each transport builds the context:
+ *   - sessionId: rate limit session identifier
+ *   - resultScope: OPTIONAL scope of the result sets the call saves (see resultIdScope())
+ *   - rateLimiter: object with checkLimit(sessionId)
+ *   - rateLimit: OPTIONAL result of a rate limit check the transport already made
+ *   - callBackendAPI(args, resumeFile, { signal }): calls the job matching backend once,
+ *     aborting when signal is aborted (cancellation or timeout)
+ *   - retryPolicy: OPTIONAL overrides of DEFAULT_RETRY_POLICY for backend retries
+ *   - requestTimeout: OPTIONAL time limit of the whole tool call in ms; the
+ *     remaining time bounds every backend attempt and retry
+ *   - deadline: OPTIONAL epoch ms of the time limit, instead of requestTimeout
+ *   - responseCache: OPTIONAL cache of backend responses with async get(key) and
+ *     set(key, value) (see responseCache.js)
+ *   - saveExportFile(filename, content): OPTIONAL, writes an export and returns its path
+ *   - signal: OPTIONAL AbortSignal, aborted when the client cancels the request
+ *   - reportProgress(progress, total, message): OPTIONAL, sends a progress
+ *     notification when the client asked for progress
+ *   - log(level, data): OPTIONAL, sends a log message to the client (see mcpLogger.js)
+ */
+
+import { validateToolParameters } from './tools.js';
+import { validateInputs, validateResumeFile } from './validator.js';
+import { resultStore } from './resultStore.js';
+import { savedSearchStore } from './savedSearchStore.js';
+import { applicationTracker } from './applicationTracker.js';
+import { exportResults } from './exporter.js';
+import { callWithRetry } from './backendResilience.js';
+import { buildCacheKey } from './responseCache.js';
+import { JsonRpcError, JSON_RPC_ERROR_CODES } from './jsonRpcError.js';
+import {
+  formatMarkdownResponse,
+  formatTableOnlyMarkdownResponse,
+  formatStructuredJobData,
+  formatExplainMatchResponse,
+  formatSkillGapReportResponse,
+  formatSaveSearchResponse,
+  formatSavedSearchDiffResponse,
+  formatTrackApplicationResponse,
+  formatPipelineResponse,
+  formatCompareResumesResponse,
+  formatExportResponse,
+  formatRateLimitError,
+  formatValidationError,
+  formatError,
+  generateJobId,
+  decodePageCursor,
+  JOBS_PER_PAGE
+} from './markdownFormatter.js';
+
+// Progress of a backend search: 0 upload, 1 matching, 2 formatting
+const SEARCH_PROGRESS_TOTAL = 3;
+
+// Interval of progress updates while the backend matches (a cold start takes up to 30 s)
+const MATCHING_PROGRESS_INTERVAL_MS = 5000;
+
+/**
+ * Handle match_resume tool call
+ */
+async function handleMatchResume(args, context) {
+  const rateLimitResult = applyRateLimit(context);
+  if (!rateLimitResult.allowed) {
+    return errorResult(formatRateLimitError(rateLimitResult));
+  }
+
+  const searchInput = await validateSearchInput(args);
+  if (!searchInput.valid) {
+    return rejectInput(context, searchInput.errors);
+  }
+
+  // Call backend API
+  const [backendResponse] = await searchBackend(context, [[args, searchInput.file]]);
+
+  // Store the full result set and format page 1 as Markdown artifact
+  const resultId = resultStore.save(backendResponse, { view: 'full', args, scope: context.resultScope });
+  const markdownResponse = formatMarkdownResponse(backendResponse, rateLimitResult.remaining, { resultId });
+  const structuredContent = formatStructuredJobData(backendResponse, rateLimitResult.remaining, { resultId });
+
+  return jobResultsResult(markdownResponse, structuredContent, args.output_format);
+}
+
+/**
+ * Handle match_jobs_to_apply tool call - returns only the job index table
+ */
+async function handleMatchJobsToApply(args, context) {
+  const rateLimitResult = applyRateLimit(context);
+  if (!rateLimitResult.allowed) {
+    return errorResult(formatRateLimitError(rateLimitResult));
+  }
+
+  const searchInput = await validateSearchInput(args);
+  if (!searchInput.valid) {
+    return rejectInput(context, searchInput.errors);
+  }
+
+  // Call backend API (same backend call as match_resume)
+  const [backendResponse] = await searchBackend(context, [[args, searchInput.file]]);
+
+  // Store the full result set and format page 1 as table-only Markdown artifact
+  const resultId = resultStore.save(backendResponse, { view: 'table', args, scope: context.resultScope });
+  const markdownResponse = formatTableOnlyMarkdownResponse(backendResponse, rateLimitResult.remaining, { resultId });
+  const structuredContent = formatStructuredJobData(backendResponse, rateLimitResult.remaining, { resultId });
+
+  return jobResultsResult(markdownResponse, structuredContent, args.output_format);
+}
+
+/**
+ * Handle get_more_jobs tool call - serves another page of a stored result set
+ * without calling the backend or using rate limit quota
+ */
+async function handleGetMoreJobs(args, context) {
+  const resultSet = resultStore.get(args.result_id);
+  if (!resultSet) {
+    return rejectInput(context, [resultSetNotFoundMessage(args.result_id)]);
+  }
+
+  // Resolve requested page from cursor, page number, or default to page 2
+  const page = args.cursor ? decodePageCursor(args.cursor) : parseInt(args.page || 2);
+  const { matches = [] } = resultSet.data;
+  const totalPages = Math.max(1, Math.ceil(matches.length / JOBS_PER_PAGE));
+
+  if (!page || page < 1 || page > totalPages) {
+    return rejectInput(context, [
+      args.cursor
+        ? 'Cursor is invalid. Use next_cursor from the previous response.'
+        : `Page ${args.page || page} is out of range. This result set has ${totalPages} page${totalPages === 1 ? '' : 's'}.`
+    ]);
+  }
+
+  const pagination = { resultId: args.result_id, page };
+  const markdownResponse = resultSet.view === 'table'
+    ? formatTableOnlyMarkdownResponse(resultSet.data, null, pagination)
+    : formatMarkdownResponse(resultSet.data, null, pagination);
+  const structuredContent = formatStructuredJobData(resultSet.data, null, pagination);
+
+  return jobResultsResult(markdownResponse, structuredContent, args.output_format || resultSet.args.output_format);
+}
+
+/**
+ * Handle explain_match tool call - compares one job of a stored result set
+ * against the resume used for that search
+ */
+async function handleExplainMatch(args, context) {
+  const resultSet = resultStore.get(args.result_id);
+  if (!resultSet) {
+    return rejectInput(context, [resultSetNotFoundMessage(args.result_id)]);
+  }
+
+  const jobNumber = parseInt(args.job_number);
+  const { matches = [] } = resultSet.data;
+
+  if (!jobNumber || jobNumber < 1 || jobNumber > matches.length) {
+    return rejectInput(context, [jobNumberOutOfRangeMessage(args.job_number, matches.length)]);
+  }
+
+  return textResult(formatExplainMatchResponse(resultSet.data, jobNumber, {
+    resumeText: resultSet.args.resume_text,
+    userExperience: resultSet.args.user_experience,
+    preferredLocations: resultSet.args.location
+  }));
+}
+
+/**
+ * Handle skill_gap_report tool call - ranks the required skills of every job
+ * in a stored result set against the resume used for that search
+ */
+async function handleSkillGapReport(args, context) {
+  const resultSet = resultStore.get(args.result_id);
+  if (!resultSet) {
+    return rejectInput(context, [resultSetNotFoundMessage(args.result_id)]);
+  }
+
+  return textResult(formatSkillGapReportResponse(resultSet.data, {
+    resumeText: resultSet.args.resume_text
+  }, args.limit ? parseInt(args.limit) : undefined));
+}
+
+/**
+ * Handle save_search tool call - stores a named search, optionally reusing
+ * the parameters and results of a stored result set as its baseline
+ */
+async function handleSaveSearch(args, context) {
+  const { name, result_id, ...overrides } = args;
+  let search = overrides;
+  let snapshot = null;
+
+  // Reuse the parameters and results of a previous search when given
+  if (result_id) {
+    const resultSet = resultStore.get(result_id);
+    if (!resultSet) {
+      return rejectInput(context, [resultSetNotFoundMessage(result_id)]);
+    }
+
+    // Explicit resume parameters replace the stored ones
+    const { resume_text, resume_file, ...storedFilters } = resultSet.args;
+    const storedResume = overrides.resume_text || overrides.resume_file ? {} : { resume_text, resume_file };
+    search = { ...storedFilters, ...storedResume, ...overrides };
+
+    // Result sets only keep the name of uploaded files
+    if (search.resume_file && !search.resume_file.data) {
+      return rejectInput(context, [
+        `The search "${result_id}" used the uploaded file "${search.resume_file.filename}". Please attach it again as resume_file to save this search.`
+      ]);
+    }
+
+    snapshot = { ...savedSearchStore.takeSnapshot(resultSet.data), takenAt: resultSet.createdAt };
+  }
+
+  // Validate the search the same way match_resume would
+  const searchInput = await validateSearchInput(search);
+  if (!searchInput.valid) {
+    return rejectInput(context, searchInput.errors);
+  }
+
+  const savedSearch = await savedSearchStore.save(name, search, snapshot);
+  return textResult(formatSaveSearchResponse(savedSearch));
+}
+
+/**
+ * Handle run_saved_search tool call - re-runs a saved search and reports
+ * postings that are new or dropped out since its last run
+ */
+async function handleRunSavedSearch(args, context) {
+  const savedSearch = await savedSearchStore.get(args.name);
+  if (!savedSearch) {
+    const available = await savedSearchStore.list();
+    return rejectInput(context, [
+      `No saved search named "${args.name}". ${available.length > 0 ? `Saved searches: ${available.join(', ')}` : 'Use save_search to save one first.'}`
+    ]);
+  }
+
+  const rateLimitResult = applyRateLimit(context);
+  if (!rateLimitResult.allowed) {
+    return errorResult(formatRateLimitError(rateLimitResult));
+  }
+
+  // Decode the saved resume file (validated when the search was saved)
+  const fileValidation = savedSearch.search.resume_file
+    ? await validateResumeFile(savedSearch.search.resume_file)
+    : { valid: true, errors: [], file: null };
+  if (!fileValidation.valid) {
+    return rejectInput(context, fileValidation.errors);
+  }
+
+  // Call backend API with the saved parameters
+  const [backendResponse] = await searchBackend(context, [[savedSearch.search, fileValidation.file]]);
+
+  // Store the full result set and diff it against the previous run
+  const resultId = resultStore.save(backendResponse, { view: 'table', args: savedSearch.search, scope: context.resultScope });
+  const previousSnapshot = await savedSearchStore.recordRun(savedSearch.name, savedSearchStore.takeSnapshot(backendResponse));
+
+  return textResult(formatSavedSearchDiffResponse(backendResponse, {
+    name: savedSearch.name,
+    previousSnapshot
+  }, rateLimitResult.remaining, { resultId }));
+}
+
+/**
+ * Handle track_application tool call - sets the status of a job from a
+ * stored result set or of an already tracked job
+ */
+async function handleTrackApplication(args, context) {
+  let jobId = args.job_id;
+  let job = null;
+
+  if (jobId) {
+    if (!(await applicationTracker.get(jobId))) {
+      return rejectInput(context, [
+        `Job ID "${jobId}" is not tracked yet. To track a job from a search, pass result_id and job_number instead.`
+      ]);
+    }
+  } else {
+    const resultSet = resultStore.get(args.result_id);
+    if (!resultSet) {
+      return rejectInput(context, [resultSetNotFoundMessage(args.result_id)]);
+    }
+
+    const jobNumber = parseInt(args.job_number);
+    const { matches = [] } = resultSet.data;
+
+    if (!jobNumber || jobNumber < 1 || jobNumber > matches.length) {
+      return rejectInput(context, [jobNumberOutOfRangeMessage(args.job_number, matches.length)]);
+    }
+
+    const match = matches[jobNumber - 1];
+    job = {
+      title: match.job_title,
+      company: match.company_name,
+      location: match.location,
+      url: match.job_link
+    };
+
+    // The same posting found by another search keeps its existing entry
+    const existing = await applicationTracker.findByUrl(match.job_link);
+    jobId = existing ? existing.jobId : generateJobId(match);
+  }
+
+  const { entry, previousStatus } = await applicationTracker.track(jobId, {
+    status: args.status,
+    note: args.note,
+    job
+  });
+
+  return textResult(formatTrackApplicationResponse(entry, previousStatus));
+}
+
+/**
+ * Handle show_pipeline tool call - renders all tracked applications
+ */
+async function handleShowPipeline(args) {
+  const entries = await applicationTracker.list();
+  return textResult(formatPipelineResponse(entries, args.status || null));
+}
+
+/**
+ * Handle compare_resumes tool call - runs the same search for two resume
+ * variants, charged as one request against the rate limit
+ */
+async function handleCompareResumes(args, context) {
+  // Apply rate limiting once - both backend calls are one logical operation
+  const rateLimitResult = applyRateLimit(context);
+  if (!rateLimitResult.allowed) {
+    return errorResult(formatRateLimitError(rateLimitResult));
+  }
+
+  const { resume_text_a, resume_text_b, label_a, label_b, ...filters } = args;
+  const labelA = label_a || 'Resume A';
+  const labelB = label_b || 'Resume B';
+  const argsA = { ...filters, resume_text: resume_text_a };
+  const argsB = { ...filters, resume_text: resume_text_b };
+
+  // Validate both variants, reporting shared filter errors only once
+  const errorsA = validateInputs(argsA).errors;
+  const errorsB = validateInputs(argsB).errors;
+  const errors = [
+    ...errorsA.map(error => errorsB.includes(error) ? error : `${labelA}: ${error}`),
+    ...errorsB.filter(error => !errorsA.includes(error)).map(error => `${labelB}: ${error}`)
+  ];
+  if (errors.length > 0) {
+    return rejectInput(context, errors);
+  }
+
+  // Call backend API for both variants
+  const [backendResponseA, backendResponseB] = await searchBackend(context, [
+    [argsA, null],
+    [argsB, null]
+  ]);
+
+  // Store both result sets so each variant can be paged and explained
+  const resultIdA = resultStore.save(backendResponseA, { view: 'table', args: argsA, scope: context.resultScope });
+  const resultIdB = resultStore.save(backendResponseB, { view: 'table', args: argsB, scope: context.resultScope });
+
+  return textResult(formatCompareResumesResponse(
+    backendResponseA,
+    backendResponseB,
+    { labelA, labelB },
+    rateLimitResult.remaining,
+    { resultIdA, resultIdB }
+  ));
+}
+
+/**
+ * Handle export_results tool call - exports every job of a stored result set
+ * as CSV or JSON Lines
+ */
+async function handleExportResults(args, context) {
+  const resultSet = resultStore.get(args.result_id);
+  if (!resultSet) {
+    return rejectInput(context, [resultSetNotFoundMessage(args.result_id)]);
+  }
+
+  const format = args.format || 'csv';
+  const exported = exportResults(resultSet.data, format, args.result_id);
+
+  // Save to the export directory when the transport supports it, otherwise embed the file
+  if (context.saveExportFile) {
+    const filePath = await context.saveExportFile(exported.filename, exported.content);
+    return textResult(formatExportResponse(exported, { resultId: args.result_id, format, filePath }));
+  }
+
+  const resourceUri = `jobs://results/${args.result_id}/export.${format}`;
+
+  return {
+    content: [{
+      type: 'text',
+      text: formatExportResponse(exported, { resultId: args.result_id, format, resourceUri })
+    }, {
+      type: 'resource',
+      resource: {
+        uri: resourceUri,
+        mimeType: exported.mimeType,
+        text: exported.content
+      }
+    }]
+  };
+}
+
+/**
+ * Registered tools: name -> { handler, usesRateLimit }
+ * Every tool in tools.js must be registered here
+ */
+export const toolRegistry = {
+  match_resume: { handler: handleMatchResume, usesRateLimit: true },
+  match_jobs_to_apply: { handler: handleMatchJobsToApply, usesRateLimit: true },
+  get_more_jobs: { handler: handleGetMoreJobs, usesRateLimit: false },
+  explain_match: { handler: handleExplainMatch, usesRateLimit: false },
+  skill_gap_report: { handler: handleSkillGapReport, usesRateLimit: false },
+  save_search: { handler: handleSaveSearch, usesRateLimit: false },
+  run_saved_search: { handler: handleRunSavedSearch, usesRateLimit: true },
+  track_application: { handler: handleTrackApplication, usesRateLimit: false },
+  show_pipeline: { handler: handleShowPipeline, usesRateLimit: false },
+  compare_resumes: { handler: handleCompareResumes, usesRateLimit: true },
+  export_results: { handler: handleExportResults, usesRateLimit: false }
+};
+
+/**
+ * Validate and run a tool call
+ * Tool failures (backend errors, rejected resumes, ...) are returned as results
+ * with isError; calls that do not fit the tool schema are protocol errors
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Transport context (see top of file)
+ * @returns {Promise<Object>} - MCP tool result
+ * @throws {JsonRpcError} - Invalid params (-32602) for unknown tools or invalid arguments
+ */
+export async function dispatchToolCall(name, args = {}, context = {}) {
+  const tool = toolRegistry[name];
+  if (!tool) {
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`, {
+      tool: name,
+      availableTools: Object.keys(toolRegistry)
+    });
+  }
+
+  // Handlers record on their own copy whether they used rate limit quota
+  // The deadline starts when the call arrives, so time spent before the backend call counts
+  const callContext = {
+    ...context,
+    toolName: name,
+    rateLimitCharged: false,
+    deadline: context.deadline ?? (context.requestTimeout ? Date.now() + context.requestTimeout : null)
+  };
+
+  // Schema validation from tools.js
+  const validation = validateToolParameters(name, args || {});
+  if (!validation.valid) {
+    logEvent(callContext, 'warning', 'Tool arguments do not match the tool schema', { errors: validation.errors });
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Invalid arguments for tool ${name}`, {
+      tool: name,
+      errors: validation.errors
+    });
+  }
+
+  try {
+    return await tool.handler(args || {}, callContext);
+  } catch (error) {
+    if (callContext.signal?.aborted) {
+      console.error(`Tool ${name} cancelled: ${callContext.signal.reason}`);
+      logEvent(callContext, 'info', 'Tool call cancelled', { reason: String(callContext.signal.reason) });
+    } else {
+      console.error(`Tool ${name} error:`, error);
+      logEvent(callContext, 'error', 'Tool call failed', { error: error.message });
+    }
+    return errorResult(formatError(error));
+  } finally {
+    // A cancelled call does not use up rate limit quota
+    if (callContext.signal?.aborted) {
+      refundRateLimit(callContext);
+    }
+  }
+}
+
+/**
+ * Use the transport's rate limit check if it made one, otherwise check now
+ */
+function applyRateLimit(context) {
+  const rateLimitResult = context.rateLimit || context.rateLimiter.checkLimit(context.sessionId);
+  context.rateLimitCharged = rateLimitResult.allowed;
+  context.rateLimitResult = rateLimitResult;
+
+  if (rateLimitResult.allowed) {
+    logEvent(context, 'debug', 'Rate limit check passed', {
+      remaining: rateLimitResult.remaining,
+      limit: rateLimitResult.limit
+    });
+  } else {
+    logEvent(context, 'warning', 'Rate limit exceeded', {
+      limit: rateLimitResult.limit,
+      resetTime: new Date(rateLimitResult.resetTime).toISOString()
+    });
+  }
+
+  return rateLimitResult;
+}
+
+/**
+ * Run backend searches, serving repeated ones from the response cache
+ * When every search is cached, the rate limit quota of the call is given back
+ * @param {Object} context - Transport context
+ * @param {Array} searches - [args, resumeFile] per search
+ * @returns {Promise<Array>} - Backend responses in the same order
+ */
+async function searchBackend(context, searches) {
+  if (!context.responseCache) {
+    return await callBackendSearches(context, searches);
+  }
+
+  const cacheKeys = await Promise.all(searches.map(([searchArgs, resumeFile]) => buildCacheKey(searchArgs, resumeFile)));
+  const responses = await Promise.all(cacheKeys.map(key => context.responseCache.get(key)));
+  const missingIndexes = responses.flatMap((response, index) => (response ? [] : [index]));
+
+  if (missingIndexes.length === 0) {
+    logEvent(context, 'info', 'Served from the response cache', { searches: searches.length });
+    refundRateLimit(context);
+    context.reportProgress?.(2, SEARCH_PROGRESS_TOTAL, 'Formatting results');
+    return responses;
+  }
+
+  const backendResponses = await callBackendSearches(context, missingIndexes.map(index => searches[index]));
+  await Promise.all(missingIndexes.map((searchIndex, responseIndex) => {
+    responses[searchIndex] = backendResponses[responseIndex];
+    return context.responseCache.set(cacheKeys[searchIndex], backendResponses[responseIndex]);
+  }));
+
+  return responses;
+}
+
+/**
+ * Give back the rate limit quota of a call that did not reach the backend
+ */
+function refundRateLimit(context) {
+  if (!context.rateLimitCharged) {
+    return;
+  }
+
+  context.rateLimiter.refund(context.sessionId);
+  context.rateLimitCharged = false;
+  if (context.rateLimitResult) {
+    context.rateLimitResult.remaining++;
+  }
+}
+
+/**
+ * Run backend searches in parallel through the transport
+ * Passes the cancellation signal and reports the upload, matching and
+ * formatting stages to clients that asked for progress
+ * @param {Object} context - Transport context
+ * @param {Array} searches - [args, resumeFile] per search
+ * @returns {Promise<Array>} - Backend responses in the same order
+ */
+async function callBackendSearches(context, searches) {
+  const reportProgress = context.reportProgress || (() => {});
+  const startedAt = Date.now();
+
+  reportProgress(0, SEARCH_PROGRESS_TOTAL, searches.length > 1 ? `Uploading ${searches.length} resumes` : 'Uploading resume');
+  logEvent(context, 'info', 'Calling the matching backend', {
+    searches: searches.map(([searchArgs, resumeFile]) => ({
+      resume: resumeFile ? `file ${resumeFile.filename}` : `text (${(searchArgs.resume_text || '').length} characters)`,
+      filters: Object.keys(searchArgs).filter(key => !['resume_text', 'resume_file', 'output_format'].includes(key) && searchArgs[key])
+    }))
+  });
+  const responses = Promise.all(searches.map(([searchArgs, resumeFile]) =>
+    callWithRetry(attemptSignal => context.callBackendAPI(searchArgs, resumeFile, { signal: attemptSignal }), {
+      signal: context.signal,
+      deadline: context.deadline,
+      retryPolicy: context.retryPolicy,
+      onRetry: ({ attempt, delayMs, error }) => {
+        logEvent(context, 'warning', 'Retrying the backend call', {
+          attempt,
+          delayMs,
+          status: error.status || null,
+          error: error.message
+        });
+      },
+      onCircuitOpen: ({ retryAt }) => {
+        console.error(`Backend circuit breaker opened until ${retryAt.toISOString()}`);
+        logEvent(context, 'error', 'Backend circuit breaker opened', { retryAt: retryAt.toISOString() });
+      }
+    })
+  ));
+
+  reportProgress(1, SEARCH_PROGRESS_TOTAL, 'Matching jobs');
+
+  // Keep the client informed while the backend works; progress approaches 2 without reaching it
+  const heartbeat = setInterval(() => {
+    const elapsedMs = Date.now() - startedAt;
+    const progress = 1 + Math.round(100 * elapsedMs / (elapsedMs + 30000)) / 100;
+    reportProgress(progress, SEARCH_PROGRESS_TOTAL, `Matching jobs (${Math.round(elapsedMs / 1000)} s)`);
+  }, MATCHING_PROGRESS_INTERVAL_MS);
+
+  try {
+    const backendResponses = await responses;
+    logEvent(context, 'info', 'Backend search completed', {
+      durationMs: Date.now() - startedAt,
+      matches: backendResponses.map(response => (response.matches || []).length)
+    });
+    reportProgress(2, SEARCH_PROGRESS_TOTAL, 'Formatting results');
+    return backendResponses;
+  } catch (error) {
+    if (!context.signal?.aborted) {
+      logEvent(context, 'error', 'Backend call failed', {
+        durationMs: Date.now() - startedAt,
+        status: error.status || null,
+        error: error.message,
+        ...(error.data !== undefined && { details: error.data })
+      });
+    }
+    throw error;
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Validate search inputs and decode an uploaded resume file
+ * @returns {Promise<Object>} - { valid, errors, file }
+ */
+async function validateSearchInput(args) {
+  const validation = validateInputs(args);
+  if (!validation.valid) {
+    return { valid: false, errors: validation.errors, file: null };
+  }
+
+  // Decode and type-check an uploaded resume file
+  if (args.resume_file) {
+    return await validateResumeFile(args.resume_file);
+  }
+
+  return { valid: true, errors: [], file: null };
+}
+
+/**
+ * Build the result of a tool that returns job data: the Markdown artifact
+ * and/or JSON text depending on output_format, with the normalized job data
+ * always attached as structuredContent (see outputSchema in tools.js).
+ * Error results set isError instead so clients skip outputSchema validation.
+ */
+function jobResultsResult(markdownResponse, structuredContent, outputFormat = 'markdown') {
+  const content = [];
+
+  if (outputFormat !== 'json') {
+    content.push({
+      type: 'text',
+      text: markdownResponse
+    });
+  }
+
+  if (outputFormat === 'json' || outputFormat === 'both') {
+    content.push({
+      type: 'text',
+      text: JSON.stringify(structuredContent, null, 2)
+    });
+  }
+
+  return {
+    content,
+    structuredContent
+  };
+}
+
+function textResult(text) {
+  return {
+    content: [{
+      type: 'text',
+      text
+    }]
+  };
+}
+
+function errorResult(text) {
+  return {
+    ...textResult(text),
+    isError: true
+  };
+}
+
+/**
+ * Reject invalid tool input with the validation error artifact, flagged as a tool error
+ * @param {Object} context - Tool context
+ * @param {Array} errors - Error messages
+ */
+function rejectInput(context, errors) {
+  logEvent(context, 'warning', 'Tool input rejected', { errors });
+  return errorResult(formatValidationError(errors));
+}
+
+/**
+ * Send a diagnostic to the client through the transport's logger
+ */
+function logEvent(context, level, message, details = {}) {
+  if (context.log) {
+    context.log(level, { message, tool: context.toolName, ...details });
+  }
+}
+
+function resultSetNotFoundMessage(resultId) {
+  return `Result set "${resultId}" was not found or has expired. Please run the search again.`;
+}
+
+function jobNumberOutOfRangeMessage(jobNumber, total) {
+  return `Job number ${jobNumber} is out of range. This result set has ${total} job${total === 1 ? '' : 's'}.`;
+}
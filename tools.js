@@ -8,20 +8,106 @@
         },the Job Matcher MCP Server
  */
 
+// Output schema of the normalized job data returned as structuredContent
+// (transformJobData + paginateJobData in markdownFormatter.js)
+const JOB_RESULTS_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    jobs: {
+      type: 'array',
+      description: 'Jobs on the current page',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          company: { type: 'string' },
+          location: { type: 'string' },
+          locations: {},
+          workLocation: {},
+          officeLocations: {},
+          remoteFriendly: { type: ['boolean', 'null'] },
+          locationType: { type: ['string', 'null'] },
+          geographicRegion: { type: ['string', 'null'] },
+          match: { type: 'integer', description: 'Match score in percent' },
+          url: { type: 'string' },
+          posted: { type: 'string' },
+          firstPublishedAt: { type: 'string' },
+          publishedDate: { type: ['string', 'null'] },
+          experience: { type: 'string' },
+          minExperienceYears: { type: ['number', 'null'] },
+          experienceDetails: { type: 'string' },
+          salary: { type: 'string' },
+          jobType: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['id', 'title', 'company', 'location', 'match', 'url']
+      }
+    },
+    meta: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        hasMore: { type: 'boolean' },
+        skills: { type: 'array', items: { type: 'string' } },
+        experience: {},
+        quota: { type: ['integer', 'null'] },
+        keywords: {},
+        backend: { type: ['string', 'null'] }
+      }
+    },
+    processing: {
+      type: ['object', 'null'],
+      properties: {
+        filename: { type: 'string' },
+        method: { type: 'string' },
+        enhanced: { type: 'boolean' },
+        originalLength: { type: 'integer' },
+        enhancedLength: { type: 'integer' }
+      }
+    },
+    pagination: {
+      type: 'object',
+      properties: {
+        resultId: { type: ['string', 'null'] },
+        page: { type: 'integer' },
+        pageSize: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        totalJobs: { type: 'integer' },
+        startIndex: { type: 'integer' },
+        endIndex: { type: 'integer' },
+        hasNextPage: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'] }
+      },
+      required: ['resultId', 'page', 'totalPages', 'totalJobs', 'hasNextPage']
+    }
+  },
+  required: ['jobs', 'meta', 'pagination']
+};
+
+// Shared output_format parameter of the tools that return job data
+const OUTPUT_FORMAT_PARAMETER = {
+  type: 'string',
+  description: 'Response format (OPTIONAL - defaults to markdown, Claude should NOT change it unless the user explicitly asks for raw JSON data). "markdown" returns the Markdown artifact, "json" returns the normalized job data as JSON text, "both" returns the artifact followed by the JSON. The job data is always attached as structuredContent for clients that read it.',
+  title: 'Output Format',
+  enum: ['markdown', 'json', 'both'],
+  default: 'markdown'
+};
+
 export const tools = {
   match_resume: {
     name: 'match_resume',
-    description: 'ARTIFACT-ONLY TOOL: Find matching job opportunities and ALWAYS render results as Markdown artifact without additional commentary. PAGINATION INSTRUCTIONS: Claude must implement CLIENT-SIDE PAGINATION - show only the FIRST 15 jobs from the full response initially, then add CLIENT-SIDE text before jobs saying "Showing jobs 1-15 of [total] total matches. Type \"more jobs\" or \"next page\" to see additional opportunities." Show additional jobs only when user explicitly asks for "more jobs", "next page", "page 2", etc. USE THIS TOOL when user asks to "match jobs", "find jobs", "search jobs", or similar job matching requests WITHOUT mentioning applying. FULL RESUME FORMATTING: Claude should format the complete resume text with total experience at start, removing only special characters and contact info while preserving ALL content for better matching. LOCATION FILTERING: If user specified location constraints, Claude MUST apply client-side filtering to remove jobs that do not match the specified locations. NEVER include remote jobs unless user explicitly requested remote work. Claude must create artifact directly using the returned content and suppress all text responses. CRITICAL: This tool requires immediate artifact creation - no summaries, no explanations, just render the Markdown document with full job descriptions.',
+    description: 'ARTIFACT-ONLY TOOL: Find matching job opportunities and ALWAYS render results as Markdown artifact without additional commentary. PAGINATION: The server returns ONE page of 15 jobs and stores the full result set under a result_id (see metadata.pagination). When user asks for "more jobs", "next page", "page 2", etc., call get_more_jobs with that result_id instead of calling this tool again. USE THIS TOOL when user asks to "match jobs", "find jobs", "search jobs", or similar job matching requests WITHOUT mentioning applying. FULL RESUME FORMATTING: Claude should format the complete resume text with total experience at start, removing only special characters and contact info while preserving ALL content for better matching. RESUME FILES: If the user attaches a PDF, DOCX, DOC or TXT resume, pass it as resume_file (base64 + filename) INSTEAD of resume_text. LOCATION FILTERING: If user specified location constraints, Claude MUST apply client-side filtering to remove jobs that do not match the specified locations. NEVER include remote jobs unless user explicitly requested remote work. Claude must create artifact directly using the returned content and suppress all text responses. CRITICAL: This tool requires immediate artifact creation - no summaries, no explanations, just render the Markdown document with full job descriptions.',
     
     // MANDATORY PAGINATION BEHAVIOR - CLAUDE MUST FOLLOW
     PAGINATION_INSTRUCTIONS: {
-      CRITICAL_RULE: "ALWAYS IMPLEMENT CLIENT-SIDE PAGINATION",
-      INITIAL_DISPLAY: "Show ONLY the first 15 jobs from the full response",
-      TOTAL_JOBS_DISPLAY: "Display total number of jobs and calculate total pages (total ÷ 15)",
-      CLIENT_SIDE_PAGE_INFO: "Generate client-side text BEFORE the jobs content: 'Showing jobs 1-15 of [total] total matches. Type \"more jobs\" or \"next page\" to see additional opportunities.'",
-      NEXT_PAGE_TRIGGER: "Show more jobs ONLY when user asks for 'more', 'next page', 'page 2', etc.",
-      DO_NOT: "NEVER show all jobs at once - always paginate to 15 jobs per page",
-      CLIENT_SIDE_TEXT_REQUIRED: "Claude must add pagination text before job content, not in backend data"
+      CRITICAL_RULE: "PAGINATION IS HANDLED BY THE SERVER",
+      INITIAL_DISPLAY: "Render the returned page as-is - it already contains at most 15 jobs and the page info",
+      RESULT_ID: "metadata.pagination.result_id identifies the stored result set",
+      NEXT_PAGE_TRIGGER: "When user asks for 'more', 'next page', 'page 2', etc., call get_more_jobs with result_id and page (or next_cursor)",
+      DO_NOT: "NEVER call match_resume again just to see more jobs from the same search"
     },
     inputSchema: {
       type: 'object',
@@ -33,6 +119,25 @@ export const tools = {
           minLength: 500,
           maxLength: 15000
         },
+        resume_file: {
+          type: 'object',
+          description: 'Original resume document as base64 (OPTIONAL - use INSTEAD of resume_text when the user attaches a PDF, DOCX, DOC or TXT resume file). The backend parses the document itself, so do NOT also send resume_text. The real file type is detected from the file content. Maximum size 10MB.',
+          title: 'Resume File (PDF/DOCX/DOC/TXT)',
+          properties: {
+            data: {
+              type: 'string',
+              description: 'Base64-encoded file content (a data: URL prefix is accepted)',
+              contentEncoding: 'base64'
+            },
+            filename: {
+              type: 'string',
+              description: 'Original file name including extension',
+              examples: ['resume.pdf', 'Jane_Doe_CV.docx']
+            }
+          },
+          required: ['data', 'filename'],
+          additionalProperties: false
+        },
         user_experience: {
           type: 'string',
           description: 'Years of experience (OPTIONAL - only use if explicitly mentioned by user, otherwise auto-extracted from resume)',
@@ -71,11 +176,19 @@ export const tools = {
           title: 'Sort Order',
           enum: ['similarity', 'date'],
           default: 'similarity'
-        }
+        },
+        output_format: OUTPUT_FORMAT_PARAMETER
       },
-      required: ['resume_text'],
+      required: [],
+      anyOf: [
+        { required: ['resume_text'] },
+        { required: ['resume_file'] }
+      ],
       additionalProperties: false
     },
+
+    // Schema of structuredContent (normalized job data of the returned page)
+    outputSchema: JOB_RESULTS_OUTPUT_SCHEMA,
     
     // Response schema and Claude behavior instructions
     responseSchema: {
@@ -89,7 +202,7 @@ export const tools = {
     },
     
     // Explicit Claude instructions
-    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text. PAGINATION REQUIRED: Show only FIRST 15 jobs initially from the full response, ADD CLIENT-SIDE TEXT before jobs: \"Showing jobs 1-15 of [total] total matches. Type \\\"more jobs\\\" or \\\"next page\\\" to see additional opportunities.\" Show more jobs only when user asks for "next page" or "more jobs". Render the returned Markdown content immediately as an artifact with job descriptions for current page only. CRITICAL: Implement client-side pagination - do not show all jobs at once.',
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text. PAGINATION: The response already contains a single page of jobs. Render the returned Markdown content immediately as an artifact with job descriptions. When user asks for "next page" or "more jobs", call get_more_jobs with the result_id from metadata.pagination.',
     
     // Claude behavior configuration
     claude_behavior: {
@@ -98,10 +211,10 @@ export const tools = {
       mandatory_artifact: true,
       artifact_creation: 'immediate',
       text_response: 'forbidden',
-      pagination_mode: 'client_side',
-      initial_jobs_limit: 15,
+      pagination_mode: 'server_side',
+      jobs_per_page: 15,
       show_total_pages: true,
-      next_page_trigger: 'user_request_only'
+      next_page_tool: 'get_more_jobs'
     },
     
     // Response format instructions
@@ -109,25 +222,22 @@ export const tools = {
       format: 'artifact_only',
       suppress_commentary: true,
       artifact_type: 'markdown',
-      behavior: 'Create Markdown artifact immediately without any additional text or commentary. PAGINATION: Show only first 15 jobs with job descriptions, ADD CLIENT-SIDE TEXT before jobs: \"Showing jobs 1-15 of [total] total matches. Type \\\"more jobs\\\" or \\\"next page\\\" to see additional opportunities.\" Show more jobs only when user requests next page.',
-      pagination_instructions: 'Implement client-side pagination: 15 jobs per page, show page info, wait for user request for more',
-      MANDATORY_PAGINATION: 'NEVER SHOW ALL JOBS - ALWAYS LIMIT TO 15 JOBS PER PAGE'
+      behavior: 'Create Markdown artifact immediately without any additional text or commentary. PAGINATION: The server already returns a single page of jobs with job descriptions. Call get_more_jobs when user requests next page.',
+      pagination_instructions: 'Server-side pagination: 15 jobs per page, use get_more_jobs with result_id for further pages'
     }
   },
   
   match_jobs_to_apply: {
     name: 'match_jobs_to_apply',
-    description: 'ARTIFACT-ONLY TOOL: Find matching job opportunities and ALWAYS render results as Markdown artifact showing ONLY the Job Opportunities Index Table without detailed job listings. PAGINATION INSTRUCTIONS: Claude must implement CLIENT-SIDE PAGINATION - show only the FIRST 15 jobs from the full response initially in the table, then add CLIENT-SIDE text before the table saying "Showing jobs 1-15 of [total] total matches. Type \"more jobs\" or \"next page\" to see additional opportunities." Show additional jobs only when user explicitly asks for "more jobs", "next page", "page 2", etc. USE THIS TOOL when user asks to "match jobs to apply", "find jobs to apply", "jobs ready to apply", or mentions applying/applying to jobs after matching. FULL RESUME FORMATTING: Claude should format the complete resume text with total experience at start, removing only special characters and contact info while preserving ALL content for better matching. LOCATION FILTERING: If user specified location constraints, Claude MUST apply client-side filtering to remove jobs that do not match the specified locations. NEVER include remote jobs unless user explicitly requested remote work. Claude must create artifact directly using the returned content and suppress all text responses. CRITICAL: This tool requires immediate artifact creation - no summaries, no explanations, just render the Markdown document with the job index table only.',
+    description: 'ARTIFACT-ONLY TOOL: Find matching job opportunities and ALWAYS render results as Markdown artifact showing ONLY the Job Opportunities Index Table without detailed job listings. PAGINATION: The server returns ONE page of 15 jobs in the table and stores the full result set under a result_id (see metadata.pagination). When user asks for "more jobs", "next page", "page 2", etc., call get_more_jobs with that result_id instead of calling this tool again. USE THIS TOOL when user asks to "match jobs to apply", "find jobs to apply", "jobs ready to apply", or mentions applying/applying to jobs after matching. FULL RESUME FORMATTING: Claude should format the complete resume text with total experience at start, removing only special characters and contact info while preserving ALL content for better matching. RESUME FILES: If the user attaches a PDF, DOCX, DOC or TXT resume, pass it as resume_file (base64 + filename) INSTEAD of resume_text. LOCATION FILTERING: If user specified location constraints, Claude MUST apply client-side filtering to remove jobs that do not match the specified locations. NEVER include remote jobs unless user explicitly requested remote work. Claude must create artifact directly using the returned content and suppress all text responses. CRITICAL: This tool requires immediate artifact creation - no summaries, no explanations, just render the Markdown document with the job index table only.',
     
     // MANDATORY PAGINATION BEHAVIOR - CLAUDE MUST FOLLOW
     PAGINATION_INSTRUCTIONS: {
-      CRITICAL_RULE: "ALWAYS IMPLEMENT CLIENT-SIDE PAGINATION IN TABLE",
-      INITIAL_DISPLAY: "Show ONLY the first 15 jobs in the index table from the full response",
-      TOTAL_JOBS_DISPLAY: "Display total number of jobs and calculate total pages (total ÷ 15)",
-      CLIENT_SIDE_PAGE_INFO: "Generate client-side text BEFORE the jobs table: 'Showing jobs 1-15 of [total] total matches. Type \"more jobs\" or \"next page\" to see additional opportunities.'",
-      NEXT_PAGE_TRIGGER: "Show more jobs in table ONLY when user asks for 'more', 'next page', 'page 2', etc.",
-      DO_NOT: "NEVER show all jobs at once in table - always paginate to 15 jobs per page",
-      CLIENT_SIDE_TEXT_REQUIRED: "Claude must add pagination text before jobs table, not in backend data"
+      CRITICAL_RULE: "PAGINATION IS HANDLED BY THE SERVER",
+      INITIAL_DISPLAY: "Render the returned table as-is - it already contains at most 15 jobs and the page info",
+      RESULT_ID: "metadata.pagination.result_id identifies the stored result set",
+      NEXT_PAGE_TRIGGER: "When user asks for 'more', 'next page', 'page 2', etc., call get_more_jobs with result_id and page (or next_cursor)",
+      DO_NOT: "NEVER call match_jobs_to_apply again just to see more jobs from the same search"
     },
     inputSchema: {
       type: 'object',
@@ -139,6 +249,25 @@ export const tools = {
           minLength: 500,
           maxLength: 15000
         },
+        resume_file: {
+          type: 'object',
+          description: 'Original resume document as base64 (OPTIONAL - use INSTEAD of resume_text when the user attaches a PDF, DOCX, DOC or TXT resume file). The backend parses the document itself, so do NOT also send resume_text. The real file type is detected from the file content. Maximum size 10MB.',
+          title: 'Resume File (PDF/DOCX/DOC/TXT)',
+          properties: {
+            data: {
+              type: 'string',
+              description: 'Base64-encoded file content (a data: URL prefix is accepted)',
+              contentEncoding: 'base64'
+            },
+            filename: {
+              type: 'string',
+              description: 'Original file name including extension',
+              examples: ['resume.pdf', 'Jane_Doe_CV.docx']
+            }
+          },
+          required: ['data', 'filename'],
+          additionalProperties: false
+        },
         user_experience: {
           type: 'string',
           description: 'Years of experience (OPTIONAL - only use if explicitly mentioned by user, otherwise auto-extracted from resume)',
@@ -177,11 +306,19 @@ export const tools = {
           title: 'Sort Order',
           enum: ['similarity', 'date'],
           default: 'similarity'
-        }
+        },
+        output_format: OUTPUT_FORMAT_PARAMETER
       },
-      required: ['resume_text'],
+      required: [],
+      anyOf: [
+        { required: ['resume_text'] },
+        { required: ['resume_file'] }
+      ],
       additionalProperties: false
     },
+
+    // Schema of structuredContent (normalized job data of the returned page)
+    outputSchema: JOB_RESULTS_OUTPUT_SCHEMA,
     
     // Response schema and Claude behavior instructions
     responseSchema: {
@@ -195,7 +332,7 @@ export const tools = {
     },
     
     // Explicit Claude instructions
-    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text. PAGINATION REQUIRED: Show only FIRST 15 jobs initially from the full response in the table, ADD CLIENT-SIDE TEXT before table: \"Showing jobs 1-15 of [total] total matches. Type \\\"more jobs\\\" or \\\"next page\\\" to see additional opportunities.\" Show more jobs only when user asks for "next page" or "more jobs". Render the returned Markdown content immediately as an artifact with ONLY the Job Opportunities Index Table for current page - no detailed job listings. CRITICAL: Implement client-side pagination in table - do not show all jobs at once.',
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text. PAGINATION: The response already contains a single page of jobs. Render the returned Markdown content immediately as an artifact with ONLY the Job Opportunities Index Table - no detailed job listings. When user asks for "next page" or "more jobs", call get_more_jobs with the result_id from metadata.pagination.',
     
     // Claude behavior configuration
     claude_behavior: {
@@ -205,10 +342,10 @@ export const tools = {
       artifact_creation: 'immediate',
       text_response: 'forbidden',
       table_only: true,
-      pagination_mode: 'client_side',
-      initial_jobs_limit: 15,
+      pagination_mode: 'server_side',
+      jobs_per_page: 15,
       show_total_pages: true,
-      next_page_trigger: 'user_request_only'
+      next_page_tool: 'get_more_jobs'
     },
     
     // Response format instructions
@@ -216,9 +353,487 @@ export const tools = {
       format: 'artifact_only',
       suppress_commentary: true,
       artifact_type: 'markdown',
-      behavior: 'Create Markdown artifact immediately without any additional text or commentary. PAGINATION: Show only first 15 jobs in the index table, ADD CLIENT-SIDE TEXT before table: \"Showing jobs 1-15 of [total] total matches. Type \\\"more jobs\\\" or \\\"next page\\\" to see additional opportunities.\" Show more jobs only when user requests next page.',
-      pagination_instructions: 'Implement client-side pagination: 15 jobs per page in table format, show page info, wait for user request for more',
-      MANDATORY_PAGINATION: 'NEVER SHOW ALL JOBS IN TABLE - ALWAYS LIMIT TO 15 JOBS PER PAGE'
+      behavior: 'Create Markdown artifact immediately without any additional text or commentary. PAGINATION: The server already returns a single page of jobs in the index table. Call get_more_jobs when user requests next page.',
+      pagination_instructions: 'Server-side pagination: 15 jobs per page in table format, use get_more_jobs with result_id for further pages'
+    }
+  },
+
+  get_more_jobs: {
+    name: 'get_more_jobs',
+    description: 'ARTIFACT-ONLY TOOL: Show another page of jobs from a previous match_resume or match_jobs_to_apply search WITHOUT searching again. USE THIS TOOL when user asks for "more jobs", "next page", "page 2", "show more", etc. after a search. Pass the result_id from metadata.pagination of the previous response, plus either page or next_cursor. The page is rendered in the same format as the original search. Does not call the backend and does not count against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        result_id: {
+          type: 'string',
+          description: 'Result ID from metadata.pagination.result_id of a previous match_resume or match_jobs_to_apply response',
+          title: 'Result ID',
+          examples: ['rs_lx2k9a_4f7c1d']
+        },
+        page: {
+          type: 'integer',
+          description: 'Page number to show (OPTIONAL - defaults to the next page after page 1 when neither page nor cursor is given)',
+          title: 'Page Number',
+          minimum: 1
+        },
+        cursor: {
+          type: 'string',
+          description: 'Cursor from metadata.pagination.next_cursor of the previous page (OPTIONAL - alternative to page)',
+          title: 'Page Cursor'
+        },
+        output_format: {
+          type: 'string',
+          description: 'Response format (OPTIONAL - defaults to the output_format of the original search). "markdown" returns the Markdown artifact, "json" returns the normalized job data as JSON text, "both" returns the artifact followed by the JSON. The job data is always attached as structuredContent for clients that read it.',
+          title: 'Output Format',
+          enum: ['markdown', 'json', 'both']
+        }
+      },
+      required: ['result_id'],
+      additionalProperties: false
+    },
+
+    // Schema of structuredContent (normalized job data of the returned page)
+    outputSchema: JOB_RESULTS_OUTPUT_SCHEMA,
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text. Use the next_cursor or page + 1 from the returned metadata.pagination to continue paging.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      pagination_mode: 'server_side',
+      uses_rate_limit: false
+    }
+  },
+
+  explain_match: {
+    name: 'explain_match',
+    description: 'ARTIFACT-ONLY TOOL: Explain why one job from a previous match_resume or match_jobs_to_apply search matched. Compares the resume against the job\'s Required Skills and description and shows matched skills, missing skills, the experience requirement versus the user\'s experience, and the location fit. USE THIS TOOL when user asks "why did this job match", "explain job 3", "what am I missing for this role", etc. Pass the result_id from metadata.pagination of the search and the job number (#) from the table. Does not call the backend and does not count against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        result_id: {
+          type: 'string',
+          description: 'Result ID from metadata.pagination.result_id of a previous match_resume or match_jobs_to_apply response',
+          title: 'Result ID',
+          examples: ['rs_lx2k9a_4f7c1d']
+        },
+        job_number: {
+          type: 'integer',
+          description: 'Job number (#) as shown in the job index table of that search',
+          title: 'Job Number',
+          minimum: 1
+        }
+      },
+      required: ['result_id', 'job_number'],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: false
+    }
+  },
+
+  skill_gap_report: {
+    name: 'skill_gap_report',
+    description: 'ARTIFACT-ONLY TOOL: Analyze the Required Skills of EVERY job in a previous match_resume or match_jobs_to_apply search, count how often each skill is requested, and rank the skills missing from the resume by how many jobs they would unlock. USE THIS TOOL when user asks "what skills should I learn", "what am I missing", "skill gap", "what does the market want", etc. Pass the result_id from metadata.pagination of the search. Does not call the backend and does not count against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        result_id: {
+          type: 'string',
+          description: 'Result ID from metadata.pagination.result_id of a previous match_resume or match_jobs_to_apply response',
+          title: 'Result ID',
+          examples: ['rs_lx2k9a_4f7c1d']
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of skills listed per table (OPTIONAL - defaults to 15)',
+          title: 'Skills Per Table',
+          minimum: 1,
+          maximum: 100
+        }
+      },
+      required: ['result_id'],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: false
+    }
+  },
+
+  save_search: {
+    name: 'save_search',
+    description: 'ARTIFACT-ONLY TOOL: Save a named job search (resume, keywords, location and date filters) so it can be re-run later with run_saved_search, which shows only the postings that are new or dropped out since the last run. USE THIS TOOL when user asks to "save this search", "remember this search", "watch for new jobs", etc. To save the search the user just ran, pass its result_id from metadata.pagination - its parameters are reused and its results become the baseline for the next run. Otherwise pass resume_text or resume_file plus any filters, exactly as for match_resume. Saving with an existing name replaces that search. The resume is stored on the server together with the search. Does not call the backend and does not count against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Short name for the search, used to run it again (case-insensitive)',
+          title: 'Search Name',
+          maxLength: 100,
+          examples: ['Austin backend', 'Remote data engineering']
+        },
+        result_id: {
+          type: 'string',
+          description: 'Result ID of a previous match_resume or match_jobs_to_apply search to save (OPTIONAL - its parameters and results are reused; explicit parameters below override them)',
+          title: 'Result ID',
+          examples: ['rs_lx2k9a_4f7c1d']
+        },
+        resume_text: {
+          type: 'string',
+          description: 'WELL-FORMATTED FULL resume text, formatted the same way as for match_resume (OPTIONAL when result_id is given)',
+          title: 'Resume Text (Full & Clean)',
+          minLength: 500,
+          maxLength: 15000
+        },
+        resume_file: {
+          type: 'object',
+          description: 'Original resume document as base64, the same as for match_resume (OPTIONAL - use INSTEAD of resume_text). Required when saving a result_id whose search used an uploaded file, because uploaded files are not kept with result sets.',
+          title: 'Resume File (PDF/DOCX/DOC/TXT)',
+          properties: {
+            data: {
+              type: 'string',
+              description: 'Base64-encoded file content (a data: URL prefix is accepted)',
+              contentEncoding: 'base64'
+            },
+            filename: {
+              type: 'string',
+              description: 'Original file name including extension',
+              examples: ['resume.pdf', 'Jane_Doe_CV.docx']
+            }
+          },
+          required: ['data', 'filename'],
+          additionalProperties: false
+        },
+        user_experience: {
+          type: 'string',
+          description: 'Years of experience (OPTIONAL - only use if explicitly mentioned by user)',
+          title: 'Experience Years (Optional Override)'
+        },
+        keywords: {
+          type: 'string',
+          description: 'Comma-separated skills/technologies (OPTIONAL - only use if explicitly mentioned by user)',
+          title: 'Skills & Keywords (Optional Override)'
+        },
+        location: {
+          type: 'string',
+          description: 'Comma-separated city names, expanded the same way as for match_resume (OPTIONAL)',
+          title: 'Preferred Locations (Optional Filter)',
+          maxLength: 5000
+        },
+        start_date: {
+          type: 'string',
+          description: 'Start date in YYYY-MM-DD format (OPTIONAL - requires end_date)',
+          title: 'Search Start Date (Optional Filter)',
+          pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+        },
+        end_date: {
+          type: 'string',
+          description: 'End date in YYYY-MM-DD format (OPTIONAL - requires start_date)',
+          title: 'Search End Date (Optional Filter)',
+          pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+        },
+        sort_by: {
+          type: 'string',
+          description: 'Sort results by similarity score or publication date (OPTIONAL - defaults to similarity)',
+          title: 'Sort Order',
+          enum: ['similarity', 'date'],
+          default: 'similarity'
+        }
+      },
+      required: ['name'],
+      anyOf: [
+        { required: ['result_id'] },
+        { required: ['resume_text'] },
+        { required: ['resume_file'] }
+      ],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: false
+    }
+  },
+
+  run_saved_search: {
+    name: 'run_saved_search',
+    description: 'ARTIFACT-ONLY TOOL: Re-run a search saved with save_search and show ONLY what changed since its last run - new postings and postings that dropped out - compared by job link. USE THIS TOOL when user asks to "run my saved search", "what is new in my search", "any new jobs since yesterday", etc. The full results of the run are stored under a new result_id, so get_more_jobs, explain_match and skill_gap_report work on them. Calls the backend and counts against the rate limit like match_resume. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name the search was saved under (case-insensitive)',
+          title: 'Search Name',
+          maxLength: 100,
+          examples: ['Austin backend']
+        }
+      },
+      required: ['name'],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: true
+    }
+  },
+
+  track_application: {
+    name: 'track_application',
+    description: 'ARTIFACT-ONLY TOOL: Mark a matched job as saved, applied, interviewing, offered or rejected, optionally with a note. Entries are kept in a persistent store with their notes and status history. USE THIS TOOL when user says "I applied to job 3", "mark job 5 as interviewing", "save this job", "add a note to ...", etc. For a job from a search, pass the result_id from metadata.pagination and the job number (#) from its table. For a job already in the pipeline, pass its job_id from show_pipeline. Does not call the backend and does not count against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        job_id: {
+          type: 'string',
+          description: 'Job ID of a tracked job as shown by show_pipeline (use INSTEAD of result_id + job_number)',
+          title: 'Job ID',
+          examples: ['job_1042_3']
+        },
+        result_id: {
+          type: 'string',
+          description: 'Result ID from metadata.pagination.result_id of a previous search (use together with job_number)',
+          title: 'Result ID',
+          examples: ['rs_lx2k9a_4f7c1d']
+        },
+        job_number: {
+          type: 'integer',
+          description: 'Job number (#) from the index table of that result set, starting at 1',
+          title: 'Job Number',
+          minimum: 1
+        },
+        status: {
+          type: 'string',
+          description: 'New application status',
+          title: 'Status',
+          enum: ['saved', 'applied', 'interviewing', 'offered', 'rejected']
+        },
+        note: {
+          type: 'string',
+          description: 'Note to add to the job, e.g. recruiter name or interview date (OPTIONAL)',
+          title: 'Note',
+          maxLength: 2000
+        }
+      },
+      required: ['status'],
+      anyOf: [
+        { required: ['job_id'] },
+        { required: ['result_id', 'job_number'] }
+      ],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: false
+    }
+  },
+
+  show_pipeline: {
+    name: 'show_pipeline',
+    description: 'ARTIFACT-ONLY TOOL: Show all tracked job applications as a kanban-style board with one column per status (saved, applied, interviewing, offered, rejected), followed by job IDs, last update and latest note. USE THIS TOOL when user asks "show my pipeline", "what have I applied to", "my applications", etc. Does not call the backend and does not count against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          description: 'Only show applications with this status (OPTIONAL)',
+          title: 'Status Filter',
+          enum: ['saved', 'applied', 'interviewing', 'offered', 'rejected']
+        }
+      },
+      required: [],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: false
+    }
+  },
+
+  compare_resumes: {
+    name: 'compare_resumes',
+    description: 'ARTIFACT-ONLY TOOL: Run the same job search with two resume variants and compare the results in one Markdown artifact: jobs found by both variants with the per-job score change, and jobs found by only one of them. USE THIS TOOL when user asks to "compare two resumes", "which resume version is better", "A/B test my resume", etc. FULL RESUME FORMATTING: format both resume texts the same way as for match_resume so only the wording under test differs. Both backend calls count as ONE request against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        resume_text_a: {
+          type: 'string',
+          description: 'WELL-FORMATTED FULL text of the first resume variant, formatted the same way as for match_resume',
+          title: 'Resume Variant A',
+          minLength: 500,
+          maxLength: 15000
+        },
+        resume_text_b: {
+          type: 'string',
+          description: 'WELL-FORMATTED FULL text of the second resume variant, formatted the same way as for match_resume',
+          title: 'Resume Variant B',
+          minLength: 500,
+          maxLength: 15000
+        },
+        label_a: {
+          type: 'string',
+          description: 'Short name for variant A shown in the comparison (OPTIONAL - defaults to "Resume A")',
+          title: 'Variant A Label',
+          maxLength: 50,
+          examples: ['Original', 'Backend focus']
+        },
+        label_b: {
+          type: 'string',
+          description: 'Short name for variant B shown in the comparison (OPTIONAL - defaults to "Resume B")',
+          title: 'Variant B Label',
+          maxLength: 50,
+          examples: ['Rewritten summary', 'Cloud focus']
+        },
+        user_experience: {
+          type: 'string',
+          description: 'Years of experience (OPTIONAL - only use if explicitly mentioned by user)',
+          title: 'Experience Years (Optional Override)'
+        },
+        keywords: {
+          type: 'string',
+          description: 'Comma-separated skills/technologies (OPTIONAL - only use if explicitly mentioned by user)',
+          title: 'Skills & Keywords (Optional Override)'
+        },
+        location: {
+          type: 'string',
+          description: 'Comma-separated city names, expanded the same way as for match_resume (OPTIONAL)',
+          title: 'Preferred Locations (Optional Filter)',
+          maxLength: 5000
+        },
+        start_date: {
+          type: 'string',
+          description: 'Start date in YYYY-MM-DD format (OPTIONAL - requires end_date)',
+          title: 'Search Start Date (Optional Filter)',
+          pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+        },
+        end_date: {
+          type: 'string',
+          description: 'End date in YYYY-MM-DD format (OPTIONAL - requires start_date)',
+          title: 'Search End Date (Optional Filter)',
+          pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+        },
+        sort_by: {
+          type: 'string',
+          description: 'Sort results by similarity score or publication date (OPTIONAL - defaults to similarity)',
+          title: 'Sort Order',
+          enum: ['similarity', 'date'],
+          default: 'similarity'
+        }
+      },
+      required: ['resume_text_a', 'resume_text_b'],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: true
+    }
+  },
+
+  export_results: {
+    name: 'export_results',
+    description: 'ARTIFACT-ONLY TOOL: Export ALL jobs of a previous match_resume or match_jobs_to_apply search as a CSV file (opens directly in Excel or Google Sheets) or JSON Lines file, with company, title, match, location, experience, first published date, URL and salary. USE THIS TOOL when user asks to "export to CSV", "download as spreadsheet", "export results", etc. Pass the result_id from metadata.pagination. The file is saved to the server\'s export directory when one is configured, otherwise it is attached to the response as an embedded resource. Does not call the backend and does not count against the rate limit. Claude must create artifact directly using the returned content and suppress all text responses.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        result_id: {
+          type: 'string',
+          description: 'Result ID from metadata.pagination.result_id of a previous match_resume or match_jobs_to_apply response',
+          title: 'Result ID',
+          examples: ['rs_lx2k9a_4f7c1d']
+        },
+        format: {
+          type: 'string',
+          description: 'File format (OPTIONAL - defaults to csv). csv is Excel-compatible; jsonl has one JSON object per job.',
+          title: 'Export Format',
+          enum: ['csv', 'jsonl'],
+          default: 'csv'
+        }
+      },
+      required: ['result_id'],
+      additionalProperties: false
+    },
+
+    // Explicit Claude instructions
+    claude_instructions: 'MANDATORY: Always create Markdown artifact from this tool response. Never add commentary, summary, or explanation text.',
+
+    // Claude behavior configuration
+    claude_behavior: {
+      response_type: 'artifact_only',
+      suppress_commentary: true,
+      mandatory_artifact: true,
+      artifact_creation: 'immediate',
+      text_response: 'forbidden',
+      uses_rate_limit: false
     }
   }
 };
@@ -251,8 +866,19 @@ export function validateToolParameters(toolName, params) {
     }
   }
 
+  // Check alternative required parameters (at least one group must be present)
+  if (schema.anyOf) {
+    const satisfied = schema.anyOf.some(group =>
+      group.required.every(required => params[required] !== undefined && params[required] !== null && params[required] !== '')
+    );
+    if (!satisfied) {
+      const options = schema.anyOf.map(group => group.required.join(' + ')).join(' or ');
+      errors.push(`Missing required parameter: ${options}`);
+    }
+  }
+
   // Check logical dependencies for date range
-  if (toolName === 'match_resume' || toolName === 'match_jobs_to_apply') {
+  if (toolName === 'match_resume' || toolName === 'match_jobs_to_apply' || toolName === 'save_search' || toolName === 'compare_resumes') {
     const hasStartDate = params.start_date && params.start_date.trim() !== '';
     const hasEndDate = params.end_date && params.end_date.trim() !== '';
     
@@ -351,6 +977,20 @@ export function validateToolParameters(toolName, params) {
           errors.push(`Parameter ${key} must be a boolean`);
         }
         break;
+
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`Parameter ${key} must be an object`);
+          break;
+        }
+        
+        // Required nested fields
+        for (const required of propSchema.required || []) {
+          if (value[required] === undefined || value[required] === null || value[required] === '') {
+            errors.push(`Parameter ${key}.${required} is required`);
+          }
+        }
+        break;
     }
   }
 
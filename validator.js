@@ -1,13 +1,19 @@
 /**
  * Input validation module for the MCP Job Matcher Server
- * Validates resume text and parameters before forwarding to backend
+ * Validates resume text, resume files and parameters before forwarding to backend
  */
 
+import { fileTypeFromBuffer } from 'file-type';
+
 // Configuration
 const CONFIG = {
   MIN_RESUME_LENGTH: 500, // Minimum characters for full resume text
   MAX_RESUME_LENGTH: 15000, // Maximum characters for full resume text (15K)
+  SUPPORTED_EXTENSIONS: ['.pdf', '.doc', '.docx', '.txt'],
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB - backend upload limit
+  MIN_FILE_SIZE: 100, // Minimum bytes for a resume file
   DATE_REGEX: /^\d{4}-\d{2}-\d{2}$/,
+  BASE64_REGEX: /^[A-Za-z0-9+/]*={0,2}$/,
   VALID_SORT_OPTIONS: ['similarity', 'date']
 };
 
@@ -59,9 +65,20 @@ export function validateInputs(args) {
 function validateRequiredParameters(args) {
   const errors = [];
 
+  // Either resume_file or resume_text must be provided, but not both
+  if (args.resume_file) {
+    if (args.resume_text) {
+      errors.push('Provide either resume_text or resume_file, not both');
+    }
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
   // Check resume_text parameter
   if (!args.resume_text || args.resume_text === '') {
-    errors.push('Resume text is required');
+    errors.push('Resume text or resume file is required');
   } else if (typeof args.resume_text !== 'string') {
     errors.push('Resume text must be provided as a string');
   }
@@ -152,6 +169,93 @@ function validateMeaningfulContent(text) {
   };
 }
 
+/**
+ * Decode and validate a base64 resume file, detecting its real type from magic bytes
+ * @param {Object} resumeFile - { data: base64 string, filename: string }
+ * @returns {Promise<Object>} - { valid: boolean, errors: string[], file: { bytes, filename, mimeType, size } }
+ */
+export async function validateResumeFile(resumeFile) {
+  const errors = [];
+
+  try {
+    if (!resumeFile || typeof resumeFile !== 'object') {
+      return { valid: false, errors: ['Resume file must be an object with data and filename'], file: null };
+    }
+
+    const { data, filename } = resumeFile;
+
+    if (typeof filename !== 'string' || filename.trim() === '') {
+      errors.push('Resume file name is required');
+    } else if (!CONFIG.SUPPORTED_EXTENSIONS.includes(getFileExtension(filename).toLowerCase())) {
+      errors.push(`Resume file must be one of: ${CONFIG.SUPPORTED_EXTENSIONS.join(', ')}`);
+    }
+
+    if (typeof data !== 'string' || data === '') {
+      errors.push('Resume file data must be a base64 string');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, file: null };
+    }
+
+    // Accept data URLs and line-wrapped base64
+    const base64 = data.replace(/^data:[^,]*;base64,/, '').replace(/\s+/g, '');
+    if (!CONFIG.BASE64_REGEX.test(base64)) {
+      return { valid: false, errors: ['Resume file data is not valid base64'], file: null };
+    }
+
+    // Check size before decoding (base64 is 4 chars per 3 bytes)
+    const size = Math.floor(base64.length * 3 / 4) - (base64.match(/=*$/)[0].length);
+    if (size > CONFIG.MAX_FILE_SIZE) {
+      errors.push(`Resume file is too large. Maximum ${Math.round(CONFIG.MAX_FILE_SIZE / (1024 * 1024))}MB allowed`);
+    } else if (size < CONFIG.MIN_FILE_SIZE) {
+      errors.push(`Resume file is too small. Minimum ${CONFIG.MIN_FILE_SIZE} bytes required`);
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, file: null };
+    }
+
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+    // Detect the real format from magic bytes; plain text has none
+    const detected = await fileTypeFromBuffer(bytes);
+    let mimeType;
+
+    if (!detected) {
+      if (!isValidTextFile(bytes)) {
+        return { valid: false, errors: ['Resume file content is not a recognized PDF, DOCX, DOC or TXT document'], file: null };
+      }
+      mimeType = 'text/plain';
+    } else if (detected.mime === 'application/x-cfb') {
+      // Legacy Word documents are OLE compound files
+      mimeType = 'application/msword';
+    } else if (getExtensionForMimeType(detected.mime)) {
+      mimeType = detected.mime;
+    } else {
+      return { valid: false, errors: [`Resume file content is a .${detected.ext} file, which is not a supported resume format`], file: null };
+    }
+
+    // Trust the content over the name so the backend picks the right parser
+    const extension = getExtensionForMimeType(mimeType);
+    const baseName = filename.trim().replace(/\.[^.]*$/, '');
+
+    return {
+      valid: true,
+      errors: [],
+      file: {
+        bytes,
+        filename: `${baseName}${extension}`,
+        mimeType,
+        size: bytes.length
+      }
+    };
+  } catch (error) {
+    console.error('Resume file validation error:', error);
+    return { valid: false, errors: ['Unable to validate resume file'], file: null };
+  }
+}
+
 /**
  * Validate optional parameters
  */
@@ -467,20 +571,20 @@ function getExtensionForMimeType(mimeType) {
   return mimeToExt[mimeType] || null;
 }
 
-function isValidTextFile(buffer) {
+function isValidTextFile(bytes) {
   try {
     // Try to decode as UTF-8
-    const text = buffer.toString('utf8');
+    const text = new TextDecoder('utf-8').decode(bytes);
     
     // Check for null bytes (indicates binary file)
     if (text.includes('\0')) {
       return false;
     }
     
-    // Check if it contains mostly printable characters
-    const printableChars = text.replace(/[\r\n\t]/g, '').length;
+    // Check if it contains mostly printable characters (control and undecodable characters count against it)
+    const unprintableChars = (text.match(/[\u0001-\u0008\u000B\u000C\u000E-\u001F\uFFFD]/g) || []).length;
     const totalChars = text.length;
-    const printableRatio = printableChars / totalChars;
+    const printableRatio = (totalChars - unprintableChars) / totalChars;
     
     return printableRatio > 0.95; // At least 95% printable characters
   } catch {
@@ -533,7 +637,7 @@ export function getValidationSummary() {
       minSize: `${CONFIG.MIN_FILE_SIZE} bytes`
     },
     parameterRequirements: {
-      required: ['file', 'filename'],
+      required: ['resume_text or resume_file'],
       optional: ['user_experience', 'keywords', 'location', 'start_date', 'end_date', 'page', 'sort_by'],
       dateFormat: 'YYYY-MM-DD',
       sortOptions: CONFIG.VALID_SORT_OPTIONS